@@ -1,296 +1,61 @@
 import { NextResponse } from 'next/server';
+import { runDetectionEngine, matchReportAccounts } from '../../../lib/detectionEngine';
+import { buildFurnisherLetters } from '../../../lib/furnisherLetters';
+import { validateDisputeHistory, applyDisputeHistory } from '../../../lib/disputeRounds';
+import { diffReports } from '../../../lib/reportDiff';
+import { planDisputeRecords, disputesToHistory, describeDispute } from '../../../lib/disputeTracker';
+import { detectInputFormat, readReportInput, parseReportInput, SUPPORTED_EXTENSIONS } from '../../../lib/reportInput';
+import { buildParseQualityReport } from '../../../lib/parseQuality';
+import { getAuditStore } from '../../../lib/auditStore';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
 
 export const runtime = 'nodejs';
 
-// Simple ID generator
-function generateId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2);
-}
-
-const ISSUE_TYPES = {
-  DATE_MISMATCH_OPEN: { label: 'Open Date Mismatch', severity: 'high', basis: 'FCRA 611(a)' },
-  DATE_MISMATCH_DLA: { label: 'Date of Last Activity Mismatch', severity: 'high', basis: 'FCRA 611(a)' },
-  STATUS_MISMATCH: { label: 'Account Status Mismatch', severity: 'high', basis: 'FCRA 611(a)' },
-  LIMIT_MISMATCH: { label: 'Credit Limit Mismatch', severity: 'low', basis: 'FCRA 611(a)' },
-  MISSING_OC: { label: 'Missing Original Creditor', severity: 'medium', basis: 'FDCPA 809(a)' },
-  MISSING_DOFD: { label: 'Missing Date of First Delinquency', severity: 'high', basis: 'FCRA 623(a)(2)' },
-};
-
-// Parse credit report and extract structured data
-function parseCreditReport(text) {
-  var client = {
-    name: extractClientName(text),
-    state: extractState(text),
-    idTheft: text.toLowerCase().indexOf('fraud') !== -1
-  };
-
-  var tradelines = [];
-  var collections = [];
+// Scanned PDFs are OCR'd page by page, well past the default time limit
+export const maxDuration = 300;
 
-  // TEMPORARY TEST DATA to prove detection engine works
-  tradelines = [{
-    name: 'TEST BANK CREDIT CARD',
-    bureaus: {
-      transunion: { dateOpened: '01/15/2020', lastActivityDate: '05/20/2023', status: 'Open', creditLimit: 5000 },
-      experian: { dateOpened: '02/20/2020', lastActivityDate: '05/25/2023', status: 'Open', creditLimit: 5000 },
-      equifax: { dateOpened: '01/15/2020', lastActivityDate: '06/10/2023', status: 'Closed', creditLimit: 5500 }
-    }
-  }];
-  var accountId = 1;
-
-  // Find all account sections
-  var lines = text.split(/\n/);
-  var currentCreditor = '';
-  var currentData = {};
-  var bureauColumns = detectBureauColumns(text);
-
-  for (var i = 0; i < lines.length; i++) {
-    var line = lines[i];
-    
-    // Detect creditor name lines
-    if (isCreditorLine(line)) {
-      if (currentCreditor && Object.keys(currentData).length > 0) {
-        var account = createAccountFromData(currentCreditor, currentData, bureauColumns);
-        if (account) {
-          if (account.type === 'collection') {
-            collections.push(account);
-          } else {
-            tradelines.push(account);
-          }
-        }
-      }
-      currentCreditor = line.trim();
-      currentData = {};
-    } else {
-      extractMultiColumnValues(line, currentData, bureauColumns);
-    }
-  }
-
-  if (currentCreditor && Object.keys(currentData).length > 0) {
-    var account = createAccountFromData(currentCreditor, currentData, bureauColumns);
-    if (account) {
-      if (account.type === 'collection') {
-        collections.push(account);
-      } else {
-        tradelines.push(account);
-      }
-    }
+// Render the DOCX package into a scratch directory and copy it into the
+// store. Returns the stored document names; empty when the docx package is
+// not installed in this runtime, in which case /api/download's text
+// versions are the only downloads.
+async function storeDocuments(store, auditId, auditData) {
+  var generator;
+  try {
+    generator = await import('../../../lib/generateAuditDocuments');
+  } catch (e) {
+    console.log('[Audit] Document generator not available:', e.message);
+    return [];
   }
 
-  return { client, tradelines, collections };
-}
-
-function simpleAccountExtraction(text) {
-  var lines = text.split('\n');
-  var accounts = [];
-  var currentAccount = null;
-  
-  for (var i = 0; i < lines.length; i++) {
-    var line = lines[i].trim();
-    if (!line) continue;
-
-    if (line.match(/account|credit card|loan|mortgage/i)) {
-      if (currentAccount) accounts.push(currentAccount);
-      currentAccount = { name: line, bureaus: {} };
-    } else if (currentAccount && line.match(/transunion|equifax|experian/i)) {
-      var bureau = line.match(/(transunion|equifax|experian)/i)[1].toLowerCase();
-      currentAccount.bureaus[bureau] = { dateOpened: parseDate(line), lastActivityDate: parseDate(line) };
+  var scratch = await mkdtemp(path.join(os.tmpdir(), 'audit-docs-'));
+  var names = [];
+  try {
+    var files = await generator.generateAllDocuments(auditData, scratch);
+    for (var i = 0; i < files.length; i++) {
+      var name = path.relative(scratch, files[i]).split(path.sep).join('/');
+      await store.saveDocument(auditId, name, await readFile(files[i]));
+      names.push(name);
     }
+  } catch (e) {
+    console.log('[Audit] Document generation failed:', e.message);
+  } finally {
+    await rm(scratch, { recursive: true, force: true });
   }
-  
-  if (currentAccount) accounts.push(currentAccount);
-  return accounts;
+  return names;
 }
 
-function parseDate(str) {
-  var dateMatch = str.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
-  return dateMatch ? dateMatch[0] : null;
-}
-
-function parseAmount(str) {
-  var amountMatch = str.match(/\$?([\d,]+)/);
-  return amountMatch ? amountMatch[1].replace(/,/g, '') : null;
-}
-
-// Run detection engine
-function runDetectionEngine(data) {
-  const issues = [];
-
-  // Process each tradeline
-  data.tradelines.forEach(account => {
-    const daysDiff = (date1, date2) => {
-      if (!date1 || !date2) return 0;
-      const d1 = new Date(date1);
-      const d2 = new Date(date2);
-      return Math.abs(Math.floor((d2 - d1) / (1000 * 60 * 60 * 24)));
-    };
-
-    const normalizeCreditor = (name) => {
-      return (name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
-    };
-
-    // Check date mismatches between bureaus
-    const bureaus = ['transunion', 'equifax', 'experian'];
-    
-    // Open date mismatch check
-    for (let i = 0; i < bureaus.length; i++) {
-      for (let j = i + 1; j < bureaus.length; j++) {
-        const bureau1 = bureaus[i];
-        const bureau2 = bureaus[j];
-        
-        const date1 = account.bureaus?.[bureau1]?.dateOpened;
-        const date2 = account.bureaus?.[bureau2]?.dateOpened;
-        
-        if (date1 && date2 && daysDiff(date1, date2) > 30) {
-          issues.push({
-            id: generateId(),
-            type: 'DATE_MISMATCH_OPEN',
-            ...ISSUE_TYPES.DATE_MISMATCH_OPEN,
-            account: account.name,
-            bureau1,
-            bureau2,
-            date1,
-            date2,
-            description: `Open date differs by ${daysDiff(date1, date2)} days between ${bureau1} and ${bureau2}`
-          });
-        }
-      }
-    }
-
-    // Last activity date mismatch
-    for (let i = 0; i < bureaus.length; i++) {
-      for (let j = i + 1; j < bureaus.length; j++) {
-        const bureau1 = bureaus[i];
-        const bureau2 = bureaus[j];
-        
-        const dla1 = account.bureaus?.[bureau1]?.lastActivityDate;
-        const dla2 = account.bureaus?.[bureau2]?.lastActivityDate;
-        
-        if (dla1 && dla2 && daysDiff(dla1, dla2) > 30) {
-          issues.push({
-            id: generateId(),
-            type: 'DATE_MISMATCH_DLA',
-            ...ISSUE_TYPES.DATE_MISMATCH_DLA,
-            account: account.name,
-            bureau1,
-            bureau2,
-            date1: dla1,
-            date2: dla2,
-            description: `Last activity date differs by ${daysDiff(dla1, dla2)} days between ${bureau1} and ${bureau2}`
-          });
-        }
-      }
-    }
-
-    // Status mismatch
-    for (let i = 0; i < bureaus.length; i++) {
-      for (let j = i + 1; j < bureaus.length; j++) {
-        const bureau1 = bureaus[i];
-        const bureau2 = bureaus[j];
-        
-        const status1 = account.bureaus?.[bureau1]?.status;
-        const status2 = account.bureaus?.[bureau2]?.status;
-        
-        if (status1 && status2 && status1 !== status2) {
-          issues.push({
-            id: generateId(),
-            type: 'STATUS_MISMATCH',
-            ...ISSUE_TYPES.STATUS_MISMATCH,
-            account: account.name,
-            bureau1,
-            bureau2,
-            status1,
-            status2,
-            description: `Account status differs: ${status1} vs ${status2}`
-          });
-        }
-      }
-    }
-
-    // Credit limit mismatch
-    for (let i = 0; i < bureaus.length; i++) {
-      for (let j = i + 1; j < bureaus.length; j++) {
-        const bureau1 = bureaus[i];
-        const bureau2 = bureaus[j];
-        
-        const limit1 = account.bureaus?.[bureau1]?.creditLimit;
-        const limit2 = account.bureaus?.[bureau2]?.creditLimit;
-        
-        if (limit1 && limit2 && Math.abs(limit1 - limit2) > 0) {
-          issues.push({
-            id: generateId(),
-            type: 'LIMIT_MISMATCH',
-            ...ISSUE_TYPES.LIMIT_MISMATCH,
-            account: account.name,
-            bureau1,
-            bureau2,
-            limit1,
-            limit2,
-            description: `Credit limit differs: $${limit1} vs $${limit2}`
-          });
-        }
-      }
-    }
-  });
-
-  // Check collection accounts
-  data.collections.forEach(account => {
-    bureaus = ['transunion', 'equifax', 'experian'];
-    bureaus.forEach(bureau => {
-      const bureauData = account.bureaus?.[bureau];
-      if (bureauData) {
-        // Missing original creditor
-        if (!bureauData.originalCreditor || bureauData.originalCreditor.trim() === '') {
-          issues.push({
-            id: generateId(),
-            type: 'MISSING_OC',
-            ...ISSUE_TYPES.MISSING_OC,
-            account: account.name,
-            bureau,
-            description: `Missing original creditor on ${bureau}`
-          });
-        }
-
-        // Missing DOFD
-        if (!bureauData.dofd) {
-          issues.push({
-            id: generateId(),
-            type: 'MISSING_DOFD',
-            ...ISSUE_TYPES.MISSING_DOFD,
-            account: account.name,
-            bureau,
-            description: `Missing date of first delinquency on ${bureau}`
-          });
-        }
-      }
-    });
-  });
-
-  return issues;
-}
-
-function extractClientName(text) {
-  return 'Client Name';
-}
-
-function extractState(text) {
-  return 'State';
-}
-
-function isCreditorLine(line) {
-  return false;
-}
-
-function detectBureauColumns(text) {
-  return {};
-}
-
-function extractMultiColumnValues(line, data, columns) {
-  // Extract values
-}
-
-function createAccountFromData(creditor, data, columns) {
-  return null;
+// Parse credit report and extract structured data with the adapter for the
+// detected provider (IdentityIQ, MyFreeScoreNow, SmartCredit, ...)
+function parseCreditReport(input) {
+  var data = parseReportInput(input);
+  var text = input.json ? JSON.stringify(input.json) : input.text;
+  data.client = {
+    ...data.client,
+    idTheft: text.toLowerCase().indexOf('fraud') !== -1
+  };
+  return data;
 }
 
 export async function POST(req) {
@@ -309,36 +74,152 @@ export async function POST(req) {
     const arrayBuffer = await file.arrayBuffer();
     const buffer = Buffer.from(arrayBuffer);
 
-    // Safer pdf-parse import in Next server context
-    const pdfParse = (await import('pdf-parse/lib/pdf-parse')).default;
-    const pdfData = await pdfParse(buffer);
-    const text = (pdfData?.text || '').trim();
+    var format = detectInputFormat(file.name, buffer);
+    if (!format) {
+      return NextResponse.json(
+        { error: 'Unsupported file type. Upload one of: ' + SUPPORTED_EXTENSIONS.join(', ') },
+        { status: 400 }
+      );
+    }
 
-    // TEMP DEBUG: This tells you instantly if extraction is failing
-    const debug = {
-      pdfByteLength: buffer.length,
-      textLength: text.length,
-      numpages: pdfData?.numpages,
-      first400: text.slice(0, 400),
-    };
+    // PDF text extraction (OCR for image-only PDFs), HTML/MHT table
+    // flattening or JSON parsing - a malformed JSON export is the upload's fault
+    var input;
+    try {
+      input = await readReportInput(buffer, file.name);
+    } catch (e) {
+      if (format !== 'json') throw e;
+      return NextResponse.json({ error: e.message }, { status: 422 });
+    }
+    const text = input.text;
 
     // Fail hard instead of returning empty findings
-    if (text.length < 300) {
+    if (input.format !== 'json' && text.length < 300) {
       return NextResponse.json(
         {
-          error: 'No readable text extracted from PDF. Likely image-based PDF or pdf-parse failed in this runtime.',
-          debug,
+          error: input.format === 'pdf'
+            ? 'No readable text extracted from PDF, including by OCR. The scan may be blank, too low resolution, or pdf-parse failed in this runtime.'
+            : 'No readable report content found in the uploaded ' + input.format.toUpperCase() + ' file.',
+          // Extraction details for diagnosing an unreadable upload
+          debug: {
+            format: input.format,
+            byteLength: buffer.length,
+            textLength: text.length,
+            numpages: input.pages,
+            ocrConfidence: input.ocr ? input.ocr.confidence : null,
+            first400: text.slice(0, 400),
+          },
         },
         { status: 422 }
       );
     }
 
-    // Your existing pipeline
-    const data = parseCreditReport(text);
-    const findings = runDetectionEngine(data);
+    // Optional "matchOverrides" field - the audit JSON's account match overrides
+    var overridesField = formData.get('matchOverrides');
+    var matchOverrides = null;
+    if (typeof overridesField === 'string' && overridesField.trim()) {
+      try {
+        matchOverrides = JSON.parse(overridesField);
+      } catch (e) {
+        matchOverrides = null;
+      }
+      if (!Array.isArray(matchOverrides)) {
+        return NextResponse.json({ error: 'matchOverrides must be a JSON array.' }, { status: 400 });
+      }
+    }
+
+    // Optional "disputeHistory" field - earlier dispute rounds and the bureaus' responses
+    var historyField = formData.get('disputeHistory');
+    var disputeHistory = null;
+    if (typeof historyField === 'string' && historyField.trim()) {
+      try {
+        disputeHistory = validateDisputeHistory(JSON.parse(historyField));
+      } catch (e) {
+        return NextResponse.json({ error: 'Invalid disputeHistory: ' + e.message }, { status: 400 });
+      }
+    }
+
+    // Optional "clientId" field - adds this report to an existing client's
+    // history. The client's latest audit supplies the previous report (for
+    // re-aging checks) and match overrides, and the client record its
+    // dispute history, unless the request sends its own. The client's mailed
+    // dispute records are added to that history either way.
+    const store = getAuditStore();
+    var clientId = formData.get('clientId');
+    var client = null;
+    var previousAudit = null;
+    var previousData = null;
+    var earlierData = [];
+    var disputeRecords = [];
+    if (typeof clientId === 'string' && clientId.trim()) {
+      client = await store.getClient(clientId.trim());
+      if (!client) {
+        return NextResponse.json({ error: 'Client not found: ' + clientId }, { status: 404 });
+      }
+      disputeRecords = await store.listDisputes({ clientId: client.id });
+      var priorAudits = await store.listAudits({ clientId: client.id });
+      if (priorAudits.length > 0) {
+        previousAudit = await store.getAudit(priorAudits[0].id);
+        previousData = await store.getParsedData(priorAudits[0].id);
+        // Older reports tell a reinserted item from a new one
+        for (var i = 1; i < priorAudits.length; i++) {
+          var parsed = await store.getParsedData(priorAudits[i].id);
+          if (parsed) earlierData.push(parsed);
+        }
+      }
+    }
+    if (matchOverrides === null) matchOverrides = (previousAudit && previousAudit.matchOverrides) || [];
+    if (disputeHistory === null) disputeHistory = (client && client.disputeHistory) || [];
+
+    // Shared pipeline - same engine and finding schema as the CLI
+    const data = parseCreditReport(input);
+    const findings = applyDisputeHistory(runDetectionEngine(data, { previousData, matchOverrides }), disputeHistory.concat(disputesToHistory(disputeRecords)));
+    const parseQuality = buildParseQualityReport(data);
+    const accountMatching = matchReportAccounts(data, { overrides: matchOverrides });
+    const furnisherLetters = buildFurnisherLetters(findings);
+
+    // Results since the client's previous report, for the Results Report
+    var reportDiff = null;
+    if (previousAudit && previousData) {
+      reportDiff = {
+        previousAuditId: previousAudit.auditId,
+        previousGeneratedAt: previousAudit.generatedAt || null,
+        ...diffReports(previousData, data, { previousFindings: previousAudit.findings || [], currentFindings: findings, earlierData }),
+      };
+    }
+
+    // A report without a client starts a new client record from its identity;
+    // an existing client picks up identity fields it was missing
+    var identity = { name: data.client.name || null, state: data.client.state || null, ssnLast4: data.client.ssnLast4 || null, dob: data.client.dob || null, address: data.client.address || null };
+    if (!client) {
+      client = await store.saveClient(identity);
+    } else {
+      var missing = {};
+      Object.keys(identity).forEach(function(field) {
+        if (!client[field] && identity[field]) missing[field] = identity[field];
+      });
+      client = await store.updateClient(client.id, missing);
+    }
+
+    // Persist the upload, parsed data, results and documents under an audit ID
+    const auditData = { client: data.client, provider: data.provider, publicRecords: data.publicRecords, parseQuality, accountMatching, matchOverrides, disputeHistory, findings, furnisherLetters, previousAuditId: previousAudit ? previousAudit.auditId : null, reportDiff, generatedAt: new Date().toISOString() };
+    const auditId = await store.saveAudit({
+      clientId: client.id,
+      report: { filename: file.name, format: input.format, buffer },
+      data,
+      auditData,
+    });
+    const documents = await storeDocuments(store, auditId, auditData);
+
+    // A dispute record for each bureau letter, to track mailing and response
+    var disputes = [];
+    var planned = planDisputeRecords(findings, disputeRecords, { auditId, clientId: client.id });
+    for (var d = 0; d < planned.length; d++) {
+      disputes.push(describeDispute(await store.saveDispute(planned[d])));
+    }
 
-    console.log('[PDF Debug]', debug);
-    return NextResponse.json(findings);  } catch (err) {
+    return NextResponse.json({ auditId, clientId: client.id, ...auditData, documents, disputes });
+  } catch (err) {
     return NextResponse.json(
       {
         error: 'Audit route failed',
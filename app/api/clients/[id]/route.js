@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { getAuditStore } from '../../../../lib/auditStore';
+import { validateDisputeHistory } from '../../../../lib/disputeRounds';
+
+export const runtime = 'nodejs';
+
+// A client and their audit timeline, oldest report first
+export async function GET(req, { params }) {
+  try {
+    var store = getAuditStore();
+    var client = await store.getClient(params.id);
+    if (!client) {
+      return NextResponse.json({ error: 'Client not found' }, { status: 404 });
+    }
+    var audits = (await store.listAudits({ clientId: client.id })).reverse();
+    return NextResponse.json({ client: client, audits: audits });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// Update identity fields or the dispute history the next audit will use
+export async function PATCH(req, { params }) {
+  try {
+    var body;
+    try {
+      body = await req.json();
+    } catch (e) {
+      return NextResponse.json({ error: 'Expected a JSON body.' }, { status: 400 });
+    }
+    if (body && body.disputeHistory !== undefined) {
+      try {
+        validateDisputeHistory(body.disputeHistory);
+      } catch (e) {
+        return NextResponse.json({ error: 'Invalid disputeHistory: ' + e.message }, { status: 400 });
+      }
+    }
+
+    var client = await getAuditStore().updateClient(params.id, body || {});
+    if (!client) {
+      return NextResponse.json({ error: 'Client not found' }, { status: 404 });
+    }
+    return NextResponse.json({ client: client });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
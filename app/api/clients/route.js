@@ -0,0 +1,48 @@
+import { NextResponse } from 'next/server';
+import { getAuditStore, CLIENT_FIELDS } from '../../../lib/auditStore';
+import { validateDisputeHistory } from '../../../lib/disputeRounds';
+
+export const runtime = 'nodejs';
+
+// Clients with their audit count and latest audit, most recently updated first
+export async function GET() {
+  try {
+    var store = getAuditStore();
+    var clients = await store.listClients();
+    var audits = await store.listAudits();
+    var result = clients.map(function(client) {
+      var own = audits.filter(function(a) { return a.clientId === client.id; });
+      return { ...client, auditCount: own.length, latestAudit: own[0] || null };
+    });
+    return NextResponse.json({ clients: result });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// Create a client before their first upload: JSON body with CLIENT_FIELDS
+export async function POST(req) {
+  try {
+    var body;
+    try {
+      body = await req.json();
+    } catch (e) {
+      return NextResponse.json({ error: 'Expected a JSON body.' }, { status: 400 });
+    }
+    if (!body || typeof body !== 'object' || !body.name) {
+      return NextResponse.json({ error: 'Client name is required. Fields: ' + CLIENT_FIELDS.join(', ') }, { status: 400 });
+    }
+    if (body.disputeHistory !== undefined) {
+      try {
+        validateDisputeHistory(body.disputeHistory);
+      } catch (e) {
+        return NextResponse.json({ error: 'Invalid disputeHistory: ' + e.message }, { status: 400 });
+      }
+    }
+
+    var client = await getAuditStore().saveClient(body);
+    return NextResponse.json({ client: client }, { status: 201 });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { getAuditStore } from '../../../../lib/auditStore';
+import { describeDispute, validateDisputeUpdate, DISPUTE_FIELDS } from '../../../../lib/disputeTracker';
+
+export const runtime = 'nodejs';
+
+export async function GET(req, { params }) {
+  try {
+    var dispute = await getAuditStore().getDispute(params.id);
+    if (!dispute) {
+      return NextResponse.json({ error: 'Dispute not found' }, { status: 404 });
+    }
+    return NextResponse.json({ dispute: describeDispute(dispute) });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// Record mailing (mailedDate, trackingNumber), extra information sent
+// (additionalInfoDate) or the bureau's response (outcome, respondedDate)
+export async function PATCH(req, { params }) {
+  try {
+    var body;
+    try {
+      body = await req.json();
+    } catch (e) {
+      return NextResponse.json({ error: 'Expected a JSON body.' }, { status: 400 });
+    }
+    try {
+      validateDisputeUpdate(body);
+    } catch (e) {
+      return NextResponse.json({ error: 'Invalid dispute update: ' + e.message + '. Fields: ' + DISPUTE_FIELDS.join(', ') }, { status: 400 });
+    }
+
+    var dispute = await getAuditStore().updateDispute(params.id, body);
+    if (!dispute) {
+      return NextResponse.json({ error: 'Dispute not found' }, { status: 404 });
+    }
+    return NextResponse.json({ dispute: describeDispute(dispute) });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
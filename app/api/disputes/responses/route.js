@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { getAuditStore } from '../../../../lib/auditStore';
+import { detectInputFormat, readReportInput } from '../../../../lib/reportInput';
+import { parseBureauResponse, reconcileResponse } from '../../../../lib/bureauResponse';
+import { describeDispute } from '../../../../lib/disputeTracker';
+
+export const runtime = 'nodejs';
+
+// Scanned response letters are OCR'd like scanned reports
+export const maxDuration = 300;
+
+// Upload a bureau's reinvestigation results letter ("file") for a client
+// ("clientId"). Each result is matched to the client's open disputes, whose
+// outcome and response date are recorded. "bureau" (TU, EX or EQ) overrides
+// the bureau read from the letter.
+export async function POST(req) {
+  try {
+    var formData = await req.formData();
+    var file = formData.get('file');
+    if (!file || typeof file === 'string') {
+      return NextResponse.json({ error: 'Missing file upload. Expected form field name: "file".' }, { status: 400 });
+    }
+    var bureau = formData.get('bureau') || null;
+    if (bureau && ['TU', 'EX', 'EQ'].indexOf(bureau) === -1) {
+      return NextResponse.json({ error: 'Unknown bureau "' + bureau + '" - expected TU, EX or EQ' }, { status: 400 });
+    }
+
+    var store = getAuditStore();
+    var clientId = formData.get('clientId');
+    var client = typeof clientId === 'string' && clientId.trim() ? await store.getClient(clientId.trim()) : null;
+    if (!client) {
+      return NextResponse.json({ error: 'Client not found: ' + (clientId || '(none given)') }, { status: 404 });
+    }
+
+    var buffer = Buffer.from(await file.arrayBuffer());
+    var format = detectInputFormat(file.name, buffer);
+    if (!format || format === 'json') {
+      return NextResponse.json({ error: 'Upload the response letter as a PDF, HTML or MHT file.' }, { status: 400 });
+    }
+    var input = await readReportInput(buffer, file.name);
+    var response = parseBureauResponse(input.text);
+    if (response.items.length === 0) {
+      return NextResponse.json({ error: 'No investigation results found in the uploaded letter.', textLength: input.text.length }, { status: 422 });
+    }
+    bureau = bureau || response.bureau;
+    if (!bureau) {
+      return NextResponse.json({ error: 'Could not tell which bureau sent this letter - send the "bureau" field (TU, EX or EQ).' }, { status: 422 });
+    }
+
+    // Latest audit's findings name the finding an unmatched item would answer
+    var audits = await store.listAudits({ clientId: client.id });
+    var latest = audits.length > 0 ? await store.getAudit(audits[0].id) : null;
+    var result = reconcileResponse(response, await store.listDisputes({ clientId: client.id }), {
+      history: client.disputeHistory || [],
+      findings: latest ? latest.findings || [] : [],
+      bureau: bureau
+    });
+
+    var updated = [];
+    for (var i = 0; i < result.updates.length; i++) {
+      updated.push(describeDispute(await store.updateDispute(result.updates[i].id, result.updates[i].fields)));
+    }
+
+    return NextResponse.json({ ...result, disputes: updated });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { getAuditStore } from '../../../lib/auditStore';
+import { describeDispute } from '../../../lib/disputeTracker';
+
+export const runtime = 'nodejs';
+
+// Dispute records with their deadline and status, oldest first. Filter by
+// ?clientId= or ?auditId=, and ?overdue=1 for the letters due an escalation.
+export async function GET(request) {
+  try {
+    var url = new URL(request.url);
+    var records = await getAuditStore().listDisputes({
+      clientId: url.searchParams.get('clientId') || undefined,
+      auditId: url.searchParams.get('auditId') || undefined
+    });
+    var disputes = records.map(function(record) { return describeDispute(record); });
+    if (url.searchParams.get('overdue') === '1') {
+      disputes = disputes.filter(function(dispute) { return dispute.overdue; });
+    }
+    return NextResponse.json({ disputes: disputes });
+  } catch (error) {
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -1,7 +1,8 @@
 import { NextResponse } from 'next/server';
-import { readFile } from 'fs/promises';
-import { existsSync } from 'fs';
 import path from 'path';
+import { getAuditStore } from '../../../lib/auditStore';
+import { buildFurnisherLetters, formatLetterText } from '../../../lib/furnisherLetters';
+import { roundLetterContent } from '../../../lib/disputeRounds';
 
 export async function GET(request) {
   try {
@@ -13,13 +14,29 @@ export async function GET(request) {
       return NextResponse.json({ error: 'Missing audit ID' }, { status: 400 });
     }
 
-    var auditDir = path.join('/tmp', 'audits', auditId);
-    if (!existsSync(auditDir)) {
+    var store = getAuditStore();
+    var auditData = await store.getAudit(auditId);
+    if (!auditData) {
       return NextResponse.json({ error: 'Audit not found' }, { status: 404 });
     }
 
-    var auditJson = await readFile(path.join(auditDir, 'audit.json'), 'utf8');
-    var auditData = JSON.parse(auditJson);
+    // Stored files - the uploaded report and generated documents - are served as-is
+    if (type === 'upload') {
+      var report = await store.getReport(auditId);
+      if (!report) {
+        return NextResponse.json({ error: 'Uploaded report not stored for this audit' }, { status: 404 });
+      }
+      return fileResponse(report.buffer, report.filename);
+    }
+    if (type === 'document') {
+      var name = url.searchParams.get('name');
+      var document = name ? await store.getDocument(auditId, name) : null;
+      if (!document) {
+        return NextResponse.json({ error: 'Document not found', documents: await store.listDocuments(auditId) }, { status: 404 });
+      }
+      return fileResponse(document, path.basename(name));
+    }
+
     var clientName = (auditData.client && auditData.client.name ? auditData.client.name : 'Client').replace(/[^a-zA-Z0-9]/g, '_');
 
     var content = '';
@@ -37,6 +54,12 @@ export async function GET(request) {
     } else if (type === 'letters') {
       content = generateLetters(auditData);
       filename = clientName + '_Dispute_Letters.txt';
+    } else if (type === 'results') {
+      if (!auditData.reportDiff) {
+        return NextResponse.json({ error: 'No previous report to compare - results need a second audit for this client' }, { status: 404 });
+      }
+      content = generateResults(auditData);
+      filename = clientName + '_Results_Report.txt';
     } else if (type === 'all') {
       content = generateAll(auditData);
       filename = clientName + '_Complete_Package.txt';
@@ -56,6 +79,27 @@ export async function GET(request) {
   }
 }
 
+var CONTENT_TYPES = {
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.pdf': 'application/pdf',
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.mht': 'multipart/related',
+  '.mhtml': 'multipart/related',
+  '.txt': 'text/plain; charset=utf-8'
+};
+
+function fileResponse(buffer, filename) {
+  var contentType = CONTENT_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+  return new NextResponse(buffer, {
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': 'attachment; filename="' + filename.replace(/["\\]/g, '_') + '"'
+    }
+  });
+}
+
 function generateSummary(data) {
   var findings = data.findings || [];
   var client = data.client || {};
@@ -70,7 +114,14 @@ function generateSummary(data) {
   out += '           CREDIT FORENSIC AUDIT - EXECUTIVE SUMMARY\n';
   out += '================================================================\n\n';
   out += 'Client: ' + (client.name || 'N/A') + '\n';
-  out += 'Date: ' + new Date().toLocaleDateString() + '\n\n';
+  out += 'Date: ' + new Date().toLocaleDateString() + '\n';
+  if (data.provider) {
+    out += 'Report Format: ' + data.provider.name + ' (adapter v' + data.provider.version + ')\n';
+    if (data.provider.ocr) {
+      out += 'Text Source: OCR (' + data.provider.ocr.confidence + '% mean confidence)\n';
+    }
+  }
+  out += '\n';
   out += 'FINDINGS: ' + findings.length + ' total\n';
   out += '  Critical: ' + c + '\n';
   out += '  High: ' + h + '\n';
@@ -100,6 +151,16 @@ function generateReport(data) {
     out += 'Action: ' + f.action + '\n';
     out += 'Legal Basis: ' + f.basis + '\n\n';
   }
+  var records = data.publicRecords || [];
+  if (records.length > 0) {
+    out += 'PUBLIC RECORDS\n';
+    out += '----------------------------------------------------------------\n';
+    for (var r = 0; r < records.length; r++) {
+      var rec = records[r];
+      out += rec.bureau + ' - ' + (rec.description || rec.type) + (rec.referenceNumber ? ' (#' + rec.referenceNumber + ')' : '') + '\n';
+      out += 'Status: ' + (rec.status || 'N/A') + ' | Filed: ' + (rec.dateFiled || 'N/A') + ' | Resolved: ' + (rec.dateResolved || 'N/A') + '\n\n';
+    }
+  }
   return out;
 }
 
@@ -116,7 +177,7 @@ function generatePlan(data) {
     if (items.length > 0) {
       out += labels[p] + ':\n';
       for (var i = 0; i < items.length; i++) {
-        out += '[ ] ' + items[i].item + '\n';
+        out += '[ ] ' + items[i].item + (items[i].disputeRound > 1 ? ' (Round ' + items[i].disputeRound + ')' : '') + '\n';
       }
       out += '\n';
     }
@@ -139,23 +200,91 @@ function generateLetters(data) {
     for (var b = 0; b < bList.length; b++) {
       var bureau = bList[b];
       var info = bureaus[bureau] || {name: bureau, addr: ''};
+      var status = f.disputeRounds && f.disputeRounds[bureau];
+      if (status && status.awaitingResponse) continue;
+      var round = roundLetterContent(f, bureau, info.name);
       out += '================================================================\n';
-      out += 'DISPUTE LETTER - ' + info.name + '\n';
+      out += (round.round > 1 ? round.title.toUpperCase() + ' (ROUND ' + round.round + ')' : 'DISPUTE LETTER') + ' - ' + info.name + '\n';
       out += '================================================================\n\n';
       out += new Date().toLocaleDateString() + '\n\n';
       out += info.name + '\n' + info.addr + '\n\n';
-      out += 'RE: Dispute - ' + f.item + '\n\n';
-      out += 'To Whom It May Concern:\n\n';
-      out += 'I dispute: ' + f.item + '\n';
-      out += 'Reason: ' + f.evidence + '\n';
-      out += 'Legal Basis: ' + f.basis + '\n\n';
-      out += 'Please investigate within 30 days per FCRA Section 611.\n\n';
-      out += 'Sincerely,\n' + (client.name || '[Your Name]') + '\n\n\n';
+      if (round.round > 1) {
+        out += round.subject + '\n';
+        out += 'Account: ' + f.item + '\n\n';
+        out += 'To Whom It May Concern:\n\n';
+        out += round.paragraphs.join('\n\n') + '\n\n';
+        out += 'Reason: ' + f.evidence + '\n';
+        out += 'Legal Basis: ' + f.basis + '; ' + round.basis + '\n\n';
+        out += round.request + '\n\n';
+        out += round.notice + '\n\n';
+      } else {
+        out += 'RE: Dispute - ' + f.item + '\n\n';
+        out += 'To Whom It May Concern:\n\n';
+        out += 'I dispute: ' + f.item + '\n';
+        out += 'Reason: ' + f.evidence + '\n';
+        out += 'Legal Basis: ' + f.basis + '\n\n';
+        out += 'Please investigate within 30 days per FCRA Section 611.\n\n';
+      }
+      out += 'Sincerely,\n' + (client.name || '[Your Name]') + '\n';
+      out += (client.address || '[Your Address]') + '\n';
+      out += 'SSN Last 4: ' + (client.ssnLast4 || 'XXXX') + '\n';
+      out += 'Date of Birth: ' + (client.dob || 'XX/XX/XXXX') + '\n\n\n';
     }
   }
+  var furnisherLetters = data.furnisherLetters || buildFurnisherLetters(findings);
+  for (var l = 0; l < furnisherLetters.length; l++) {
+    var letter = furnisherLetters[l];
+    out += '================================================================\n';
+    out += letter.title.toUpperCase() + ' - ' + letter.furnisher.name + '\n';
+    out += '================================================================\n\n';
+    out += formatLetterText(letter, client) + '\n\n\n';
+  }
+  return out;
+}
+
+var DIFF_HEADINGS = {
+  deleted: 'ITEMS DELETED',
+  corrected: 'ITEMS CORRECTED',
+  reinserted: 'ITEMS REINSERTED',
+  added: 'NEW ITEMS'
+};
+
+function generateResults(data) {
+  var diff = data.reportDiff;
+  var s = diff.summary;
+  var out = '';
+  out += '================================================================\n';
+  out += '                    AXIS GROWTH LLC\n';
+  out += '                    RESULTS REPORT\n';
+  out += '================================================================\n\n';
+  out += 'Client: ' + ((data.client && data.client.name) || 'N/A') + '\n';
+  out += 'Compared with audit: ' + (diff.previousAuditId || 'previous report') + '\n\n';
+  out += 'Deleted: ' + s.deleted + '  Corrected: ' + s.corrected + '  Reinserted: ' + s.reinserted + '  New: ' + s.added + '  Unchanged: ' + s.unchanged + '\n';
+  out += 'Findings resolved: ' + s.findingsResolved + '  Still open: ' + s.findingsOpen + '  New: ' + s.findingsNew + '\n';
+  Object.keys(DIFF_HEADINGS).forEach(function(status) {
+    var items = diff.items.filter(function(item) { return item.status === status; });
+    if (items.length === 0) return;
+    out += '\n' + DIFF_HEADINGS[status] + '\n';
+    items.forEach(function(item) {
+      out += '- [' + item.bureau + '] ' + item.label + '\n';
+      item.changes.forEach(function(c) {
+        out += '    ' + c.label + ': ' + (c.before == null ? 'none' : c.before) + ' -> ' + (c.after == null ? 'none' : c.after) + '\n';
+      });
+    });
+  });
+  if (diff.findings.resolved.length > 0) {
+    out += '\nFINDINGS RESOLVED\n';
+    diff.findings.resolved.forEach(function(f) { out += '- ' + f.item + ' (' + f.type + ')\n'; });
+  }
+  if (diff.findings.open.length > 0) {
+    out += '\nFINDINGS STILL OPEN\n';
+    diff.findings.open.forEach(function(f) { out += '- ' + f.item + ' (' + f.type + ')\n'; });
+  }
   return out;
 }
 
 function generateAll(data) {
-  return generateSummary(data) + '\n\n' + generateReport(data) + '\n\n' + generatePlan(data) + '\n\n' + generateLetters(data);
+  var out = generateSummary(data) + '\n\n' + generateReport(data) + '\n\n' + generatePlan(data) + '\n\n' + generateLetters(data);
+  if (data.reportDiff) out += '\n\n' + generateResults(data);
+  return out;
 }
@@ -1,6 +1,7 @@
 'use client';
 
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
+import { roundLetterContent } from '../lib/disputeRounds';
 
 export default function Home() {
   const [stage, setStage] = useState('upload');
@@ -9,14 +10,104 @@ export default function Home() {
   const [auditResults, setAuditResults] = useState(null);
   const [error, setError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
+  const [clients, setClients] = useState([]);
+  const [clientId, setClientId] = useState('');
+  const [clientHistory, setClientHistory] = useState(null);
+  const [disputes, setDisputes] = useState([]);
+  const [disputeError, setDisputeError] = useState(null);
+  const [responseResult, setResponseResult] = useState(null);
   const fileInputRef = useRef(null);
 
+  // Saved clients, so a month-two report can be added to the same person
+  const loadClients = async function() {
+    try {
+      const response = await fetch('/api/clients');
+      if (response.ok) {
+        const data = await response.json();
+        setClients(data.clients || []);
+      }
+    } catch (err) {
+      setClients([]);
+    }
+  };
+
+  const loadClientHistory = async function(id) {
+    try {
+      const response = await fetch('/api/clients/' + id);
+      setClientHistory(response.ok ? await response.json() : null);
+    } catch (err) {
+      setClientHistory(null);
+    }
+  };
+
+  // Every dispute letter generated for the client, with deadline and status
+  const loadDisputes = async function(id) {
+    try {
+      const response = await fetch('/api/disputes?clientId=' + encodeURIComponent(id));
+      if (response.ok) {
+        const data = await response.json();
+        setDisputes(data.disputes || []);
+      }
+    } catch (err) {
+      setDisputes([]);
+    }
+  };
+
+  // Record a mailing or the bureau's response from a tracker row's form
+  const handleDisputeUpdate = async function(e, dispute) {
+    e.preventDefault();
+    const form = new FormData(e.target);
+    const fields = {};
+    ['mailedDate', 'trackingNumber', 'outcome', 'respondedDate'].forEach(function(field) {
+      const value = form.get(field);
+      fields[field] = value ? value : null;
+    });
+    try {
+      const response = await fetch('/api/disputes/' + dispute.id, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(fields),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Update failed');
+      setDisputeError(null);
+      loadDisputes(dispute.clientId);
+    } catch (err) {
+      setDisputeError(err.message);
+    }
+  };
+
+  // Bureau reinvestigation results letter - records the outcome on each
+  // open dispute it answers
+  const handleResponseUpload = async function(e) {
+    const responseFile = e.target.files[0];
+    e.target.value = '';
+    if (!responseFile || !auditResults) return;
+    const formData = new FormData();
+    formData.append('file', responseFile);
+    formData.append('clientId', auditResults.clientId);
+    try {
+      const response = await fetch('/api/disputes/responses', { method: 'POST', body: formData });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Response upload failed');
+      setDisputeError(null);
+      setResponseResult(data);
+      loadDisputes(auditResults.clientId);
+    } catch (err) {
+      setDisputeError(err.message);
+    }
+  };
+
+  useEffect(function() {
+    loadClients();
+  }, []);
+
   const handleFileSelect = function(selectedFile) {
-    if (selectedFile && selectedFile.type === 'application/pdf') {
+    if (selectedFile && /\.(pdf|html?|mht|mhtml|json)$/i.test(selectedFile.name)) {
       setFile(selectedFile);
       setError(null);
     } else {
-      setError('Please upload a PDF file');
+      setError('Please upload a PDF, HTML, MHT or JSON credit report');
     }
   };
 
@@ -29,6 +120,7 @@ export default function Home() {
     try {
       const formData = new FormData();
       formData.append('file', file);
+      if (clientId) formData.append('clientId', clientId);
 
       const progressSteps = [
         { step: 1, message: 'Uploading credit report...' },
@@ -62,6 +154,11 @@ export default function Home() {
       const results = await response.json();
       setAuditResults(results);
       setStage('results');
+      if (results.clientId) {
+        setClientId(results.clientId);
+        loadClientHistory(results.clientId);
+        loadDisputes(results.clientId);
+      }
 
     } catch (err) {
       setError(err.message);
@@ -69,12 +166,18 @@ export default function Home() {
     }
   };
 
+  // Keeps the selected client so the next upload joins the same history
   const handleReset = function() {
     setStage('upload');
     setFile(null);
     setProgress({ step: 0, message: '' });
     setAuditResults(null);
+    setClientHistory(null);
+    setDisputes([]);
+    setDisputeError(null);
+    setResponseResult(null);
     setError(null);
+    loadClients();
   };
 
   const handleDragOver = function(e) {
@@ -172,6 +275,12 @@ export default function Home() {
     content += '═══════════════════════════════════════════════════════════════\n\n';
     content += 'Client: ' + (client.name || 'N/A') + '\n';
     content += 'Date: ' + new Date().toLocaleDateString() + '\n';
+    if (auditResults.provider) {
+      content += 'Report Format: ' + auditResults.provider.name + ' (adapter v' + auditResults.provider.version + ')\n';
+      if (auditResults.provider.ocr) {
+        content += 'Text Source: OCR (' + auditResults.provider.ocr.confidence + '% mean confidence)\n';
+      }
+    }
     content += 'Total Findings: ' + findings.length + '\n\n';
 
     for (let i = 0; i < findings.length; i++) {
@@ -186,7 +295,28 @@ export default function Home() {
       content += 'Evidence:\n' + f.evidence + '\n\n';
       content += 'Action Required:\n' + f.action + '\n\n';
       content += 'Legal Basis: ' + f.basis + '\n';
-      content += 'Timeline: ' + f.timeline + '\n\n';
+      content += 'Timeline: ' + f.timeline + '\n';
+      if (f.lowConfidenceFields) {
+        content += 'Verify: ' + f.cannotConfirm + '\n';
+      }
+      content += '\n';
+    }
+
+    const publicRecords = auditResults.publicRecords || [];
+    if (publicRecords.length > 0) {
+      content += '═══════════════════════════════════════════════════════════════\n';
+      content += '                      PUBLIC RECORDS\n';
+      content += '═══════════════════════════════════════════════════════════════\n\n';
+      for (let i = 0; i < publicRecords.length; i++) {
+        const r = publicRecords[i];
+        content += r.bureau + ' - ' + (r.description || r.type) + (r.referenceNumber ? ' (#' + r.referenceNumber + ')' : '') + '\n';
+        content += '  Status: ' + (r.status || 'N/A') + '\n';
+        content += '  Filed: ' + (r.dateFiled || 'N/A') + '   Resolved: ' + (r.dateResolved || 'N/A') + '\n';
+        if (r.amount != null || r.liability != null) {
+          content += '  Amount: $' + (r.amount != null ? r.amount : r.liability) + '\n';
+        }
+        content += '\n';
+      }
     }
 
     const clientName = (client.name || 'Client').replace(/[^a-zA-Z0-9]/g, '_');
@@ -278,35 +408,67 @@ export default function Home() {
       for (let j = 0; j < bureaus.length; j++) {
         const bureau = bureaus[j];
         const info = bureauInfo[bureau] || { name: bureau, address: 'Address not available' };
+        const status = f.disputeRounds && f.disputeRounds[bureau];
+        if (status && status.awaitingResponse) continue;
+        const round = roundLetterContent(f, bureau, info.name);
 
         content += '═══════════════════════════════════════════════════════════════\n';
-        content += 'DISPUTE LETTER - ' + info.name + ' - Finding #' + (i + 1) + '\n';
+        content += (round.round > 1 ? round.title.toUpperCase() + ' (ROUND ' + round.round + ')' : 'DISPUTE LETTER') + ' - ' + info.name + ' - Finding #' + (i + 1) + '\n';
         content += '═══════════════════════════════════════════════════════════════\n\n';
         content += new Date().toLocaleDateString() + '\n\n';
         content += info.name + '\n';
         content += info.address + '\n\n';
-        content += 'RE: Dispute of Inaccurate Credit Information\n';
+        content += round.subject + '\n';
         content += 'Account: ' + f.item + '\n\n';
         content += 'To Whom It May Concern:\n\n';
-        content += 'I am writing to dispute inaccurate information appearing on my\n';
-        content += info.name + ' credit report. Under the Fair Credit Reporting Act\n';
-        content += '(FCRA), I have the right to dispute incomplete or inaccurate\n';
-        content += 'information.\n\n';
+        content += round.paragraphs.join('\n\n') + '\n\n';
         content += 'DISPUTED ITEM:\n';
         content += f.item + '\n\n';
         content += 'REASON FOR DISPUTE:\n';
         content += f.evidence + '\n\n';
         content += 'LEGAL BASIS:\n';
-        content += f.basis + '\n\n';
-        content += 'I request that you investigate this matter and either verify\n';
-        content += 'the accuracy of this information or remove/correct it from my\n';
-        content += 'credit file within 30 days as required by FCRA Section 611.\n\n';
+        content += f.basis + (round.round > 1 ? '; ' + round.basis : '') + '\n\n';
+        content += round.request + '\n\n';
+        content += round.notice + '\n\n';
         content += 'Sincerely,\n\n';
         content += '_______________________________\n';
-        content += (client.name || '[Your Name]') + '\n\n\n';
+        content += (client.name || '[Your Name]') + '\n';
+        content += (client.address || '[Your Address]') + '\n';
+        content += 'SSN Last 4: ' + (client.ssnLast4 || 'XXXX') + '\n';
+        content += 'Date of Birth: ' + (client.dob || 'XX/XX/XXXX') + '\n\n\n';
       }
     }
 
+    // Letters to the furnisher itself - validation, direct dispute, goodwill, pay-for-delete
+    const furnisherLetters = auditResults.furnisherLetters || [];
+    for (let i = 0; i < furnisherLetters.length; i++) {
+      const letter = furnisherLetters[i];
+
+      content += '═══════════════════════════════════════════════════════════════\n';
+      content += letter.title.toUpperCase() + ' - ' + letter.furnisher.name + '\n';
+      content += '═══════════════════════════════════════════════════════════════\n\n';
+      content += new Date().toLocaleDateString() + '\n\n';
+      content += letter.recipient.name + '\n';
+      content += letter.recipient.addressLines.join('\n') + '\n\n';
+      content += letter.subject + '\n';
+      content += 'Account: ' + letter.reference + '\n\n';
+      content += 'To Whom It May Concern:\n\n';
+      content += letter.paragraphs.join('\n\n') + '\n\n';
+      if (letter.issues.length > 0) {
+        content += letter.issuesHeading + '\n';
+        content += letter.issues.map(function(issue) { return '- ' + issue.label + ': ' + issue.text; }).join('\n') + '\n\n';
+      }
+      content += letter.requestsHeading + '\n';
+      content += letter.requests.map(function(r) { return '- ' + r; }).join('\n') + '\n\n';
+      content += 'LEGAL BASIS:\n';
+      content += letter.basis + '\n\n';
+      content += letter.closing + '\n\n';
+      content += 'Sincerely,\n\n';
+      content += '_______________________________\n';
+      content += (client.name || '[Your Name]') + '\n';
+      content += (client.address || '[Your Address]') + '\n\n\n';
+    }
+
     const clientName = (client.name || 'Client').replace(/[^a-zA-Z0-9]/g, '_');
     downloadFile(content, clientName + '_Dispute_Letters.txt');
   };
@@ -439,6 +601,24 @@ export default function Home() {
 
             <div className="max-w-2xl mx-auto">
               <div className="bg-white rounded-2xl shadow-sm border border-gray-200 overflow-hidden">
+                <div className="px-4 pt-4">
+                  <label htmlFor="client" className="block text-sm font-medium text-gray-700 mb-1">Client</label>
+                  <select
+                    id="client"
+                    value={clientId}
+                    onChange={function(e) { setClientId(e.target.value); }}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-gray-900"
+                  >
+                    <option value="">New client (from report)</option>
+                    {clients.map(function(c) {
+                      return (
+                        <option key={c.id} value={c.id}>
+                          {(c.name || 'Unnamed client') + ' - ' + c.auditCount + ' audit' + (c.auditCount === 1 ? '' : 's') + (c.latestAudit ? ', last ' + new Date(c.latestAudit.createdAt).toLocaleDateString() : '')}
+                        </option>
+                      );
+                    })}
+                  </select>
+                </div>
                 <div
                   className={"p-12 border-2 border-dashed rounded-xl m-4 transition-all cursor-pointer " + 
                     (isDragging ? "border-blue-600 bg-blue-50" : 
@@ -452,7 +632,7 @@ export default function Home() {
                   <input
                     ref={fileInputRef}
                     type="file"
-                    accept=".pdf"
+                    accept=".pdf,.html,.htm,.mht,.mhtml,.json"
                     onChange={function(e) { handleFileSelect(e.target.files[0]); }}
                     className="hidden"
                   />
@@ -469,7 +649,7 @@ export default function Home() {
                           Drop your credit report here
                         </p>
                         <p className="text-sm text-gray-500 mb-4">or click to browse</p>
-                        <p className="text-xs text-gray-400">Supports PDF files from IdentityIQ, MyFreeScoreNow, SmartCredit, etc.</p>
+                        <p className="text-xs text-gray-400">Supports PDF, saved HTML/MHT pages and JSON exports from IdentityIQ, MyFreeScoreNow, SmartCredit, etc.</p>
                       </>
                     ) : (
                       <>
@@ -639,8 +819,169 @@ export default function Home() {
                   ⬇️ Download Complete Package
                 </button>
               </div>
+              {auditResults.auditId && (
+                <div className="mt-4 pt-4 border-t border-gray-200 text-sm text-gray-600">
+                  <div className="mb-2">
+                    Audit ID: <span className="font-mono">{auditResults.auditId}</span>
+                    {' | '}
+                    <a href={'/api/download?id=' + auditResults.auditId + '&type=upload'} className="text-blue-700 hover:underline">Original report</a>
+                  </div>
+                  {auditResults.documents && auditResults.documents.length > 0 && (
+                    <ul className="space-y-1">
+                      {auditResults.documents.map(function(name) {
+                        return (
+                          <li key={name}>
+                            <a href={'/api/download?id=' + auditResults.auditId + '&type=document&name=' + encodeURIComponent(name)} className="text-blue-700 hover:underline">{name}</a>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  )}
+                </div>
+              )}
             </div>
 
+            {/* Audit History */}
+            {clientHistory && clientHistory.audits && clientHistory.audits.length > 0 && (
+              <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 mb-8">
+                <h2 className="text-xl font-bold text-gray-900 mb-4">🗂️ Audit History - {clientHistory.client.name || 'Client'}</h2>
+                <ol className="space-y-3">
+                  {clientHistory.audits.map(function(audit, i) {
+                    const current = audit.id === auditResults.auditId;
+                    return (
+                      <li key={audit.id} className={"flex items-center justify-between p-3 rounded-lg " + (current ? "bg-blue-50 border border-blue-200" : "bg-gray-50")}>
+                        <div>
+                          <div className="font-medium text-gray-900">
+                            Report {i + 1} - {new Date(audit.createdAt).toLocaleDateString()}{current ? ' (this audit)' : ''}
+                          </div>
+                          <div className="text-sm text-gray-500">
+                            {(audit.report ? audit.report.filename : 'Report') + ' | ' + audit.findings + ' issues (' + audit.severity.critical + ' critical, ' + audit.severity.high + ' high)'}
+                          </div>
+                        </div>
+                        <a href={'/api/download?id=' + audit.id + '&type=summary'} className="text-sm text-blue-700 hover:underline">Summary</a>
+                      </li>
+                    );
+                  })}
+                </ol>
+              </div>
+            )}
+
+            {/* Results since the previous report */}
+            {auditResults.reportDiff && (
+              <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 mb-8">
+                <h2 className="text-xl font-bold text-gray-900 mb-4">📈 Results Since Last Report</h2>
+                <div className="grid grid-cols-5 gap-3 mb-4 text-center">
+                  {[['deleted', 'Deleted'], ['corrected', 'Corrected'], ['reinserted', 'Reinserted'], ['added', 'New'], ['unchanged', 'Unchanged']].map(function(entry) {
+                    return (
+                      <div key={entry[0]} className={"p-3 rounded-lg " + (entry[0] === 'reinserted' && auditResults.reportDiff.summary.reinserted > 0 ? "bg-red-50" : "bg-gray-50")}>
+                        <div className="text-2xl font-bold text-gray-900">{auditResults.reportDiff.summary[entry[0]]}</div>
+                        <div className="text-sm text-gray-500">{entry[1]}</div>
+                      </div>
+                    );
+                  })}
+                </div>
+                <p className="text-sm text-gray-600 mb-3">
+                  {auditResults.reportDiff.summary.findingsResolved} finding(s) resolved, {auditResults.reportDiff.summary.findingsOpen} still open, {auditResults.reportDiff.summary.findingsNew} new.
+                </p>
+                <a href={'/api/download?id=' + auditResults.auditId + '&type=results'} className="text-sm text-blue-700 hover:underline">Download Results Report (TXT)</a>
+              </div>
+            )}
+
+            {/* Dispute Tracker */}
+            {disputes.length > 0 && (
+              <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 mb-8">
+                <h2 className="text-xl font-bold text-gray-900 mb-2">📬 Dispute Tracker</h2>
+                <p className="text-sm text-gray-600 mb-4">
+                  Record when each letter is mailed and what the bureau answered. Bureaus have 30 days to respond (45 if you sent more information); overdue letters get an escalation letter on the next audit.
+                </p>
+                <label className="inline-block mb-4 text-sm text-blue-700 hover:underline cursor-pointer">
+                  Upload bureau response letter (PDF)
+                  <input type="file" accept=".pdf,.html,.htm,.mht,.mhtml" onChange={handleResponseUpload} className="hidden" />
+                </label>
+                {disputeError && <p className="text-sm text-red-600 mb-3">{disputeError}</p>}
+                {responseResult && (
+                  <div className="text-sm text-gray-700 bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
+                    <div className="font-semibold mb-1">
+                      {responseResult.bureau + ' response of ' + responseResult.responseDate + ': ' + responseResult.updates.length + ' of ' + responseResult.items.length + ' item(s) matched to open disputes'}
+                    </div>
+                    {responseResult.nextRound.map(function(r) {
+                      return <div key={r.disputeId}>{'→ Verified - round ' + r.nextRound + ' letter (' + r.letterType.replace(/_/g, ' ') + '): ' + r.item}</div>;
+                    })}
+                    {responseResult.recheck.map(function(r) {
+                      return <div key={r.disputeId}>{'~ Updated - recheck on the next report: ' + r.item}</div>;
+                    })}
+                    {responseResult.resolved.map(function(r) {
+                      return <div key={r.disputeId}>{'✓ Deleted: ' + r.item}</div>;
+                    })}
+                    {responseResult.unmatched.map(function(r, i) {
+                      return <div key={'u' + i} className="text-gray-500">{'? No open dispute for ' + r.name + ' (' + r.result + ')'}</div>;
+                    })}
+                  </div>
+                )}
+                <div className="space-y-3">
+                  {disputes.map(function(dispute) {
+                    // Date inputs need YYYY-MM-DD; the CLI records MM/DD/YYYY
+                    const inputDate = function(value) {
+                      const m = String(value || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+                      return m ? m[3] + '-' + m[1] + '-' + m[2] : (value || '');
+                    };
+                    const badge = {
+                      not_mailed: 'bg-gray-100 text-gray-700',
+                      awaiting_response: 'bg-blue-100 text-blue-800',
+                      overdue: 'bg-red-100 text-red-800',
+                      closed: 'bg-green-100 text-green-800',
+                    }[dispute.status];
+                    return (
+                      <form key={dispute.id} onSubmit={function(e) { handleDisputeUpdate(e, dispute); }} className="p-3 bg-gray-50 rounded-lg">
+                        <div className="flex items-center justify-between mb-2">
+                          <div className="text-sm">
+                            <span className="font-semibold text-gray-900">{dispute.bureau + ' - ' + dispute.item}</span>
+                            <span className="text-gray-500">{' | Round ' + dispute.round + (dispute.deadline ? ' | Due ' + dispute.deadline : '')}</span>
+                          </div>
+                          <span className={"px-2 py-1 text-xs font-semibold rounded " + badge}>{dispute.status.replace(/_/g, ' ')}</span>
+                        </div>
+                        <div className="grid grid-cols-5 gap-2 text-sm">
+                          <input type="date" name="mailedDate" defaultValue={inputDate(dispute.mailedDate)} title="Mailed" className="border border-gray-300 rounded px-2 py-1" />
+                          <input type="text" name="trackingNumber" defaultValue={dispute.trackingNumber || ''} placeholder="Certified mail #" className="border border-gray-300 rounded px-2 py-1" />
+                          <select name="outcome" defaultValue={dispute.outcome || ''} className="border border-gray-300 rounded px-2 py-1">
+                            <option value="">No response yet</option>
+                            <option value="verified">Verified</option>
+                            <option value="deleted">Deleted</option>
+                            <option value="updated">Updated</option>
+                            <option value="no_response">No response</option>
+                          </select>
+                          <input type="date" name="respondedDate" defaultValue={inputDate(dispute.respondedDate)} title="Responded" className="border border-gray-300 rounded px-2 py-1" />
+                          <button type="submit" className="bg-blue-700 text-white rounded px-2 py-1 font-medium hover:bg-blue-800">Save</button>
+                        </div>
+                      </form>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
+            {/* Parse Quality */}
+            {auditResults.parseQuality && auditResults.parseQuality.status === 'needs_review' && (
+              <div className="bg-amber-50 rounded-2xl border border-amber-200 p-6 mb-8">
+                <h2 className="text-xl font-bold text-gray-900 mb-2">⚠ Needs Review</h2>
+                <p className="text-sm text-gray-700 mb-4">
+                  {auditResults.parseQuality.summary.needsReview} record(s) have critical fields that could not be read or were read with low confidence. Check them against the original report before sending disputes.
+                </p>
+                <div className="space-y-2">
+                  {auditResults.parseQuality.needsReview.slice(0, 5).map(function(r, i) {
+                    const fields = r.missing.map(function(m) { return m.field + ' ' + m.reason; })
+                      .concat(r.lowConfidence.map(function(l) { return l.field + ' low confidence'; }));
+                    return (
+                      <div key={i} className="text-sm">
+                        <span className="font-semibold text-gray-900">{(r.bureau ? r.bureau + ' ' : '') + r.item}</span>
+                        <span className="text-gray-600">{' - ' + fields.join(', ')}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+
             {/* Findings Preview */}
             <div className="bg-white rounded-2xl shadow-sm border border-gray-200 p-6 mb-8">
               <h2 className="text-xl font-bold text-gray-900 mb-4">🔍 Top Findings</h2>
@@ -658,6 +999,9 @@ export default function Home() {
                       <div className="flex-1">
                         <div className="font-semibold text-gray-900">{finding.item}</div>
                         <div className="text-sm text-gray-600">{finding.evidence}</div>
+                        {finding.lowConfidenceFields && (
+                          <div className="text-xs text-amber-700 mt-1">⚠ Low-confidence parsed values - verify against the original report</div>
+                        )}
                       </div>
                     </div>
                   );
@@ -0,0 +1,320 @@
+// ============================================================================
+// AXIS GROWTH - Account Matcher
+// Decides which per-bureau records describe the same account. Bureaus spell
+// furnishers differently ("CAPITAL ONE" vs "CAP ONE BANK USA") and mask
+// different digits of the account number, so candidate pairs are scored on
+// creditor name (with aliases from the furnisher directory), account-number
+// fragments, open date, credit limit and balance instead of being keyed on
+// a name prefix. Decisions are returned with their scores and can be
+// overridden from the audit JSON.
+// ============================================================================
+
+const { editDistance } = require('./parsePersonalInfo.js');
+const { compareReportDates } = require('./reportDates.js');
+const { nameTokens, creditorKey, findFurnisher } = require('./furnisherDirectory.js');
+
+// Pair scores at or above this are the same account
+const MATCH_THRESHOLD = 0.7;
+
+// Creditor similarity at or above this is the same furnisher
+const CREDITOR_MATCH_THRESHOLD = 0.75;
+
+// Below this the pair is not a candidate and no decision is recorded
+const CANDIDATE_THRESHOLD = 0.5;
+
+// Relative weight of each comparison in the evidence part of the score
+const EVIDENCE_WEIGHTS = { accountNumber: 3, openDate: 2, creditLimit: 1, balance: 0.5 };
+
+const CREDITOR_WEIGHT = 0.4;
+
+const commonPrefix = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+};
+
+/**
+ * How alike two creditor names are, 0 to 1: 1 for the same key, 0.9 when
+ * one key starts with the other or they share the first 10 characters
+ * ("MIDLAND" vs "MIDLANDCREDITMG"), else the better of token overlap and
+ * edit-distance similarity, capped below a prefix match.
+ */
+function creditorSimilarity(a, b) {
+  const x = creditorKey(a);
+  const y = creditorKey(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  const shorter = Math.min(x.length, y.length);
+  if (shorter >= 4 && commonPrefix(x, y) >= Math.min(10, shorter)) return 0.9;
+
+  const tx = new Set(nameTokens(a));
+  const ty = new Set(nameTokens(b));
+  const shared = [...tx].filter(t => ty.has(t)).length;
+  const overlap = shared / new Set([...tx, ...ty]).size;
+  const edit = 1 - editDistance(x, y) / Math.max(x.length, y.length);
+  return Math.round(Math.min(0.85, Math.max(overlap, edit)) * 100) / 100;
+}
+
+const sameCreditor = (a, b) => creditorSimilarity(a, b) >= CREDITOR_MATCH_THRESHOLD;
+
+// "XXXX1234", "517805******", "****-1234" -> digits and X placeholders
+const accountMask = (account) => String(account.accountNumberMasked || account.accountNumberPartial || '')
+  .toUpperCase()
+  .replace(/[*#•]/g, 'X')
+  .replace(/[^0-9X]/g, '');
+
+const alignDigits = (a, b, fromRight) => {
+  const length = Math.min(a.length, b.length);
+  let agree = 0;
+  let disagree = 0;
+  for (let i = 0; i < length; i++) {
+    const ca = fromRight ? a[a.length - 1 - i] : a[i];
+    const cb = fromRight ? b[b.length - 1 - i] : b[i];
+    if (ca === 'X' || cb === 'X') continue;
+    if (ca === cb) agree++;
+    else disagree++;
+  }
+  return { agree, disagree };
+};
+
+/**
+ * Compare the visible digits of two account numbers. Masks are aligned from
+ * the right (and from the left when both show leading digits); returns
+ * `{ score, detail }` with score 1 for four or more agreeing digits, 0.5
+ * for fewer, -1 when any visible digit conflicts, and null when the masks
+ * share no visible positions.
+ */
+function compareAccountNumbers(a, b) {
+  const x = accountMask(a);
+  const y = accountMask(b);
+  if (!/\d/.test(x) || !/\d/.test(y)) return { score: null, detail: 'account number not reported' };
+
+  const alignments = [alignDigits(x, y, true)];
+  if (x.length === y.length || (/^\d/.test(x) && /^\d/.test(y))) alignments.push(alignDigits(x, y, false));
+  const best = alignments.sort((p, q) => (q.agree + q.disagree) - (p.agree + p.disagree))[0];
+
+  if (best.disagree > 0) return { score: -1, detail: `"${x}" vs "${y}" conflict` };
+  if (best.agree === 0) return { score: null, detail: `"${x}" vs "${y}" show different digits` };
+  return { score: best.agree >= 4 ? 1 : 0.5, detail: `${best.agree} digit${best.agree === 1 ? '' : 's'} agree` };
+}
+
+/**
+ * How an account number is shown in item labels: "...1234" when the
+ * visible digits are the last ones, the mask itself ("517805XXXXXX") when
+ * the bureau shows leading digits, and "..." when it shows none.
+ */
+function accountNumberLabel(account) {
+  const mask = accountMask(account);
+  if (!/\d/.test(mask)) return '...';
+  return /\d$/.test(mask) ? `...${mask.match(/\d+$/)[0].slice(-4)}` : mask;
+}
+
+const compareOpenDates = (a, b) => {
+  const comparison = compareReportDates(a.openDate, b.openDate);
+  if (!comparison) return { score: null, detail: 'open date not reported' };
+  const score = comparison.days <= 31 ? 1 : comparison.days <= 92 ? 0 : -1;
+  return { score, detail: `${comparison.days} days apart` };
+};
+
+const compareAmounts = (x, y, tolerance) => {
+  if (x == null || y == null || isNaN(Number(x)) || isNaN(Number(y))) return null;
+  return Math.abs(Number(x) - Number(y)) <= Math.max(tolerance.amount, tolerance.percent * Math.max(Number(x), Number(y)));
+};
+
+const compareLimits = (a, b) => {
+  if (!(Number(a.creditLimit) > 0) || !(Number(b.creditLimit) > 0)) return { score: null, detail: 'credit limit not reported' };
+  const same = compareAmounts(a.creditLimit, b.creditLimit, { amount: 50, percent: 0.05 });
+  return { score: same ? 1 : -1, detail: `$${a.creditLimit} vs $${b.creditLimit}` };
+};
+
+// Balances drift between reporting dates, so a difference weighs little
+const compareBalances = (a, b) => {
+  const same = compareAmounts(a.currentBalance, b.currentBalance, { amount: 50, percent: 0.1 });
+  if (same === null) return { score: null, detail: 'balance not reported' };
+  return { score: same ? 1 : -1, detail: `$${a.currentBalance} vs $${b.currentBalance}` };
+};
+
+const accountName = (account) => account.collectorName || account.creditorName || '';
+
+/**
+ * Score whether two per-bureau records are the same account. Returns
+ * `{ score, reasons }`: `score` is 0-1, weighting creditor similarity and
+ * the average of the other comparisons that could be made (0.5 when none
+ * could); conflicting account digits score 0. `reasons` holds each
+ * comparison's score and detail.
+ */
+function scoreAccountPair(a, b) {
+  const creditor = creditorSimilarity(accountName(a), accountName(b));
+  const reasons = {
+    creditor: { score: creditor, detail: `"${accountName(a)}" vs "${accountName(b)}"` },
+    accountNumber: compareAccountNumbers(a, b),
+    openDate: compareOpenDates(a, b),
+    creditLimit: compareLimits(a, b),
+    balance: compareBalances(a, b),
+  };
+  if (reasons.accountNumber.score === -1) return { score: 0, reasons };
+
+  const known = Object.keys(EVIDENCE_WEIGHTS).filter(field => reasons[field].score !== null);
+  const weight = known.reduce((sum, field) => sum + EVIDENCE_WEIGHTS[field], 0);
+  const evidence = weight > 0
+    ? known.reduce((sum, field) => sum + EVIDENCE_WEIGHTS[field] * (reasons[field].score + 1) / 2, 0) / weight
+    : 0.5;
+  const score = CREDITOR_WEIGHT * creditor + (1 - CREDITOR_WEIGHT) * evidence;
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Reference for one per-bureau record, as used in decisions and overrides:
+ * "TU:CAPITAL ONE:1234".
+ */
+const accountRef = (account) => `${account.bureau}:${accountName(account)}:${String(account.accountNumberPartial || '').slice(-4)}`;
+
+/**
+ * Group per-bureau records into accounts. Pairs from different bureaus are
+ * merged best-first while their score reaches MATCH_THRESHOLD, no bureau
+ * appears twice in a group and no two members have conflicting account
+ * digits.
+ *
+ * `overrides` come from the audit JSON's `matchOverrides`:
+ * `{ action: 'merge' | 'split', accounts: [ref, ...] }` forces the listed
+ * records (by accountRef) together or apart. Returns `{ groups, decisions }`:
+ * groups of `{ key, accounts, refs, score, overridden }` and one decision
+ * per candidate pair with its score, reasons and outcome.
+ */
+function matchAccounts(accounts, { overrides = [] } = {}) {
+  const refs = accounts.map(accountRef);
+  const indexesOf = (ref) => refs.reduce((found, r, i) => (r === ref ? [...found, i] : found), []);
+  const pairKey = (i, j) => (i < j ? `${i}|${j}` : `${j}|${i}`);
+
+  const forced = {};
+  (overrides || []).forEach(override => {
+    const members = (override.accounts || []).flatMap(indexesOf);
+    members.forEach((i, n) => members.slice(n + 1).forEach(j => {
+      if (i !== j) forced[pairKey(i, j)] = override.action === 'merge' ? 'merge' : 'split';
+    }));
+  });
+
+  const decisions = [];
+  const vetoed = new Set();
+  for (let i = 0; i < accounts.length; i++) {
+    for (let j = i + 1; j < accounts.length; j++) {
+      const override = forced[pairKey(i, j)] || null;
+      if (accounts[i].bureau === accounts[j].bureau && override !== 'merge') continue;
+
+      const { score, reasons } = scoreAccountPair(accounts[i], accounts[j]);
+      if (reasons.accountNumber.score === -1 || override === 'split') vetoed.add(pairKey(i, j));
+      if (reasons.creditor.score < CANDIDATE_THRESHOLD && !override) continue;
+      decisions.push({ i, j, score, reasons, override });
+    }
+  }
+
+  // Union-find over record indexes
+  const parent = accounts.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const members = (root) => accounts.map((_, i) => i).filter(i => find(i) === root);
+
+  const ordered = [...decisions].sort((a, b) => (b.override === 'merge') - (a.override === 'merge') || b.score - a.score);
+  ordered.forEach(decision => {
+    const ra = find(decision.i);
+    const rb = find(decision.j);
+    if (ra === rb) return;
+    if (decision.override !== 'merge') {
+      if (decision.override === 'split' || decision.score < MATCH_THRESHOLD) return;
+      const left = members(ra);
+      const right = members(rb);
+      const bureaus = new Set(left.map(i => accounts[i].bureau));
+      if (right.some(i => bureaus.has(accounts[i].bureau))) return;
+      if (left.some(i => right.some(j => vetoed.has(pairKey(i, j))))) return;
+    }
+    parent[rb] = ra;
+  });
+
+  const byRoot = {};
+  accounts.forEach((_, i) => {
+    const root = find(i);
+    if (!byRoot[root]) byRoot[root] = [];
+    byRoot[root].push(i);
+  });
+
+  const keys = {};
+  const groups = Object.values(byRoot).map(indexes => {
+    const first = accounts[indexes[0]];
+    const base = `${creditorKey(accountName(first))}_${String(first.accountNumberPartial || '').slice(-4)}`;
+    keys[base] = (keys[base] || 0) + 1;
+    const inGroup = decisions.filter(d => indexes.includes(d.i) && indexes.includes(d.j));
+    return {
+      key: keys[base] > 1 ? `${base}#${keys[base]}` : base,
+      accounts: indexes.map(i => accounts[i]),
+      refs: indexes.map(i => refs[i]),
+      score: inGroup.length > 0 ? Math.min(...inGroup.map(d => d.score)) : null,
+      overridden: inGroup.some(d => d.override),
+    };
+  });
+
+  return {
+    groups,
+    decisions: decisions.map(({ i, j, score, reasons, override }) => ({
+      accounts: [refs[i], refs[j]],
+      score,
+      matched: find(i) === find(j),
+      reasons,
+      ...(override ? { override } : {}),
+    })),
+  };
+}
+
+/**
+ * Assign records from another report (an earlier pull for the same client)
+ * to `groups` from matchAccounts(). Each record joins the group holding its
+ * best-scoring same-bureau match at or above MATCH_THRESHOLD. Returns
+ * `{ [group.key]: [records] }`.
+ */
+function linkAccounts(records, groups) {
+  const linked = {};
+  records.forEach(record => {
+    let best = null;
+    groups.forEach(group => group.accounts
+      .filter(account => account.bureau === record.bureau)
+      .forEach(account => {
+        const { score } = scoreAccountPair(account, record);
+        if (score >= MATCH_THRESHOLD && (!best || score > best.score)) best = { key: group.key, score };
+      }));
+    if (!best) return;
+    if (!linked[best.key]) linked[best.key] = [];
+    linked[best.key].push(record);
+  });
+  return linked;
+}
+
+/**
+ * JSON-safe summary of matchAccounts() for the audit output: groups of two
+ * or more records by accountRef with their furnisher directory entry (id,
+ * name, type) when known, and the decisions behind them.
+ */
+const summarizeMatching = ({ groups, decisions }) => ({
+  groups: groups.filter(g => g.accounts.length > 1).map(({ key, accounts, refs, score, overridden }) => {
+    const furnisher = findFurnisher(accountName(accounts[0]));
+    return {
+      key,
+      accounts: refs,
+      score,
+      overridden,
+      furnisher: furnisher ? { id: furnisher.id, name: furnisher.name, type: furnisher.type } : null,
+    };
+  }),
+  decisions,
+});
+
+module.exports = {
+  MATCH_THRESHOLD,
+  creditorSimilarity,
+  sameCreditor,
+  compareAccountNumbers,
+  accountNumberLabel,
+  scoreAccountPair,
+  accountRef,
+  matchAccounts,
+  linkAccounts,
+  summarizeMatching,
+};
@@ -0,0 +1,308 @@
+// ============================================================================
+// AXIS GROWTH - Generic Block Layout Adapter
+// Fallback parser for reports that print each bureau as its own section of
+// "Label: value" lines (Privacy Guard, bureau-direct reports, and anything
+// no other adapter recognizes)
+// ============================================================================
+
+const { parsePaymentHistoryGrid } = require('../paymentHistory.js');
+const { parsePersonalInformation, summarizeClient } = require('../parsePersonalInfo.js');
+const { PUBLIC_RECORDS_HEADING, parsePublicRecordSection } = require('../publicRecords.js');
+const { setProvenance } = require('../provenance.js');
+const { findReportDate } = require('../reportDates.js');
+
+const INQUIRY_BUREAUS = { EXPERIAN: 'EX', EQUIFAX: 'EQ', TRANSUNION: 'TU' };
+
+const BUREAU_NAME_PATTERN = /\b(TRANS\s*UNION|EXPERIAN|EQUIFAX)\b/i;
+const BUREAU_CODE_LINE = /^(TU|TUC|EX|XPN|EQ|EQF)\s*:?$/i;
+const BUREAU_LINE_CODES = {
+  TRANSUNION: 'TU', TU: 'TU', TUC: 'TU',
+  EXPERIAN: 'EX', EX: 'EX', XPN: 'EX',
+  EQUIFAX: 'EQ', EQ: 'EQ', EQF: 'EQ',
+};
+
+const SOFT_INQUIRY_PATTERN = /\bsoft\b|promo|account\s+review|\bPRM\b|\bAR\b|\bAM\b/i;
+
+/**
+ * Parse one row of an inquiries table, e.g.
+ * "CAPITAL ONE   Bank Credit Cards   05/12/2023   Experian".
+ * Returns null for rows without a date (table headers, blank rows).
+ * `lineNo` (1-based) is recorded as the provenance of each field.
+ */
+function parseInquiryLine(line, section, defaultBureau, lineNo = null) {
+  const date = findReportDate(line);
+  if (!date) return null;
+
+  const before = line.slice(0, date.index).replace(/^(?:Inquiry|Inquirer)[:\s]+/i, '').trim();
+  const after = line.slice(date.index + date.text.length).trim();
+  const columns = before.split(/\s{2,}|\t/).filter(Boolean);
+  const bureauMatch = line.match(/\b(EXPERIAN|EQUIFAX|TRANS\s*UNION)\b/i);
+
+  if (columns.length === 0) return null;
+
+  const inquiry = {
+    bureau: bureauMatch ? INQUIRY_BUREAUS[bureauMatch[1].toUpperCase().replace(/\s+/g, '')] : defaultBureau,
+    creditorName: columns[0],
+    businessType: columns.slice(1).join(' ') || '',
+    inquiryDate: date.text,
+    inquiryType: section === 'soft' || SOFT_INQUIRY_PATTERN.test(after) ? 'soft' : 'hard'
+  };
+  
+  // The bureau comes from the row itself, else the surrounding section
+  if (inquiry.bureau) setProvenance(inquiry, 'bureau', lineNo, bureauMatch ? 'high' : 'medium');
+  setProvenance(inquiry, 'creditorName', lineNo, columns.length > 1 ? 'high' : 'medium');
+  setProvenance(inquiry, 'inquiryDate', lineNo, 'high');
+  return inquiry;
+}
+
+/**
+ * Parse a per-bureau block layout (a bureau heading, then "Label: value"
+ * lines per account) - returns the flat shape the detection engine expects
+ */
+function parseGenericReport(rawText) {
+  const tradelines = [];
+  const collections = [];
+  const inquiries = [];
+  const publicRecords = [];
+  
+  // Extract client info - personal information section first, then loose labels
+  const personalInfo = parsePersonalInformation(rawText);
+  const identity = summarizeClient(personalInfo);
+  const clientMatch = rawText.match(/Name[:\s]+([A-Z\s]+)/i);
+  const stateMatch = rawText.match(/State[:\s]+([A-Z]{2})/i);
+  
+  const client = {
+    ...identity,
+    name: identity.name || (clientMatch ? clientMatch[1].trim() : 'Unknown Client'),
+    state: identity.state || (stateMatch ? stateMatch[1] : 'XX')
+  };
+  
+  // Loose "Name:"/"State:" matches are guesses; placeholders are defaults
+  ['name', 'state'].forEach(field => {
+    if (identity[field]) return;
+    const looseMatch = field === 'name' ? clientMatch : stateMatch;
+    setProvenance(client, field, null, looseMatch ? 'medium' : 'low', looseMatch ? {} : { defaulted: true });
+  });
+  
+  const lines = rawText.split('\n').map(l => l.trim());
+  let currentAccount = null;
+  let currentBureau = 'EX'; // assumed until a bureau heading is seen
+  let bureauLine = null; // line of that heading
+  let inquirySection = null; // 'hard' | 'soft' while inside an inquiries table
+  
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    
+    // Public records - bankruptcies, judgments and liens; consume the whole
+    // section so its "Amount"/"Status" rows don't land on the last account
+    if (PUBLIC_RECORDS_HEADING.test(line)) {
+      const section = parsePublicRecordSection(lines, i, currentBureau, bureauLine);
+      publicRecords.push(...section.records);
+      inquirySection = null;
+      i = section.end;
+      continue;
+    }
+    
+    // Inquiry sections - rows are handled here so table headers like
+    // "Creditor Name" don't start a new account
+    if (/Soft\s+Inquir|Promotional\s+Inquir|Account\s+Review\s+Inquir/i.test(line)) {
+      inquirySection = 'soft';
+      continue;
+    }
+    if (/^(Hard\s+)?Inquir(y|ies)\b\s*$|Regarding\s+Inquiries/i.test(line)) {
+      inquirySection = 'hard';
+      continue;
+    }
+    if (inquirySection && /^(Public\s+(Records?|Information)|Creditor\s+Contacts|Account\s+History|Collections|Personal\s+Information|Summary)\b/i.test(line)) {
+      inquirySection = null;
+    }
+    if (inquirySection) {
+      const inquiry = parseInquiryLine(line, inquirySection, currentBureau, i + 1);
+      if (inquiry) inquiries.push(inquiry);
+      continue;
+    }
+    
+    // Detect bureau - a full bureau name, or a line that is only a bureau code
+    // (a bare /TU|EX|EQ/ would match "Status", "Next", "Request", ...)
+    const bureauMatch = line.match(BUREAU_NAME_PATTERN) || line.match(BUREAU_CODE_LINE);
+    if (bureauMatch) {
+      currentBureau = BUREAU_LINE_CODES[bureauMatch[1].toUpperCase().replace(/\s+/g, '')];
+      bureauLine = i + 1;
+    }
+    
+    // Detect new account
+    if (/Account|Creditor/i.test(line) && /Name|Number/i.test(line)) {
+      if (currentAccount && currentAccount.creditorName) {
+        if (/Collection|Debt/i.test(currentAccount.status) || /Collection|Debt/i.test(currentAccount.creditorName)) {
+          collections.push(currentAccount);
+        } else {
+          tradelines.push(currentAccount);
+        }
+      }
+      
+      currentAccount = {
+        bureau: currentBureau,
+        creditorName: '',
+        accountNumberPartial: '',
+        accountNumberMasked: '',
+        accountType: '',
+        openDate: null,
+        currentBalance: null,
+        creditLimit: null,
+        status: '',
+        dateOfLastActivity: null,
+        lastPaymentDate: null,
+        dateReported: null,
+        dateClosed: null,
+        dateOfFirstDelinquency: null,
+        originalCreditor: '',
+        collectorName: '',
+        paymentHistory: []
+      };
+      if (bureauLine) {
+        setProvenance(currentAccount, 'bureau', bureauLine, 'high');
+      } else {
+        setProvenance(currentAccount, 'bureau', null, 'low', { defaulted: true });
+      }
+    }
+    
+    // Payment history grid - consume the whole grid so its bureau rows
+    // don't switch currentBureau for the accounts that follow
+    if (currentAccount && /Payment\s+History/i.test(line)) {
+      const grid = parsePaymentHistoryGrid(lines, i);
+      currentAccount.paymentHistory = grid.rows[currentAccount.bureau] || grid.rows.ANY || [];
+      if (currentAccount.paymentHistory.length > 0) {
+        setProvenance(currentAccount, 'paymentHistory', i + 1, grid.rows[currentAccount.bureau] ? 'high' : 'medium');
+      }
+      i = grid.end;
+      continue;
+    }
+    
+    if (currentAccount) {
+      // Keyword matches below are loose, so their values are medium confidence
+      const lineNo = i + 1;
+      const found = (field, value) => {
+        currentAccount[field] = value;
+        setProvenance(currentAccount, field, lineNo, 'medium');
+      };
+      
+      // Extract creditor name
+      const credMatch = line.match(/(?:Creditor|Company)(?:\s+Name)?[:\s]+(.+)/i);
+      if (credMatch && credMatch[1] && !currentAccount.creditorName) {
+        found('creditorName', credMatch[1].trim());
+      }
+      
+      // Account number
+      const acctMatch = line.match(/Account[\s#]*[:\s]*([\dX\*]+)/i);
+      if (acctMatch && acctMatch[1]) {
+        found('accountNumberPartial', acctMatch[1].replace(/[X\*]/g, '').slice(-4));
+        found('accountNumberMasked', acctMatch[1]);
+      }
+      
+      // Open Date
+      if (/Opened|Open\s+Date/i.test(line)) {
+        const date = findReportDate(line);
+        if (date) found('openDate', date.text);
+      }
+      
+      // Balance
+      if (/Balance|Amount/i.test(line) && !/High|Original/i.test(line)) {
+        const balMatch = line.match(/\$?([\d,]+)/);
+        if (balMatch) {
+          found('currentBalance', parseInt(balMatch[1].replace(/,/g, '')));
+        }
+      }
+      
+      // Credit Limit
+      if (/Limit|High\s+Balance/i.test(line)) {
+        const limMatch = line.match(/\$?([\d,]+)/);
+        if (limMatch) {
+          found('creditLimit', parseInt(limMatch[1].replace(/,/g, '')));
+        }
+      }
+      
+      // Status
+      if (/Status/i.test(line)) {
+        const statMatch = line.match(/Status[:\s]+(.+)/i);
+        if (statMatch) found('status', statMatch[1].trim());
+      }
+      
+      // Date of Last Activity
+      if (/Last\s+Activity|DLA/i.test(line)) {
+        const date = findReportDate(line);
+        if (date) found('dateOfLastActivity', date.text);
+      }
+      
+      // Last Payment Date
+      if (/Last\s+Payment/i.test(line)) {
+        const date = findReportDate(line);
+        if (date) found('lastPaymentDate', date.text);
+      }
+      
+      // Date Reported
+      if (/Date\s+Reported|Last\s+Reported/i.test(line)) {
+        const date = findReportDate(line);
+        if (date) found('dateReported', date.text);
+      }
+      
+      // Date Closed
+      if (/Date\s+Closed|Closed\s+Date/i.test(line)) {
+        const date = findReportDate(line);
+        if (date) found('dateClosed', date.text);
+      }
+      
+      // Date of First Delinquency
+      if (/First\s+Delinq|DOFD/i.test(line)) {
+        const date = findReportDate(line);
+        if (date) found('dateOfFirstDelinquency', date.text);
+      }
+      
+      // Original Creditor
+      if (/Original\s+Creditor/i.test(line)) {
+        const ocMatch = line.match(/Original\s+Creditor[:\s]+(.+)/i);
+        if (ocMatch) found('originalCreditor', ocMatch[1].trim());
+      }
+    }
+    
+    // Detect single-line inquiries ("Inquiry: CAPITAL ONE 05/12/2023")
+    if (/Inquiry|Inquirer/i.test(line)) {
+      const inqMatch = line.match(/(?:Inquiry|Inquirer)[:\s]+(.+)/i);
+      if (inqMatch) {
+        inquiries.push(parseInquiryLine(line, 'hard', currentBureau, i + 1) || setProvenance({
+          bureau: currentBureau,
+          creditorName: inqMatch[1].trim(),
+          businessType: '',
+          inquiryDate: null,
+          inquiryType: 'hard'
+        }, 'creditorName', i + 1, 'medium'));
+      }
+    }
+  }
+  
+  // Push last account
+  if (currentAccount && currentAccount.creditorName) {
+    if (/Collection|Debt/i.test(currentAccount.status)) {
+      collections.push(currentAccount);
+    } else {
+      tradelines.push(currentAccount);
+    }
+  }
+
+  return {
+    client,
+    personalInfo,
+    tradelines,
+    collections,
+    inquiries,
+    publicRecords
+  };
+}
+
+module.exports = {
+  id: 'generic',
+  name: 'Generic block layout',
+  version: '1.1.0',
+  fingerprints: [],
+  parse: parseGenericReport,
+  parseInquiryLine,
+};
@@ -0,0 +1,110 @@
+// ============================================================================
+// AXIS GROWTH - Report Format Adapters
+// Registry of per-provider parsers. Each text adapter exports { id, name,
+// version, fingerprints, parse }; detectReportFormat() fingerprints the
+// extracted text and parseReportText() runs the chosen adapter. Providers
+// printing the plain three-column layout (threeColumn.providers) share that
+// adapter and are recorded under their own name. JSON
+// adapters export { id, name, version, detect, parse } and take the parsed
+// document instead of text.
+// ============================================================================
+
+const privacyGuard = require('./privacyGuard.js');
+const threeColumn = require('./threeColumn.js');
+const generic = require('./generic.js');
+const trueLinkJson = require('./trueLinkJson.js');
+const normalizedJson = require('./normalizedJson.js');
+
+// Branded adapters, in priority order when fingerprint counts tie
+const ADAPTERS = [privacyGuard];
+
+/**
+ * Add a provider adapter. Later registrations win ties, so a more specific
+ * adapter can be layered over a built-in one.
+ */
+function registerAdapter(adapter) {
+  if (!adapter || !adapter.id || typeof adapter.parse !== 'function') {
+    throw new Error('Report adapter must have an id and a parse(rawText) function');
+  }
+  const existing = ADAPTERS.findIndex(a => a.id === adapter.id);
+  if (existing !== -1) ADAPTERS.splice(existing, 1);
+  ADAPTERS.unshift(adapter);
+}
+
+const JSON_ADAPTERS = [trueLinkJson, normalizedJson];
+
+const getAdapter = (id) => [...ADAPTERS, threeColumn, generic].find(a => a.id === id) || null;
+
+// Common output shape for every adapter, text or JSON
+const withProvider = (data, adapter, confidence, evidence, name = adapter.name) => ({
+  ...data,
+  inquiries: data.inquiries || [],
+  publicRecords: data.publicRecords || [],
+  provider: { id: adapter.id, name, version: adapter.version, confidence, evidence },
+});
+
+/**
+ * Pick the adapter for a report: the branded adapter or three-column
+ * provider whose fingerprints match most often, else the unbranded
+ * three-column parser when the text has "TransUnion  Experian  Equifax"
+ * header rows, else the generic block parser. Returns `{ adapter, name,
+ * confidence, evidence }`, `name` being the provider to record.
+ */
+function detectReportFormat(rawText) {
+  const candidates = [
+    ...ADAPTERS.map(adapter => ({ adapter, name: adapter.name, fingerprints: adapter.fingerprints })),
+    ...threeColumn.providers.map(provider => ({ adapter: threeColumn, name: provider.name, fingerprints: provider.fingerprints })),
+  ];
+  const branded = candidates
+    .map(({ adapter, name, fingerprints }) => ({ adapter, name, evidence: (fingerprints || []).filter(p => p.test(rawText)).map(String) }))
+    .filter(match => match.evidence.length > 0)
+    .sort((a, b) => b.evidence.length - a.evidence.length)[0];
+  if (branded) return { ...branded, confidence: 'high' };
+
+  const headerRows = threeColumn.countBureauHeaders(rawText);
+  if (headerRows > 0) {
+    return { adapter: threeColumn, name: threeColumn.name, confidence: 'low', evidence: [`${headerRows} bureau header row(s)`] };
+  }
+  return { adapter: generic, name: generic.name, confidence: 'low', evidence: [] };
+}
+
+/**
+ * Parse extracted report text with the detected adapter, or the one named by
+ * `options.provider`. The result carries `provider: { id, name, version,
+ * confidence, evidence }` so audits record which parser handled the file.
+ */
+function parseReportText(rawText, options = {}) {
+  let detection;
+  if (options.provider) {
+    const adapter = getAdapter(options.provider);
+    if (!adapter) throw new Error(`Unknown report provider "${options.provider}"`);
+    detection = { adapter, name: adapter.name, confidence: 'manual', evidence: [] };
+  } else {
+    detection = detectReportFormat(rawText);
+  }
+
+  const { adapter, name, confidence, evidence } = detection;
+  return withProvider(adapter.parse(rawText), adapter, confidence, evidence, name);
+}
+
+/**
+ * Parse a JSON report export (already `JSON.parse`d) with the first JSON
+ * adapter that recognizes it.
+ */
+function parseReportJson(json) {
+  const adapter = JSON_ADAPTERS.find(a => a.detect(json));
+  if (!adapter) {
+    throw new Error('Unrecognized JSON report - expected a TrueLink report or { tradelines, collections, inquiries }');
+  }
+  return withProvider(adapter.parse(json), adapter, 'high', []);
+}
+
+module.exports = {
+  ADAPTERS,
+  JSON_ADAPTERS,
+  registerAdapter,
+  getAdapter,
+  detectReportFormat,
+  parseReportText,
+  parseReportJson,
+};
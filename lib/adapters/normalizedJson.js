@@ -0,0 +1,27 @@
+// ============================================================================
+// AXIS GROWTH - Normalized JSON Adapter
+// JSON already in the parser output shape - `{ client, tradelines,
+// collections, inquiries }`, flat or nested `bureaus` accounts - such as a
+// saved audit_data.json input or another tool's export
+// ============================================================================
+
+const isNormalizedReport = (json) => {
+  return Boolean(json) && ['tradelines', 'collections', 'inquiries'].some(key => Array.isArray(json[key]));
+};
+
+const parseNormalizedReport = (json) => ({
+  client: json.client || {},
+  personalInfo: json.personalInfo || {},
+  tradelines: json.tradelines || [],
+  collections: json.collections || [],
+  inquiries: json.inquiries || [],
+  publicRecords: json.publicRecords || [],
+});
+
+module.exports = {
+  id: 'normalized-json',
+  name: 'Normalized JSON',
+  version: '1.0.0',
+  detect: isNormalizedReport,
+  parse: parseNormalizedReport,
+};
@@ -0,0 +1,20 @@
+// ============================================================================
+// AXIS GROWTH - Privacy Guard Adapter
+// Privacy Guard exports both the side-by-side layout and per-bureau
+// sections depending on the plan; pick by the presence of bureau headers
+// ============================================================================
+
+const { parseThreeColumnReport, countBureauHeaders } = require('./threeColumn.js');
+const generic = require('./generic.js');
+
+const parsePrivacyGuardReport = (rawText) => {
+  return countBureauHeaders(rawText) > 0 ? parseThreeColumnReport(rawText) : generic.parse(rawText);
+};
+
+module.exports = {
+  id: 'privacyguard',
+  name: 'Privacy Guard',
+  version: '1.0.0',
+  fingerprints: [/Privacy\s*Guard/i, /privacyguard\.com/i],
+  parse: parsePrivacyGuardReport,
+};
@@ -0,0 +1,326 @@
+// ============================================================================
+// AXIS GROWTH - Three-Column (TU / EX / EQ) Layout
+// Shared parser for the side-by-side layout IdentityIQ, MyFreeScoreNow and
+// SmartCredit print: the creditor name, a "TransUnion  Experian  Equifax"
+// header, then one row per field with a value for each bureau
+// ============================================================================
+
+const { parsePaymentHistoryGrid } = require('../paymentHistory.js');
+const { parsePersonalInformation, summarizeClient } = require('../parsePersonalInfo.js');
+const { parsePublicRecords } = require('../publicRecords.js');
+const { parseInquiryLine } = require('./generic.js');
+const { setProvenance, minConfidence } = require('../provenance.js');
+const { findReportDate } = require('../reportDates.js');
+
+// Providers that print this layout with no differences the parser needs to
+// know about - detection records the matching provider's name
+const PROVIDERS = [
+  { name: 'IdentityIQ', fingerprints: [/IdentityIQ/i, /\bIDIQ\b/, /identityiq\.com/i] },
+  { name: 'MyFreeScoreNow', fingerprints: [/MyFreeScoreNow/i, /myfreescorenow\.com/i] },
+  { name: 'SmartCredit', fingerprints: [/SmartCredit/i, /smartcredit\.com/i, /ConsumerDirect/i] },
+];
+
+const BUREAU_HEADER_PATTERN = /\b(TRANS\s*UNION|EXPERIAN|EQUIFAX)\b/gi;
+const BUREAU_KEYS = { TRANSUNION: 'transunion', EXPERIAN: 'experian', EQUIFAX: 'equifax' };
+const BUREAU_CODES = { transunion: 'TU', experian: 'EX', equifax: 'EQ' };
+const DEFAULT_COLUMNS = ['transunion', 'experian', 'equifax'];
+
+const ACCOUNT_SECTION = /^(Account\s+History|Accounts?|Revolving\s+Accounts?|Installment\s+Accounts?|Mortgage\s+Accounts?|Collections?(\s+Accounts?)?|Closed\s+Accounts?|Other\s+Accounts?)\s*:?$/i;
+const INQUIRY_SECTION = /^(Inquir(y|ies)|Hard\s+Inquir(y|ies)|Regarding\s+Inquiries)\s*:?$/i;
+const SOFT_INQUIRY_SECTION = /^(Soft|Promotional|Account\s+Review)\s+Inquir(y|ies)\s*:?$/i;
+const OTHER_SECTION = /^(Personal\s+(Information|Profile)|Public\s+(Records?|Information)|Creditor\s+Contacts|Credit\s+Scores?|Summary|Consumer\s+Statement)\s*:?$/i;
+
+// Row label -> field in the nested per-bureau account shape
+const ROW_LABELS = [
+  { field: 'accountNumber', pattern: /^Account\s*(#|No\.?|Number)\s*:?/i },
+  { field: 'accountTypeDetail', pattern: /^Account\s+Type\s*-\s*Detail\s*:?/i },
+  { field: 'accountType', pattern: /^Account\s+Type\s*:?/i },
+  { field: 'accountStatus', pattern: /^Account\s+Status\s*:?/i },
+  { field: 'paymentStatus', pattern: /^Payment\s+Status\s*:?/i },
+  { field: 'dateOpened', pattern: /^(Date\s+Opened|Open\s+Date)\s*:?/i },
+  { field: 'balance', pattern: /^(Balance|Current\s+Balance|Balance\s+Owed)\s*:?/i },
+  { field: 'highCredit', pattern: /^High\s+(Credit|Balance)\s*:?/i },
+  { field: 'creditLimit', pattern: /^Credit\s+Limit\s*:?/i },
+  { field: 'pastDue', pattern: /^(Past\s+Due|Amount\s+Past\s+Due)\s*:?/i },
+  { field: 'monthlyPayment', pattern: /^Monthly\s+Payment\s*:?/i },
+  { field: 'dateReported', pattern: /^(Last\s+Reported|Date\s+Reported)\s*:?/i },
+  { field: 'lastActivityDate', pattern: /^(Date\s+(of\s+)?Last\s+Activ(e|ity)|Last\s+Activity)\s*:?/i },
+  { field: 'lastPaymentDate', pattern: /^(Date\s+of\s+Last\s+Payment|Last\s+Payment(\s+Date)?)\s*:?/i },
+  { field: 'dateClosed', pattern: /^(Date\s+Closed|Closed\s+Date)\s*:?/i },
+  { field: 'dofd', pattern: /^(Date\s+of\s+First\s+Delinquency|First\s+Delinquency|DOFD)\s*:?/i },
+  { field: 'originalCreditor', pattern: /^Original\s+Creditor\s*:?/i },
+  { field: 'creditorType', pattern: /^Creditor\s+Type\s*:?/i },
+  { field: 'comments', pattern: /^(Comments?|Remarks?)\s*:?/i },
+];
+
+const DATE_FIELDS = ['dateOpened', 'dateReported', 'lastActivityDate', 'lastPaymentDate', 'dateClosed', 'dofd'];
+const AMOUNT_FIELDS = ['balance', 'highCredit', 'creditLimit', 'pastDue', 'monthlyPayment'];
+
+const COLLECTION_PATTERN = /collection|debt\s+buyer|factoring/i;
+
+const findRowLabel = (line) => ROW_LABELS.find(row => row.pattern.test(line)) || null;
+
+const isBureauHeader = (line) => {
+  const bureaus = line.match(BUREAU_HEADER_PATTERN) || [];
+  return bureaus.length > 1 && line.replace(BUREAU_HEADER_PATTERN, '').replace(/[^A-Za-z]/g, '').length === 0;
+};
+
+const parseDate = (str) => {
+  const date = findReportDate(str);
+  return date ? date.text : null;
+};
+
+const parseAmount = (str) => {
+  const amountMatch = str.match(/\$?([\d,]+)/);
+  return amountMatch ? Number(amountMatch[1].replace(/,/g, '')) : null;
+};
+
+/**
+ * A creditor line is free text (not a row label or bureau header) followed
+ * within a few lines by the bureau header or an "Account #" row.
+ */
+function isCreditorLine(lines, i) {
+  const line = lines[i].trim();
+  if (line.length < 2 || line.length > 60) return false;
+  if (!/[A-Za-z]/.test(line) || /:\s*\S/.test(line) || /\$|\d{1,2}\/\d{1,2}\/\d{2,4}/.test(line)) return false;
+  if (findRowLabel(line) || isBureauHeader(line) || ACCOUNT_SECTION.test(line)) return false;
+
+  for (let j = i + 1; j < Math.min(lines.length, i + 4); j++) {
+    const next = lines[j].trim();
+    if (!next) continue;
+    if (isBureauHeader(next) || /^Account\s*(#|No\.?|Number)/i.test(next)) return true;
+    if (findRowLabel(next)) return false;
+  }
+  return false;
+}
+
+/**
+ * Column order from the first bureau header row; the providers above all
+ * print TransUnion, Experian, Equifax.
+ */
+function detectBureauColumns(lines) {
+  const header = lines.find(isBureauHeader);
+  if (!header) return DEFAULT_COLUMNS;
+  return header.match(BUREAU_HEADER_PATTERN).map(b => BUREAU_KEYS[b.toUpperCase().replace(/\s+/g, '')]);
+}
+
+/**
+ * Split a row ("Balance:  $1,200.00  $1,150.00  -") into one value per
+ * bureau column, noting the source line of each in `data.sources`. Rows
+ * whose cell count doesn't match the columns can't be attributed and are
+ * skipped rather than guessed; cells that don't parse are left unset with
+ * their raw text kept for the parse-quality report.
+ */
+function extractMultiColumnValues(line, data, columns, lineNo) {
+  const label = findRowLabel(line);
+  if (!label) return;
+
+  const rest = line.replace(label.pattern, '').trim();
+  const cells = rest.split(/\s{2,}|\t/).map(c => c.trim()).filter(c => c !== '');
+  if (!data.sources) data.sources = {};
+  if (!data.sources[label.field]) data.sources[label.field] = {};
+  const sources = data.sources[label.field];
+
+  if (cells.length !== columns.length) {
+    columns.forEach(bureau => {
+      sources[bureau] = { line: lineNo, confidence: 'low', raw: rest };
+    });
+    return;
+  }
+
+  if (!data[label.field]) data[label.field] = {};
+  cells.forEach((cell, idx) => {
+    if (/^[-–—*]+$|^N\/?A$/i.test(cell)) return;
+    let value = cell;
+    if (DATE_FIELDS.includes(label.field)) value = parseDate(cell);
+    if (AMOUNT_FIELDS.includes(label.field)) value = parseAmount(cell);
+    if (value !== null && value !== '') {
+      data[label.field][columns[idx]] = value;
+      sources[columns[idx]] = { line: lineNo, confidence: 'high' };
+    } else {
+      sources[columns[idx]] = { line: lineNo, confidence: 'low', raw: cell };
+    }
+  });
+}
+
+// Nested account field -> the row(s) its value is built from
+const FIELD_ROWS = {
+  accountNumber: ['accountNumber'],
+  accountType: ['accountType', 'accountTypeDetail'],
+  dateOpened: ['dateOpened'],
+  balance: ['balance'],
+  status: ['accountStatus', 'paymentStatus'],
+  lastActivityDate: ['lastActivityDate'],
+  lastPaymentDate: ['lastPaymentDate'],
+  dateReported: ['dateReported'],
+  dateClosed: ['dateClosed'],
+  dofd: ['dofd'],
+  originalCreditor: ['originalCreditor'],
+};
+
+/**
+ * Provenance for one bureau's values. A credit limit taken from the "High
+ * Credit" row is only medium confidence - some providers print the highest
+ * balance there.
+ */
+function bureauProvenance(data, bureau, values) {
+  const sources = data.sources || {};
+  const source = (row) => (sources[row] && sources[row][bureau]) || null;
+  const record = {};
+
+  setProvenance(record, 'bureau', data.creditorLine, 'high');
+  setProvenance(record, 'creditorName', data.creditorLine, 'high');
+  Object.entries(FIELD_ROWS).forEach(([field, rows]) => {
+    const found = rows.map(source).filter(Boolean);
+    if (found.length === 0) return;
+    const raw = values[field] == null || values[field] === '' ? found.map(f => f.raw).filter(Boolean).join(' ') : '';
+    setProvenance(record, field, found[0].line, minConfidence(found.map(f => f.confidence)), raw ? { raw } : {});
+  });
+  if (values.creditLimit != null) {
+    const fromLimit = source('creditLimit') && data.creditLimit && data.creditLimit[bureau] != null;
+    const limitSource = fromLimit ? source('creditLimit') : source('highCredit');
+    setProvenance(record, 'creditLimit', limitSource ? limitSource.line : null, fromLimit ? limitSource.confidence : 'medium');
+  }
+  if (values.paymentHistory.length > 0) setProvenance(record, 'paymentHistory', data.historyLine, 'high');
+  return record.provenance;
+}
+
+/**
+ * Build a nested `{ name, type, bureaus: { transunion: {...} } }` account
+ * from the collected rows. Bureaus with no values are left out.
+ */
+function createAccountFromData(creditor, data, columns) {
+  const bureaus = {};
+  columns.forEach(bureau => {
+    const get = (field) => (data[field] && data[field][bureau] != null ? data[field][bureau] : null);
+    if (!ROW_LABELS.some(row => get(row.field) !== null)) return;
+
+    const history = data.paymentHistory ? (data.paymentHistory[BUREAU_CODES[bureau]] || data.paymentHistory.ANY) : null;
+    bureaus[bureau] = {
+      creditorName: creditor,
+      accountNumber: get('accountNumber') || '',
+      accountType: [get('accountType'), get('accountTypeDetail')].filter(Boolean).join(' - '),
+      dateOpened: get('dateOpened'),
+      balance: get('balance'),
+      creditLimit: get('creditLimit') !== null ? get('creditLimit') : get('highCredit'),
+      status: [get('accountStatus'), get('paymentStatus')].filter(Boolean).join(' - '),
+      lastActivityDate: get('lastActivityDate'),
+      lastPaymentDate: get('lastPaymentDate'),
+      dateReported: get('dateReported'),
+      dateClosed: get('dateClosed'),
+      dofd: get('dofd'),
+      originalCreditor: get('originalCreditor') || '',
+      comments: get('comments') || '',
+      paymentHistory: history || [],
+    };
+    bureaus[bureau].provenance = bureauProvenance(data, bureau, bureaus[bureau]);
+  });
+
+  if (Object.keys(bureaus).length === 0) return null;
+
+  const isCollection = Object.entries(bureaus).some(([bureau, v]) => (
+    [v.accountType, v.status, v.comments, data.creditorType && data.creditorType[bureau]].some(text => text && COLLECTION_PATTERN.test(text))
+  ));
+
+  return {
+    name: creditor,
+    type: isCollection ? 'collection' : 'tradeline',
+    bureaus,
+  };
+}
+
+/**
+ * Parse a three-column report into `{ client, personalInfo, tradelines,
+ * collections, inquiries, publicRecords }` with accounts in the nested
+ * `bureaus` shape.
+ */
+function parseThreeColumnReport(rawText) {
+  const personalInfo = parsePersonalInformation(rawText);
+  const client = summarizeClient(personalInfo);
+  const tradelines = [];
+  const collections = [];
+  const inquiries = [];
+
+  const lines = rawText.split('\n');
+  const columns = detectBureauColumns(lines);
+  let section = 'accounts'; // 'accounts' | 'hard' | 'soft' | null
+  let creditor = '';
+  let data = {};
+
+  const pushAccount = () => {
+    if (creditor && Object.keys(data).some(key => key !== 'creditorLine')) {
+      const account = createAccountFromData(creditor, data, columns);
+      if (account) (account.type === 'collection' ? collections : tradelines).push(account);
+    }
+    creditor = '';
+    data = {};
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    // Section headings - personal info and public records have their own parsers
+    if (ACCOUNT_SECTION.test(line) || INQUIRY_SECTION.test(line) || SOFT_INQUIRY_SECTION.test(line) || OTHER_SECTION.test(line)) {
+      pushAccount();
+      if (ACCOUNT_SECTION.test(line)) section = 'accounts';
+      else if (INQUIRY_SECTION.test(line)) section = 'hard';
+      else if (SOFT_INQUIRY_SECTION.test(line)) section = 'soft';
+      else section = null;
+      continue;
+    }
+
+    if (section === 'hard' || section === 'soft') {
+      const inquiry = parseInquiryLine(line, section, null, i + 1);
+      if (inquiry) inquiries.push(inquiry);
+      continue;
+    }
+    if (section !== 'accounts') continue;
+
+    if (isCreditorLine(lines, i)) {
+      pushAccount();
+      creditor = line;
+      data.creditorLine = i + 1;
+      continue;
+    }
+    if (!creditor) continue;
+
+    // Two-year payment history grid printed under the account
+    if (/Payment\s+History/i.test(line)) {
+      const grid = parsePaymentHistoryGrid(lines, i);
+      data.paymentHistory = grid.rows;
+      data.historyLine = i + 1;
+      i = grid.end;
+      continue;
+    }
+
+    extractMultiColumnValues(line, data, columns, i + 1);
+  }
+  pushAccount();
+
+  return {
+    client,
+    personalInfo,
+    tradelines,
+    collections,
+    inquiries,
+    publicRecords: parsePublicRecords(rawText),
+  };
+}
+
+/**
+ * Number of "TransUnion  Experian  Equifax" header rows - the layout's
+ * fingerprint regardless of provider.
+ */
+const countBureauHeaders = (rawText) => rawText.split('\n').filter(isBureauHeader).length;
+
+module.exports = {
+  id: 'three-column',
+  name: 'Three-column layout (unbranded)',
+  version: '1.0.0',
+  fingerprints: [],
+  providers: PROVIDERS,
+  parse: parseThreeColumnReport,
+  parseThreeColumnReport,
+  countBureauHeaders,
+};
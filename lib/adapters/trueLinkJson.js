@@ -0,0 +1,219 @@
+// ============================================================================
+// AXIS GROWTH - TrueLink JSON Adapter
+// The TransUnion TrueLink report document that IdentityIQ, SmartCredit and
+// MyFreeScoreNow serve to their web viewers. Attributes arrive either as
+// "@name" keys (XML converted to JSON) or plain keys.
+// ============================================================================
+
+const { normalizePaymentCode, toMonthKey } = require('../paymentHistory.js');
+const { summarizeClient } = require('../parsePersonalInfo.js');
+const { classifyRecord } = require('../publicRecords.js');
+const { setProvenance } = require('../provenance.js');
+const { formatReportDate } = require('../reportDates.js');
+
+const BUREAUS = { TRANSUNION: 'TU', TUC: 'TU', EXPERIAN: 'EX', EXP: 'EX', XPN: 'EX', EQUIFAX: 'EQ', EQF: 'EQ' };
+
+// TrueLink monthly status digits - 1 = 30 days late ... 6 = 180, 7-9 = derogatory
+const TRUELINK_PAY_CODES = { 1: '30', 2: '60', 3: '90', 4: '120', 5: '150', 6: '180', 7: 'CO', 8: 'CO', 9: 'CO' };
+
+const COLLECTION_PATTERN = /collection|debt\s+buyer|factoring/i;
+
+const list = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+const attr = (obj, name) => {
+  if (!obj) return null;
+  const value = obj[`@${name}`] !== undefined ? obj[`@${name}`] : obj[name];
+  return value === undefined || value === '' ? null : value;
+};
+
+const description = (obj, name) => {
+  const value = obj && obj[name];
+  return (value && typeof value === 'object' ? attr(value, 'description') || attr(value, 'abbreviation') : value) || '';
+};
+
+const bureauOf = (obj) => {
+  const source = obj && obj.Source && obj.Source.Bureau;
+  const name = attr(obj, 'bureau') || attr(source, 'symbol') || attr(source, 'abbreviation') || attr(source, 'description') || '';
+  return BUREAUS[String(name).toUpperCase().replace(/[^A-Z]/g, '')] || null;
+};
+
+// "2023-05-20" / "2023-05-20T00:00:00-07:00" -> "05/20/2023", matching the text parsers
+const formatDate = (value) => {
+  if (!value) return null;
+  return formatReportDate(value) || String(value);
+};
+
+const amount = (value) => {
+  if (value == null || value === '') return null;
+  const n = Number(String(value).replace(/[$,]/g, ''));
+  return isNaN(n) ? null : n;
+};
+
+// Every value present in the document is read as-is; `path` locates it
+const withJsonProvenance = (record, path) => {
+  Object.entries(record).forEach(([field, value]) => {
+    const empty = value == null || value === '' || (Array.isArray(value) && value.length === 0);
+    if (!empty && field !== 'type' && field !== 'chapter') setProvenance(record, field, null, 'high', { path });
+  });
+  return record;
+};
+
+const findReport = (json) => {
+  if (json.TrueLinkCreditReportType) return json.TrueLinkCreditReportType;
+  const components = list(json.BundleComponents && json.BundleComponents.BundleComponent);
+  const component = components.find(c => c.TrueLinkCreditReportType);
+  return component ? component.TrueLinkCreditReportType : null;
+};
+
+function parsePaymentHistory(grantedTrade) {
+  const history = grantedTrade && grantedTrade.PayStatusHistory;
+  return list(history && history.MonthlyPayStatus).map(entry => {
+    const status = String(attr(entry, 'status') || '');
+    return {
+      month: toMonthKey(formatDate(attr(entry, 'date'))),
+      code: TRUELINK_PAY_CODES[status] || normalizePaymentCode(status) || null,
+    };
+  }).filter(h => h.month);
+}
+
+function parseTradeline(trade, partition) {
+  const granted = trade.GrantedTrade || {};
+  const collection = trade.CollectionTrade || null;
+  const status = [description(trade, 'OpenClosed'), description(trade, 'PayStatus')].filter(Boolean).join(' - ');
+  const accountType = [attr(partition, 'accountTypeDescription'), description(granted, 'AccountType')].filter(Boolean).join(' - ');
+
+  return {
+    bureau: bureauOf(trade),
+    creditorName: attr(trade, 'creditorName') || '',
+    accountNumberPartial: String(attr(trade, 'accountNumber') || '').replace(/[^0-9]/g, '').slice(-4),
+    accountNumberMasked: String(attr(trade, 'accountNumber') || ''),
+    accountType,
+    openDate: formatDate(attr(trade, 'dateOpened')),
+    currentBalance: amount(attr(trade, 'currentBalance')),
+    creditLimit: amount(attr(granted, 'CreditLimit')) != null ? amount(attr(granted, 'CreditLimit')) : amount(attr(trade, 'highBalance')),
+    status,
+    dateOfLastActivity: formatDate(attr(trade, 'dateAccountStatus')),
+    lastPaymentDate: formatDate(attr(granted, 'dateLastPayment')),
+    dateReported: formatDate(attr(trade, 'dateReported')),
+    dateClosed: formatDate(attr(trade, 'dateClosed')),
+    dateOfFirstDelinquency: formatDate(attr(trade, 'dateOfFirstDelinquency') || attr(granted, 'dateOfFirstDelinquency')),
+    originalCreditor: attr(collection, 'originalCreditor') || '',
+    collectorName: '',
+    paymentHistory: parsePaymentHistory(granted),
+    isCollection: Boolean(collection) || COLLECTION_PATTERN.test(`${accountType} ${status}`),
+  };
+}
+
+function parsePersonalInfo(report) {
+  const borrower = report.Borrower || {};
+  const info = {};
+  const entry = (bureau) => {
+    if (!info[bureau]) info[bureau] = { names: [], akas: [], dob: null, ssnLast4: null, currentAddresses: [], previousAddresses: [], employers: [] };
+    return info[bureau];
+  };
+
+  list(borrower.BorrowerName).forEach(n => {
+    const bureau = bureauOf(n);
+    const name = n.Name || n.NameValue || n;
+    const full = [attr(name, 'firstName'), attr(name, 'middleName'), attr(name, 'lastName'), attr(name, 'suffix')].filter(Boolean).join(' ');
+    if (!bureau || !full) return;
+    const isAka = /aka|also|former/i.test(description(n, 'NameType'));
+    const target = isAka ? entry(bureau).akas : entry(bureau).names;
+    if (!target.includes(full)) target.push(full);
+  });
+
+  list(borrower.BorrowerAddress).forEach(a => {
+    const bureau = bureauOf(a);
+    const address = a.CreditAddress || a;
+    const line = [attr(address, 'unparsedStreet') || attr(address, 'houseNumber'), attr(address, 'city')].filter(Boolean).join(', ');
+    const full = `${line}, ${attr(address, 'stateCode') || ''} ${attr(address, 'postalCode') || ''}`.trim();
+    if (!bureau || !line) return;
+    const previous = /previous|prior/i.test(description(a, 'AddressType')) || entry(bureau).currentAddresses.length > 0;
+    (previous ? entry(bureau).previousAddresses : entry(bureau).currentAddresses).push(full);
+  });
+
+  list(borrower.Birth).forEach(b => {
+    const bureau = bureauOf(b);
+    if (bureau && attr(b, 'date')) entry(bureau).dob = formatDate(attr(b, 'date'));
+  });
+
+  list(borrower.SocialPartition && borrower.SocialPartition.Social).forEach(s => {
+    const bureau = bureauOf(s);
+    const digits = String(s.SocialSecurityNumber || attr(s, 'SocialSecurityNumber') || '').replace(/[^0-9]/g, '');
+    if (bureau && digits.length >= 4) entry(bureau).ssnLast4 = digits.slice(-4);
+  });
+
+  list(borrower.Employer).forEach(e => {
+    const bureau = bureauOf(e);
+    const name = attr(e, 'name');
+    if (bureau && name) entry(bureau).employers.push(name);
+  });
+
+  return info;
+}
+
+/**
+ * Parse a TrueLink report document into the flat `{ client, personalInfo,
+ * tradelines, collections, inquiries, publicRecords }` shape.
+ */
+function parseTrueLinkReport(json) {
+  const report = findReport(json);
+  const tradelines = [];
+  const collections = [];
+
+  list(report.TradeLinePartition).forEach((partition, p) => {
+    list(partition.Tradeline).forEach((trade, t) => {
+      const { isCollection, ...parsed } = parseTradeline(trade, partition);
+      if (!parsed.bureau) return;
+      const account = withJsonProvenance(parsed, `TradeLinePartition[${p}].Tradeline[${t}]`);
+      if (isCollection) {
+        collections.push({ ...account, collectorName: account.creditorName });
+      } else {
+        tradelines.push(account);
+      }
+    });
+  });
+
+  const inquiries = list(report.InquiryPartition).flatMap(p => list(p.Inquiry)).map((inq, n) => withJsonProvenance({
+    bureau: bureauOf(inq),
+    creditorName: attr(inq, 'subscriberName') || '',
+    businessType: attr(inq, 'industryCode') || description(inq, 'IndustryCode') || '',
+    inquiryDate: formatDate(attr(inq, 'inquiryDate')),
+    inquiryType: /soft|promo|review/i.test(String(attr(inq, 'inquiryType') || '')) ? 'soft' : 'hard',
+  }, `InquiryPartition.Inquiry[${n}]`)).filter(inq => inq.bureau);
+
+  // TrueLink spells the partition "PulblicRecordPartition"
+  const recordPartitions = [...list(report.PulblicRecordPartition), ...list(report.PublicRecordPartition)];
+  const publicRecords = recordPartitions.flatMap(p => list(p.PublicRecord)).map((r, n) => withJsonProvenance(classifyRecord({
+    bureau: bureauOf(r),
+    type: 'other',
+    chapter: null,
+    description: description(r, 'Type'),
+    status: description(r, 'Status'),
+    courtName: attr(r, 'courtName') || '',
+    referenceNumber: attr(r, 'referenceNumber') || '',
+    dateFiled: formatDate(attr(r, 'dateFiled')),
+    dateVerified: formatDate(attr(r, 'dateVerified')),
+    dateResolved: formatDate(attr(r, 'dateResolved')),
+    amount: amount(attr(r, 'amount')),
+    liability: amount(attr(r, 'liability')),
+  }), `PublicRecordPartition.PublicRecord[${n}]`)).filter(r => r.bureau);
+
+  const personalInfo = parsePersonalInfo(report);
+  return {
+    client: summarizeClient(personalInfo),
+    personalInfo,
+    tradelines,
+    collections,
+    inquiries,
+    publicRecords,
+  };
+}
+
+module.exports = {
+  id: 'truelink-json',
+  name: 'TrueLink JSON (IdentityIQ / SmartCredit / MyFreeScoreNow)',
+  version: '1.0.0',
+  detect: (json) => Boolean(findReport(json)),
+  parse: parseTrueLinkReport,
+};
@@ -0,0 +1,435 @@
+// ============================================================================
+// AXIS GROWTH - Audit Storage
+// Persists each audit under an audit ID - the uploaded report, the parsed
+// data, the audit results and any generated documents - so /api/download
+// can serve it later, the client records that own a sequence of audits
+// (month one, month two, ...) and the dispute records tracking each mailed
+// letter. Two backends share one interface:
+//   fs     - a directory per audit under AUDIT_STORAGE_DIR (default /tmp/audits)
+//   sqlite - one database file at AUDIT_DB_PATH (default /tmp/audits.db)
+// AUDIT_STORAGE picks the backend; fs is the default.
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DISPUTE_FIELDS } = require('./disputeTracker.js');
+
+const STORAGE_BACKENDS = ['fs', 'sqlite'];
+
+// Audit and client IDs - sortable by creation time, unguessable, and safe as
+// a file name
+const newId = () => `${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
+
+const ID_PATTERN = /^[a-z0-9]+-[a-f0-9]{12}$/;
+
+const isAuditId = (id) => typeof id === 'string' && ID_PATTERN.test(id);
+
+const isClientId = isAuditId;
+
+const isDisputeId = isAuditId;
+
+// Client fields staff can set; everything else on the record is managed here
+const CLIENT_FIELDS = ['name', 'state', 'ssnLast4', 'dob', 'address', 'disputeHistory'];
+
+const pickClientFields = (fields = {}) => Object.fromEntries(
+  CLIENT_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+);
+
+const newClient = (fields) => {
+  const now = new Date().toISOString();
+  return { id: newId(), name: null, state: null, ssnLast4: null, dob: null, address: null, disputeHistory: [], ...pickClientFields(fields), createdAt: now, updatedAt: now };
+};
+
+const pickDisputeFields = (fields = {}) => Object.fromEntries(
+  DISPUTE_FIELDS.filter(field => fields[field] !== undefined).map(field => [field, fields[field]])
+);
+
+// New records get an id and createdAt; saving an existing one replaces it
+const stampDispute = (record) => {
+  const now = new Date().toISOString();
+  return { ...record, id: record.id || newId(), createdAt: record.createdAt || now, updatedAt: now };
+};
+
+const byCreation = (a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id);
+
+// Document names are relative paths such as "Dispute_Letters/Dispute_TU_Finding1.docx"
+const isDocumentName = (name) => typeof name === 'string' && name.length > 0
+  && !path.isAbsolute(name) && name.split(/[\\/]/).every(part => part && part !== '.' && part !== '..');
+
+const checkDocumentName = (name) => {
+  if (!isDocumentName(name)) throw new Error(`Invalid document name "${name}"`);
+};
+
+// Summary kept alongside the audit for listings and client timelines
+const describeAudit = (id, createdAt, clientId, report, auditData) => {
+  const findings = auditData.findings || [];
+  const severity = { critical: 0, high: 0, medium: 0, low: 0 };
+  findings.forEach(f => {
+    if (severity[f.severity] != null) severity[f.severity]++;
+  });
+  return {
+    id,
+    createdAt,
+    clientId: clientId || null,
+    clientName: auditData.client ? auditData.client.name || null : null,
+    provider: auditData.provider ? auditData.provider.name : null,
+    report: report ? { filename: report.filename, format: report.format || null, size: report.buffer ? report.buffer.length : 0 } : null,
+    findings: findings.length,
+    severity,
+  };
+};
+
+// ============================================================================
+// FILESYSTEM BACKEND
+// ============================================================================
+// <dir>/<id>/meta.json, audit.json, parsed.json, report/<filename>,
+// documents/<name>; clients in <dir>/clients/<clientId>.json and dispute
+// records in <dir>/disputes/<disputeId>.json
+
+function createFsStore(dir = process.env.AUDIT_STORAGE_DIR || path.join('/tmp', 'audits')) {
+  const auditDir = (id) => path.join(dir, id);
+  const clientFile = (id) => path.join(dir, 'clients', `${id}.json`);
+  const disputeFile = (id) => path.join(dir, 'disputes', `${id}.json`);
+  const readJson = async (file) => JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  const exists = (file) => fs.promises.access(file).then(() => true, () => false);
+
+  return {
+    backend: 'fs',
+
+    async saveAudit({ clientId, report, data, auditData }) {
+      const id = newId();
+      const base = auditDir(id);
+      const createdAt = new Date().toISOString();
+      await fs.promises.mkdir(path.join(base, 'documents'), { recursive: true });
+      if (report) {
+        await fs.promises.mkdir(path.join(base, 'report'), { recursive: true });
+        await fs.promises.writeFile(path.join(base, 'report', path.basename(report.filename || 'report')), report.buffer);
+      }
+      await fs.promises.writeFile(path.join(base, 'parsed.json'), JSON.stringify(data || null, null, 2));
+      await fs.promises.writeFile(path.join(base, 'audit.json'), JSON.stringify({ ...auditData, auditId: id, clientId: clientId || null, generatedAt: auditData.generatedAt || createdAt }, null, 2));
+      await fs.promises.writeFile(path.join(base, 'meta.json'), JSON.stringify(describeAudit(id, createdAt, clientId, report, auditData), null, 2));
+      return id;
+    },
+
+    async getAudit(id) {
+      if (!isAuditId(id) || !(await exists(path.join(auditDir(id), 'audit.json')))) return null;
+      return readJson(path.join(auditDir(id), 'audit.json'));
+    },
+
+    async getParsedData(id) {
+      if (!isAuditId(id) || !(await exists(path.join(auditDir(id), 'parsed.json')))) return null;
+      return readJson(path.join(auditDir(id), 'parsed.json'));
+    },
+
+    async getReport(id) {
+      if (!isAuditId(id) || !(await exists(path.join(auditDir(id), 'meta.json')))) return null;
+      const meta = await readJson(path.join(auditDir(id), 'meta.json'));
+      if (!meta.report) return null;
+      const buffer = await fs.promises.readFile(path.join(auditDir(id), 'report', path.basename(meta.report.filename || 'report')));
+      return { ...meta.report, buffer };
+    },
+
+    async saveDocument(id, name, buffer) {
+      checkDocumentName(name);
+      if (!isAuditId(id) || !(await exists(auditDir(id)))) throw new Error(`Audit ${id} not found`);
+      const file = path.join(auditDir(id), 'documents', name);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async getDocument(id, name) {
+      if (!isAuditId(id) || !isDocumentName(name)) return null;
+      const file = path.join(auditDir(id), 'documents', name);
+      return (await exists(file)) ? fs.promises.readFile(file) : null;
+    },
+
+    async listDocuments(id) {
+      if (!isAuditId(id)) return [];
+      const root = path.join(auditDir(id), 'documents');
+      const walk = async (rel) => {
+        const entries = await fs.promises.readdir(path.join(root, rel), { withFileTypes: true }).catch(() => []);
+        const names = await Promise.all(entries.map(entry => {
+          const name = rel ? `${rel}/${entry.name}` : entry.name;
+          return entry.isDirectory() ? walk(name) : [name];
+        }));
+        return names.flat();
+      };
+      return (await walk('')).sort();
+    },
+
+    async listAudits({ clientId } = {}) {
+      const ids = (await fs.promises.readdir(dir).catch(() => [])).filter(isAuditId);
+      const metas = await Promise.all(ids.map(id => readJson(path.join(auditDir(id), 'meta.json')).catch(() => null)));
+      return metas
+        .filter(meta => meta && (!clientId || meta.clientId === clientId))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async saveClient(fields) {
+      const client = newClient(fields);
+      await fs.promises.mkdir(path.dirname(clientFile(client.id)), { recursive: true });
+      await fs.promises.writeFile(clientFile(client.id), JSON.stringify(client, null, 2));
+      return client;
+    },
+
+    async getClient(id) {
+      if (!isClientId(id) || !(await exists(clientFile(id)))) return null;
+      return readJson(clientFile(id));
+    },
+
+    async updateClient(id, fields) {
+      const client = await this.getClient(id);
+      if (!client) return null;
+      const updated = { ...client, ...pickClientFields(fields), updatedAt: new Date().toISOString() };
+      await fs.promises.writeFile(clientFile(id), JSON.stringify(updated, null, 2));
+      return updated;
+    },
+
+    async listClients() {
+      const files = (await fs.promises.readdir(path.join(dir, 'clients')).catch(() => [])).filter(f => f.endsWith('.json'));
+      const clients = await Promise.all(files.map(f => readJson(path.join(dir, 'clients', f)).catch(() => null)));
+      return clients.filter(Boolean).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    async saveDispute(record) {
+      const dispute = stampDispute(record);
+      await fs.promises.mkdir(path.dirname(disputeFile(dispute.id)), { recursive: true });
+      await fs.promises.writeFile(disputeFile(dispute.id), JSON.stringify(dispute, null, 2));
+      return dispute;
+    },
+
+    async getDispute(id) {
+      if (!isDisputeId(id) || !(await exists(disputeFile(id)))) return null;
+      return readJson(disputeFile(id));
+    },
+
+    async updateDispute(id, fields) {
+      const dispute = await this.getDispute(id);
+      if (!dispute) return null;
+      return this.saveDispute({ ...dispute, ...pickDisputeFields(fields) });
+    },
+
+    async listDisputes({ clientId, auditId } = {}) {
+      const files = (await fs.promises.readdir(path.join(dir, 'disputes')).catch(() => [])).filter(f => f.endsWith('.json'));
+      const disputes = await Promise.all(files.map(f => readJson(path.join(dir, 'disputes', f)).catch(() => null)));
+      return disputes
+        .filter(d => d && (!clientId || d.clientId === clientId) && (!auditId || d.auditId === auditId))
+        .sort(byCreation);
+    },
+  };
+}
+
+// ============================================================================
+// SQLITE BACKEND
+// ============================================================================
+
+function createSqliteStore(file = process.env.AUDIT_DB_PATH || path.join('/tmp', 'audits.db')) {
+  // Loaded only when selected, so the fs backend runs without the native module
+  const Database = require('better-sqlite3');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audits (
+      id TEXT PRIMARY KEY,
+      created_at TEXT NOT NULL,
+      meta TEXT NOT NULL,
+      report BLOB,
+      parsed TEXT,
+      audit TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS clients (
+      id TEXT PRIMARY KEY,
+      updated_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS disputes (
+      id TEXT PRIMARY KEY,
+      client_id TEXT,
+      audit_id TEXT,
+      created_at TEXT NOT NULL,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS disputes_client ON disputes (client_id, created_at);
+    CREATE TABLE IF NOT EXISTS documents (
+      audit_id TEXT NOT NULL REFERENCES audits(id) ON DELETE CASCADE,
+      name TEXT NOT NULL,
+      content BLOB NOT NULL,
+      PRIMARY KEY (audit_id, name)
+    );
+  `);
+  // Databases created before client records existed
+  if (!db.prepare('PRAGMA table_info(audits)').all().some(column => column.name === 'client_id')) {
+    db.exec('ALTER TABLE audits ADD COLUMN client_id TEXT');
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS audits_client ON audits (client_id, created_at)');
+
+  const statements = {
+    insertAudit: db.prepare('INSERT INTO audits (id, client_id, created_at, meta, report, parsed, audit) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+    getAudit: db.prepare('SELECT audit FROM audits WHERE id = ?'),
+    getParsed: db.prepare('SELECT parsed FROM audits WHERE id = ?'),
+    getReport: db.prepare('SELECT meta, report FROM audits WHERE id = ?'),
+    auditExists: db.prepare('SELECT 1 FROM audits WHERE id = ?'),
+    putDocument: db.prepare('INSERT OR REPLACE INTO documents (audit_id, name, content) VALUES (?, ?, ?)'),
+    getDocument: db.prepare('SELECT content FROM documents WHERE audit_id = ? AND name = ?'),
+    listDocuments: db.prepare('SELECT name FROM documents WHERE audit_id = ? ORDER BY name'),
+    listAudits: db.prepare('SELECT meta FROM audits ORDER BY created_at DESC'),
+    listClientAudits: db.prepare('SELECT meta FROM audits WHERE client_id = ? ORDER BY created_at DESC'),
+    insertClient: db.prepare('INSERT INTO clients (id, updated_at, data) VALUES (?, ?, ?)'),
+    updateClient: db.prepare('UPDATE clients SET updated_at = ?, data = ? WHERE id = ?'),
+    getClient: db.prepare('SELECT data FROM clients WHERE id = ?'),
+    listClients: db.prepare('SELECT data FROM clients ORDER BY updated_at DESC'),
+    putDispute: db.prepare('INSERT OR REPLACE INTO disputes (id, client_id, audit_id, created_at, data) VALUES (?, ?, ?, ?, ?)'),
+    getDispute: db.prepare('SELECT data FROM disputes WHERE id = ?'),
+    listDisputes: db.prepare('SELECT data FROM disputes ORDER BY created_at, id'),
+    listClientDisputes: db.prepare('SELECT data FROM disputes WHERE client_id = ? ORDER BY created_at, id'),
+  };
+
+  return {
+    backend: 'sqlite',
+
+    async saveAudit({ clientId, report, data, auditData }) {
+      const id = newId();
+      const createdAt = new Date().toISOString();
+      statements.insertAudit.run(
+        id,
+        clientId || null,
+        createdAt,
+        JSON.stringify(describeAudit(id, createdAt, clientId, report, auditData)),
+        report ? report.buffer : null,
+        JSON.stringify(data || null),
+        JSON.stringify({ ...auditData, auditId: id, clientId: clientId || null, generatedAt: auditData.generatedAt || createdAt })
+      );
+      return id;
+    },
+
+    async getAudit(id) {
+      const row = statements.getAudit.get(id);
+      return row ? JSON.parse(row.audit) : null;
+    },
+
+    async getParsedData(id) {
+      const row = statements.getParsed.get(id);
+      return row ? JSON.parse(row.parsed) : null;
+    },
+
+    async getReport(id) {
+      const row = statements.getReport.get(id);
+      const meta = row ? JSON.parse(row.meta) : null;
+      return meta && meta.report && row.report ? { ...meta.report, buffer: row.report } : null;
+    },
+
+    async saveDocument(id, name, buffer) {
+      checkDocumentName(name);
+      if (!statements.auditExists.get(id)) throw new Error(`Audit ${id} not found`);
+      statements.putDocument.run(id, name, buffer);
+    },
+
+    async getDocument(id, name) {
+      const row = statements.getDocument.get(id, name);
+      return row ? row.content : null;
+    },
+
+    async listDocuments(id) {
+      return statements.listDocuments.all(id).map(row => row.name);
+    },
+
+    async listAudits({ clientId } = {}) {
+      const rows = clientId ? statements.listClientAudits.all(clientId) : statements.listAudits.all();
+      return rows.map(row => JSON.parse(row.meta));
+    },
+
+    async saveClient(fields) {
+      const client = newClient(fields);
+      statements.insertClient.run(client.id, client.updatedAt, JSON.stringify(client));
+      return client;
+    },
+
+    async getClient(id) {
+      const row = statements.getClient.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async updateClient(id, fields) {
+      const client = await this.getClient(id);
+      if (!client) return null;
+      const updated = { ...client, ...pickClientFields(fields), updatedAt: new Date().toISOString() };
+      statements.updateClient.run(updated.updatedAt, JSON.stringify(updated), id);
+      return updated;
+    },
+
+    async listClients() {
+      return statements.listClients.all().map(row => JSON.parse(row.data));
+    },
+
+    async saveDispute(record) {
+      const dispute = stampDispute(record);
+      statements.putDispute.run(dispute.id, dispute.clientId || null, dispute.auditId || null, dispute.createdAt, JSON.stringify(dispute));
+      return dispute;
+    },
+
+    async getDispute(id) {
+      const row = statements.getDispute.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async updateDispute(id, fields) {
+      const dispute = await this.getDispute(id);
+      if (!dispute) return null;
+      return this.saveDispute({ ...dispute, ...pickDisputeFields(fields) });
+    },
+
+    async listDisputes({ clientId, auditId } = {}) {
+      const rows = clientId ? statements.listClientDisputes.all(clientId) : statements.listDisputes.all();
+      return rows.map(row => JSON.parse(row.data)).filter(d => !auditId || d.auditId === auditId);
+    },
+  };
+}
+
+// ============================================================================
+// STORE SELECTION
+// ============================================================================
+
+let defaultStore = null;
+
+/**
+ * Create a store. `backend` is 'fs' or 'sqlite' (default AUDIT_STORAGE,
+ * then 'fs'); `location` overrides the backend's directory or database
+ * file. Every method is async:
+ *   saveAudit({ clientId, report: { filename, format, buffer }, data, auditData }) -> id
+ *   getAudit(id), getParsedData(id), getReport(id) -> value or null
+ *   saveDocument(id, name, buffer), getDocument(id, name), listDocuments(id)
+ *   listAudits({ clientId }) -> [{ id, createdAt, clientId, clientName,
+ *     provider, report, findings, severity }], newest first
+ *   saveClient(fields) -> client, getClient(id), updateClient(id, fields)
+ *     -> client or null, listClients() -> recently updated first
+ *   saveDispute(record) -> record (insert, or replace by id), getDispute(id),
+ *     updateDispute(id, fields) -> record or null,
+ *     listDisputes({ clientId, auditId }) -> oldest first
+ * Clients are `{ id, name, state, ssnLast4, dob, address, disputeHistory,
+ * createdAt, updatedAt }`; only CLIENT_FIELDS can be set. Dispute records
+ * are built by disputeTracker.js; updateDispute sets only DISPUTE_FIELDS.
+ */
+function createAuditStore({ backend = process.env.AUDIT_STORAGE || 'fs', location } = {}) {
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown audit storage backend "${backend}" - expected ${STORAGE_BACKENDS.join(' or ')}`);
+  }
+  return backend === 'sqlite' ? createSqliteStore(location) : createFsStore(location);
+}
+
+// Shared store for the API routes, configured from the environment
+const getAuditStore = () => {
+  if (!defaultStore) defaultStore = createAuditStore();
+  return defaultStore;
+};
+
+module.exports = {
+  STORAGE_BACKENDS,
+  CLIENT_FIELDS,
+  isAuditId,
+  isClientId,
+  isDisputeId,
+  createAuditStore,
+  getAuditStore,
+};
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+// ============================================================================
+// AXIS GROWTH - Bureau Response Letters
+// Reads the "results of your reinvestigation" letters bureaus mail back,
+// pulls out each item and its result (deleted, verified as accurate,
+// updated), and matches the items to the client's open dispute records.
+// Matched records get the outcome and response date; verified items are
+// listed for a next-round letter, updated items for a recheck against the
+// next report.
+//
+// Usage: node lib/bureauResponse.js <response.pdf> <audit_data.json>
+//   Updates the `disputes` records in audit_data.json (see runFullAudit.js).
+// ============================================================================
+
+const { findReportDate, formatReportDate } = require('./reportDates.js');
+const { creditorSimilarity, sameCreditor, compareAccountNumbers } = require('./accountMatcher.js');
+const { disputeStatus, findingKey } = require('./disputeRounds.js');
+const { disputesToHistory } = require('./disputeTracker.js');
+
+const BUREAU_NAMES = {
+  TU: /trans\s*union/gi,
+  EX: /experian/gi,
+  EQ: /equifax/gi,
+};
+
+// Result wording across the three bureaus' letters, most specific first:
+// "verified and updated" is an update, "verified as accurate" a verification
+const RESULT_PATTERNS = [
+  { result: 'deleted', pattern: /\b(?:deleted|removed|no longer (?:appears|reporting|reported))\b/i },
+  { result: 'updated', pattern: /\b(?:updated|modified|changed|new information below)\b/i },
+  { result: 'verified', pattern: /\b(?:verified|remains|no change|reported correctly|accurate as reported)\b/i },
+];
+
+// A line states a result when it is labelled ("Result: Deleted"), one of
+// the sentences Equifax uses ("This item has been deleted"), or a short
+// result column - ">>> VERIFIED AS ACCURATE" on its own, or next to the
+// item's name or account number. Short boilerplate like "Your credit report
+// has been updated as a result." is none of these.
+const RESULT_LINE = /^(?:>+\s*)?(?:investigation\s+)?(?:results?|outcome|status)\s*[:\-]/i;
+const RESULT_SENTENCE = /\b(?:this (?:item|account) (?:has been|was)|we (?:have )?(?:verified|updated|deleted))\b/i;
+const RESULT_COLUMN_WORDS = /\b(?:deleted|removed|updated|modified|changed|verified|remains|no change|reported correctly|accurate|as reported|new information below|as|and|item|account)\b/gi;
+const MAX_RESULT_COLUMN_LENGTH = 80;
+
+// "Account #: XXXX1234", "#88XX", or a bare mask mixing digits and X/* ("517805XXXXXX")
+const ACCOUNT_NUMBER = /(?:account|acct)\.?\s*(?:#|number|no\.?)?\s*:?\s*([X*\d][X*\d\s-]{3,})|#\s*([X*\d][X*\d-]{3,})|(?:^|\s)(\d{2,}[X*]{2,}[X*\d]*|[X*]{2,}[X*\d]*\d{2,})(?=\s|$)/i;
+
+// Lines that are field labels or letter boilerplate, never an item name
+const NOT_A_NAME = /^(?:account|acct|date|balance|status|type|responsibility|high|credit|limit|payment|terms|opened|closed|reported|address|phone|page|dear|sincerely|re:|if you|you |we |this |the |our |your|to |for |please|results?|outcome|information|trans\s*union|experian|equifax)\b/i;
+
+const classifyResult = (text) => {
+  const found = RESULT_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return found ? found.result : null;
+};
+
+const accountNumberIn = (text) => {
+  const m = text.match(ACCOUNT_NUMBER);
+  return m ? (m[1] || m[2] || m[3]).replace(/[\s-]/g, '') : '';
+};
+
+const cleanName = (text) => text
+  .replace(ACCOUNT_NUMBER, '')
+  .replace(/[>:|]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const looksLikeName = (line) => /[A-Za-z]{3,}/.test(line) && !NOT_A_NAME.test(line) && !findReportDate(line) && line.length <= 60;
+
+// Creditor names are printed in capitals, so the closest capitalised line
+// above the result wins over letterhead and account details
+const nameAbove = (block) => {
+  const names = block.filter(looksLikeName);
+  const capitalised = names.filter(line => line === line.toUpperCase());
+  return (capitalised.length > 0 ? capitalised : names).pop() || '';
+};
+
+// Nothing but result wording once ">>>" and punctuation are gone
+const isResultColumn = (line) => line.replace(RESULT_COLUMN_WORDS, '').replace(/[^A-Za-z]/g, '').length === 0;
+
+// The text before the result word, e.g. "CHASE #88XX >>> DELETED"
+const resultPrefix = (line) => {
+  const found = RESULT_PATTERNS.map(({ pattern }) => pattern.exec(line)).filter(Boolean).sort((a, b) => a.index - b.index)[0];
+  return found ? cleanName(line.slice(0, found.index).replace(RESULT_LINE, '')) : '';
+};
+
+// A creditor name before the result - printed in capitals like the rest
+const namedResult = (line) => {
+  const before = resultPrefix(line);
+  return looksLikeName(before) && before === before.toUpperCase();
+};
+
+const isResultLine = (line, block) => {
+  if (RESULT_LINE.test(line) || RESULT_SENTENCE.test(line)) return true;
+  if (line.length > MAX_RESULT_COLUMN_LENGTH) return false;
+  return isResultColumn(line) || ACCOUNT_NUMBER.test(line) || block.some(l => ACCOUNT_NUMBER.test(l)) || namedResult(line);
+};
+
+// The bureau named most often in the letter
+const detectBureau = (text) => {
+  const counts = Object.entries(BUREAU_NAMES).map(([bureau, pattern]) => [bureau, (text.match(pattern) || []).length]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : null;
+};
+
+/**
+ * Parse the text of a reinvestigation results letter into `{ bureau,
+ * responseDate, items }`. Each item is `{ name, accountNumberPartial,
+ * result, text }`: the lines since the previous result make up the item,
+ * named by a name before the result on the same line or the nearest name
+ * above it. Text after the last result is ignored.
+ */
+function parseBureauResponse(text) {
+  const lines = String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const dated = lines.find(line => /\bdate\b/i.test(line) && findReportDate(line)) || lines.find(line => findReportDate(line));
+  const responseDate = dated ? formatReportDate(findReportDate(dated).text) : null;
+
+  const items = [];
+  let block = [];
+  lines.forEach(line => {
+    const result = isResultLine(line, block) ? classifyResult(line) : null;
+    if (!result) {
+      block.push(line);
+      return;
+    }
+
+    // "CAPITAL ONE #5178XXXX ... DELETED" names the item on the result line
+    const before = resultPrefix(line);
+    const name = looksLikeName(before) ? before : cleanName(nameAbove(block));
+    if (name) {
+      const itemText = [...block, line].join('\n');
+      items.push({ name, accountNumberPartial: accountNumberIn(itemText), result, text: itemText });
+    }
+    block = [];
+  });
+
+  return { bureau: detectBureau(text), responseDate, items };
+}
+
+// Finding labels show "CAPITAL ONE (...7805)" for the last four digits and
+// "CAPITAL ONE (517805XXXXXX)" for a leading-digit mask. The last four are
+// kept right-aligned behind a placeholder so they are never compared with
+// the leading digits a letter prints.
+const splitItem = (item) => {
+  const m = String(item || '').match(/^(.*?)\s*\((\.\.\.)?([\dX*]*)\)\s*$/i);
+  if (!m) return { name: String(item || ''), accountNumberMasked: '' };
+  return { name: m[1], accountNumberMasked: m[2] && m[3] ? `X${m[3]}` : m[3] };
+};
+
+const scoreItem = (responseItem, dispute) => {
+  const disputed = splitItem(dispute.item);
+  if (!sameCreditor(responseItem.name, disputed.name)) return null;
+  const digits = compareAccountNumbers(responseItem, disputed).score;
+  if (digits === -1) return null;
+  return creditorSimilarity(responseItem.name, disputed.name) + (digits || 0);
+};
+
+/**
+ * Match a parsed response to the client's dispute records and work out
+ * what to update. Only open records - mailed, no outcome yet - for the
+ * response's bureau are candidates, each used once, best match first.
+ * `history` is the client's other dispute history, so the next-round
+ * letter type accounts for earlier rounds; `findings` (the latest audit's)
+ * give items with no open dispute the finding they would answer.
+ *
+ * Returns `{ bureau, responseDate, items, updates, nextRound, recheck,
+ * resolved, unmatched }`: `items` each with the `disputeId` and
+ * `findingKey` it answers, `updates` the `{ id, fields }` to apply with
+ * the store's updateDispute, `nextRound` verified items with the next
+ * `{ round, letterType }`, `recheck` updated items to confirm on the next
+ * report, `resolved` deleted items and `unmatched` response items no open
+ * dispute covers.
+ */
+function reconcileResponse(response, disputes, { history = [], findings = [], bureau = response.bureau, today = new Date() } = {}) {
+  const open = disputes.filter(d => d.mailedDate && !d.outcome && (!bureau || d.bureau === bureau));
+  const respondedDate = response.responseDate || formatReportDate(today);
+
+  const candidates = [];
+  response.items.forEach((item, i) => open.forEach((dispute, j) => {
+    const score = scoreItem(item, dispute);
+    if (score !== null) candidates.push({ i, j, score });
+  }));
+  candidates.sort((a, b) => b.score - a.score);
+
+  const matched = new Map();
+  const used = new Set();
+  candidates.forEach(({ i, j }) => {
+    if (matched.has(i) || used.has(j)) return;
+    matched.set(i, open[j]);
+    used.add(j);
+  });
+
+  const updates = [];
+  const items = response.items.map((item, i) => {
+    const dispute = matched.get(i);
+    if (dispute) {
+      updates.push({ id: dispute.id, fields: { outcome: item.result, respondedDate } });
+      return { ...item, bureau: dispute.bureau, disputeId: dispute.id, findingKey: dispute.finding };
+    }
+    const finding = findings.find(f => (!bureau || (f.bureausAffected || []).includes(bureau)) && scoreItem(item, f) !== null);
+    return { ...item, bureau, disputeId: null, findingKey: finding ? findingKey(finding) : null };
+  });
+
+  // Next letters as they stand once the updates are applied
+  const answered = disputes.map(d => {
+    const update = updates.find(u => u.id === d.id);
+    return update ? { ...d, ...update.fields } : d;
+  });
+  const fullHistory = history.concat(disputesToHistory(answered));
+  const describe = (item) => {
+    const dispute = matched.get(response.items.indexOf(item));
+    return { disputeId: dispute.id, findingKey: dispute.finding, item: dispute.item, bureau: dispute.bureau, round: dispute.round, result: item.result };
+  };
+  const answeredItems = response.items.filter((_, i) => matched.has(i));
+
+  return {
+    bureau,
+    responseDate: respondedDate,
+    items,
+    updates,
+    nextRound: answeredItems.filter(item => item.result === 'verified').map(item => {
+      const entry = describe(item);
+      const next = disputeStatus({ type: entry.findingKey.split(':')[0], item: entry.item }, entry.bureau, fullHistory, today);
+      return { ...entry, nextRound: next.round, letterType: next.letterType };
+    }),
+    recheck: answeredItems.filter(item => item.result === 'updated').map(describe),
+    resolved: answeredItems.filter(item => item.result === 'deleted').map(describe),
+    unmatched: items.filter(item => !item.disputeId),
+  };
+}
+
+// ============================================================================
+// CLI EXECUTION
+// ============================================================================
+if (require.main === module) {
+  const fs = require('fs');
+  const { readReportInput } = require('./reportInput.js');
+  const { validateDisputeUpdate, describeDispute } = require('./disputeTracker.js');
+  const { validateDisputeHistory } = require('./disputeRounds.js');
+  const args = process.argv.slice(2);
+
+  if (args.length < 2) {
+    console.log('Usage: node bureauResponse.js <response.pdf> <audit_data.json>');
+    process.exit(1);
+  }
+
+  const [responseFile, jsonPath] = args;
+  (async () => {
+    const input = await readReportInput(fs.readFileSync(responseFile), responseFile);
+    const response = parseBureauResponse(input.text);
+    const auditData = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    const disputes = (auditData.disputes || []).map(validateDisputeUpdate);
+    // CLI records have no ids - key them by position
+    const keyed = disputes.map((d, i) => ({ ...d, id: d.id || `#${i}` }));
+    const result = reconcileResponse(response, keyed, { history: validateDisputeHistory(auditData.disputeHistory || []) });
+
+    auditData.disputes = keyed.map((d, i) => {
+      const update = result.updates.find(u => u.id === d.id);
+      const { id, ...record } = update ? { ...d, ...update.fields } : d;
+      return describeDispute(disputes[i].id ? { id, ...record } : record);
+    });
+    fs.writeFileSync(jsonPath, JSON.stringify(auditData, null, 2));
+
+    console.log(`\n📬 ${result.bureau || 'Unknown bureau'} response dated ${result.responseDate}: ${response.items.length} item(s), ${result.updates.length} matched to open disputes`);
+    result.resolved.forEach(r => console.log(`   ✓ Deleted: ${r.item}`));
+    result.recheck.forEach(r => console.log(`   ~ Updated - recheck on next report: ${r.item}`));
+    result.nextRound.forEach(r => console.log(`   → Verified - round ${r.nextRound} ${r.letterType} letter: ${r.item}`));
+    result.unmatched.forEach(r => console.log(`   ? No open dispute for: ${r.name} (${r.result})`));
+  })().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseBureauResponse,
+  reconcileResponse,
+};
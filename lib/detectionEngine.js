@@ -0,0 +1,1240 @@
+// ============================================================================
+// AXIS GROWTH - Detection Engine
+// Shared rule module used by the CLI (runFullAudit.js), /api/audit and the
+// document generators. Every entry point must run findings through here so
+// the same report always produces the same findings.
+// ============================================================================
+
+const { isLateCode, toMonthKey } = require('./paymentHistory.js');
+const { DAY_MS, parseReportDate, toDate, compareReportDates, daysSince } = require('./reportDates.js');
+const { sameCreditor, accountNumberLabel, matchAccounts, linkAccounts, summarizeMatching } = require('./accountMatcher.js');
+const { normalizeName, normalizeAddress, editDistance } = require('./parsePersonalInfo.js');
+
+// ============================================================================
+// ISSUE TYPE DEFINITIONS
+// ============================================================================
+const ISSUE_TYPES = {
+  PERSONAL_NAME_VARIATION: { label: 'Name Variation Across Bureaus', severity: 'low', basis: 'FCRA §607(b), §611(a)' },
+  PERSONAL_NAME_MISSPELLED: { label: 'Misspelled Name', severity: 'medium', basis: 'FCRA §607(b), §611(a)' },
+  PERSONAL_ADDRESS_MISMATCH: { label: 'Current Address Mismatch', severity: 'low', basis: 'FCRA §607(b), §611(a)' },
+  PERSONAL_UNKNOWN_ADDRESS: { label: 'Unverified Address', severity: 'medium', basis: 'FCRA §607(b), §611(a)' },
+  PERSONAL_INFO_MISMATCH: { label: 'Personal Information Mismatch', severity: 'medium', basis: 'FCRA §607(b), §611(a)' },
+  DATE_MISMATCH_OPEN: { label: 'Open Date Mismatch', severity: 'high', basis: 'FCRA §611(a)' },
+  DATE_MISMATCH_DLA: { label: 'Date of Last Activity Mismatch', severity: 'high', basis: 'FCRA §611(a)' },
+  DATE_MISMATCH_DOFD: { label: 'DOFD Mismatch', severity: 'critical', basis: 'FCRA §623(a)(2), §605(c)' },
+  DATE_MISMATCH_PAYMENT: { label: 'Last Payment Date Mismatch', severity: 'medium', basis: 'FCRA §611(a)' },
+  BALANCE_MISMATCH: { label: 'Balance Mismatch', severity: 'medium', basis: 'FCRA §611(a)' },
+  BALANCE_ZERO_MISMATCH: { label: 'Zero vs. Reported Balance', severity: 'high', basis: 'FCRA §611(a), §623(a)(2)' },
+  BALANCE_ON_CLOSED: { label: 'Balance on Paid/Closed/Charged-Off Account', severity: 'high', basis: 'FCRA §623(a)(2)' },
+  LIMIT_MISMATCH: { label: 'Credit Limit Mismatch', severity: 'low', basis: 'FCRA §611(a)' },
+  STATUS_MISMATCH: { label: 'Account Status Mismatch', severity: 'high', basis: 'FCRA §611(a)' },
+  MISSING_OC: { label: 'Missing Original Creditor', severity: 'medium', basis: 'FDCPA §809(a)' },
+  MISSING_DOFD: { label: 'Missing Date of First Delinquency', severity: 'high', basis: 'FCRA §623(a)(2)' },
+  INQUIRY_EXPIRED: { label: 'Expired Hard Inquiry', severity: 'low', basis: 'FCRA §605(a)(3)' },
+  INQUIRY_UNAUTHORIZED: { label: 'Inquiry Without Matching Account', severity: 'medium', basis: 'FCRA §604(a)(3), §611(a)' },
+  INQUIRY_DUPLICATE: { label: 'Duplicate Inquiry', severity: 'low', basis: 'FCRA §607(b), §611(a)' },
+  INQUIRY_RATE_SHOPPING: { label: 'Rate-Shopping Inquiry Cluster', severity: 'low', basis: 'FCRA §611(a); rate-shopping inquiries count as one' },
+  REPORTING_EXPIRED: { label: 'Reporting Period Expired', severity: 'critical', basis: 'FCRA §605(a)(4), §605(c)' },
+  MEDICAL_DEBT_STATE_BAN: { label: 'Medical Debt Barred by State Law', severity: 'critical', basis: 'State medical debt reporting prohibition' },
+  MEDICAL_DEBT_PAID: { label: 'Paid Medical Collection', severity: 'high', basis: 'FCRA §611(a); CRA medical debt policy (paid medical collections removed July 2022)' },
+  MEDICAL_DEBT_UNDER_500: { label: 'Medical Collection Under $500', severity: 'high', basis: 'FCRA §611(a); CRA medical debt policy (medical collections under $500 removed April 2023)' },
+  MEDICAL_DEBT_UNDER_1_YEAR: { label: 'Medical Collection Reported Within 1 Year', severity: 'high', basis: 'FCRA §611(a); CRA medical debt policy (1-year waiting period before reporting)' },
+  LATE_PAYMENT_MISMATCH: { label: 'Late Payment History Mismatch', severity: 'high', basis: 'FCRA §611(a), §623(a)(2)' },
+  LATE_AFTER_CLOSED: { label: 'Late Payment Reported After Closure', severity: 'high', basis: 'FCRA §623(a)(2), §607(b)' },
+  PAYMENT_HISTORY_GAP: { label: 'Payment History Gap', severity: 'low', basis: 'FCRA §607(b), §623(a)(2)' },
+  DUPLICATE_COLLECTION: { label: 'Duplicate / Double-Reported Debt', severity: 'high', basis: 'FCRA §607(b), §623(a)(1)' },
+  REAGED_DOFD: { label: 'Re-Aged Delinquency Date', severity: 'critical', basis: 'FCRA §623(a)(5), §605(c)' },
+  BANKRUPTCY_DATE_MISMATCH: { label: 'Bankruptcy Date Mismatch', severity: 'high', basis: 'FCRA §607(b), §611(a)' },
+  BANKRUPTCY_EXPIRED: { label: 'Bankruptcy Past Reporting Period', severity: 'critical', basis: 'FCRA §605(a)(1); CRA policy (Chapter 13 removed 7 years from filing)' },
+  DISCHARGED_DEBT_BALANCE: { label: 'Balance on Debt Discharged in Bankruptcy', severity: 'high', basis: 'FCRA §607(b), §623(a)(2); 11 U.S.C. §524(a)' },
+  JUDGMENT_REPORTED: { label: 'Civil Judgment Reported', severity: 'high', basis: 'FCRA §607(b), §611(a); NCAP public record standards (civil judgments removed July 2017)' },
+  TAX_LIEN_REPORTED: { label: 'Tax Lien Reported', severity: 'high', basis: 'FCRA §607(b), §611(a); NCAP public record standards (tax liens removed April 2018)' },
+};
+
+const MEDICAL_DEBT_BAN_STATES = ['CA', 'CO', 'CT', 'DE', 'IL', 'ME', 'MD', 'MN', 'NJ', 'NY', 'OR', 'RI', 'VT', 'VA', 'WA'];
+
+// Legal basis for each state in MEDICAL_DEBT_BAN_STATES, printed in dispute
+// letters. Entries with `verified: false` have no statute citation on file
+// yet - their findings still fire but ask for the law to be confirmed
+// before the letter goes out.
+const MEDICAL_DEBT_STATE_LAWS = {
+  CA: { basis: 'Cal. Civ. Code §1785.27 (SB 1061) - medical debt may not be furnished to or reported by consumer credit reporting agencies', verified: true },
+  CO: { basis: 'C.R.S. §5-18-109 (HB 23-1126) - medical debt may not be reported to or included in consumer reports', verified: true },
+  CT: { basis: 'Connecticut law restricting credit reporting of medical debt', verified: false },
+  DE: { basis: 'Delaware law restricting credit reporting of medical debt', verified: false },
+  IL: { basis: 'Illinois law restricting credit reporting of medical debt', verified: false },
+  ME: { basis: 'Maine Fair Credit Reporting Act, 10 M.R.S. §1310-H - restricts reporting of medical debt', verified: true },
+  MD: { basis: 'Maryland law restricting credit reporting of medical debt', verified: false },
+  MN: { basis: 'Minnesota Debt Fairness Act - restricts credit reporting of medical debt', verified: false },
+  NJ: { basis: 'New Jersey law restricting credit reporting of medical debt', verified: false },
+  NY: { basis: 'N.Y. Gen. Bus. Law §380-j (Fair Medical Debt Reporting Act) - medical debt may not be reported or included in consumer reports', verified: true },
+  OR: { basis: 'Oregon law restricting credit reporting of medical debt', verified: false },
+  RI: { basis: 'Rhode Island law restricting credit reporting of medical debt', verified: false },
+  VT: { basis: 'Vermont law restricting credit reporting of medical debt', verified: false },
+  VA: { basis: 'Virginia law restricting credit reporting of medical debt', verified: false },
+  WA: { basis: 'Washington law restricting credit reporting of medical debt', verified: false },
+};
+
+const MEDICAL_PATTERN = /MEDICAL|\bMED\b|HOSPITAL|HEALTH|CLINIC|PHYSICIAN|RADIOLOG|AMBULANCE|EMERGENCY|ANESTH|PATHOLOG|LABORATOR|\bLABS?\b|SURGERY|SURGICAL|DENTAL|ORTHOP|PEDIATRIC|URGENT\s*CARE|\bEMS\b|IMAGING/i;
+
+// Canonical bureau codes, keyed by the long names some parsers emit
+const BUREAU_CODES = {
+  transunion: 'TU',
+  experian: 'EX',
+  equifax: 'EQ',
+};
+
+// ============================================================================
+// INPUT NORMALIZATION
+// ============================================================================
+
+// Nested field names -> flat field names, for field provenance
+const NESTED_FIELD_NAMES = {
+  accountNumber: 'accountNumberPartial',
+  dateOpened: 'openDate',
+  balance: 'currentBalance',
+  lastActivityDate: 'dateOfLastActivity',
+  dofd: 'dateOfFirstDelinquency',
+};
+
+const flattenProvenance = (provenance) => {
+  const flat = {};
+  Object.entries(provenance).forEach(([field, entry]) => {
+    flat[NESTED_FIELD_NAMES[field] || field] = entry;
+  });
+  return flat;
+};
+
+/**
+ * Convert an account in the nested `{ name, bureaus: { transunion: {...} } }`
+ * shape into one flat tradeline per bureau.
+ */
+function flattenBureauAccount(account) {
+  return Object.entries(account.bureaus || {})
+    .filter(([bureauKey, values]) => BUREAU_CODES[bureauKey] && values)
+    .map(([bureauKey, values]) => ({
+      bureau: BUREAU_CODES[bureauKey],
+      creditorName: values.creditorName || account.name || '',
+      accountNumberPartial: (values.accountNumber || account.accountNumber || '').replace(/[^0-9]/g, '').slice(-4),
+      accountNumberMasked: values.accountNumber || account.accountNumber || '',
+      accountType: values.accountType || '',
+      openDate: values.dateOpened || null,
+      currentBalance: values.balance != null ? values.balance : null,
+      creditLimit: values.creditLimit != null ? values.creditLimit : null,
+      status: values.status || '',
+      dateOfLastActivity: values.lastActivityDate || null,
+      lastPaymentDate: values.lastPaymentDate || null,
+      dateReported: values.dateReported || null,
+      dateClosed: values.dateClosed || null,
+      dateOfFirstDelinquency: values.dofd || null,
+      originalCreditor: values.originalCreditor || '',
+      collectorName: values.collectorName || (account.type === 'collection' ? account.name : '') || '',
+      paymentHistory: values.paymentHistory || [],
+      ...(values.provenance ? { provenance: flattenProvenance(values.provenance) } : {}),
+    }));
+}
+
+/**
+ * Accept parsed report data in either the flat per-bureau shape
+ * (`{ bureau: 'EX', creditorName, ... }`) or the nested `bureaus` shape and
+ * return the canonical flat `{ client, tradelines, collections, inquiries,
+ * publicRecords }`.
+ */
+function normalizeReportData(data) {
+  const flatten = (accounts) => (accounts || []).flatMap(a => (a.bureaus ? flattenBureauAccount(a) : [a]));
+  const bureauCode = (bureau) => BUREAU_CODES[(bureau || '').toLowerCase()] || bureau;
+
+  return {
+    ...data,
+    client: data.client || {},
+    tradelines: flatten(data.tradelines),
+    collections: flatten(data.collections),
+    inquiries: (data.inquiries || []).map(inq => ({
+      ...inq,
+      bureau: bureauCode(inq.bureau),
+    })),
+    // Records printed without a bureau column apply to every bureau
+    publicRecords: (data.publicRecords || []).flatMap(record => (
+      !record.bureau || record.bureau === 'ANY'
+        ? Object.values(BUREAU_CODES).map(bureau => ({ ...record, bureau }))
+        : [{ ...record, bureau: bureauCode(record.bureau) }]
+    )),
+  };
+}
+
+// ============================================================================
+// ACCOUNT GROUPING
+// ============================================================================
+const accountLabel = (account) => {
+  return (account.collectorName || account.creditorName) + ' (' + accountNumberLabel(account) + ')';
+};
+
+const groupBy = (list, keyFn) => {
+  const groups = {};
+  list.forEach(item => {
+    const key = keyFn(item);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(item);
+  });
+  return groups;
+};
+
+/**
+ * Match the per-bureau accounts of parsed report data (either shape) with
+ * the account matcher, applying `overrides` or the data's own
+ * `matchOverrides`. Returns the JSON-safe `{ groups, decisions }` saved as
+ * `accountMatching` in the audit output.
+ */
+function matchReportAccounts(data, { overrides } = {}) {
+  const { tradelines, collections } = normalizeReportData(data);
+  return summarizeMatching(matchAccounts([...tradelines, ...collections], { overrides: overrides || data.matchOverrides }));
+}
+
+// ============================================================================
+// REPORTING PERIOD (FCRA §605)
+// ============================================================================
+// §605(c): the 7-year period starts 180 days after the delinquency began
+const REPORTING_PERIOD_YEARS = 7;
+const DELINQUENCY_GRACE_DAYS = 180;
+
+// Days two bureaus' dates for the same event may differ before it is a
+// mismatch; month- and year-only dates are compared as the whole span they
+// name, so "05/2023" matches anything in May
+const DATE_MISMATCH_TOLERANCE_DAYS = 30;
+
+// A DOFD this long after the last payment means the delinquency clock was
+// restarted - one missed cycle plus the 30-day late threshold is ~60 days
+const REAGING_TOLERANCE_DAYS = 90;
+
+const CHARGED_OFF_PATTERN = /charge[\s-]*off|charged[\s-]*off|\bC\/?O\b|profit\s*(and|&)\s*loss/i;
+
+/**
+ * Compute the date an adverse account must stop reporting under §605(a)(4)
+ * and §605(c). Uses DOFD when reported; otherwise falls back to DLA, then the
+ * open date, and marks the result low-confidence since either can only
+ * approximate when the delinquency began.
+ */
+function computeObsolescenceDate(account) {
+  const candidates = [
+    { field: 'dateOfFirstDelinquency', source: 'DOFD', confidence: 'high' },
+    { field: 'dateOfLastActivity', source: 'DLA', confidence: 'low' },
+    { field: 'openDate', source: 'Open Date', confidence: 'low' },
+  ];
+
+  for (const candidate of candidates) {
+    // A month-only date is read as the end of its month so the period is
+    // never claimed to have ended early
+    const start = toDate(account[candidate.field], 'end');
+    if (!start) continue;
+
+    const date = new Date(start.getTime() + DELINQUENCY_GRACE_DAYS * DAY_MS);
+    date.setUTCFullYear(date.getUTCFullYear() + REPORTING_PERIOD_YEARS);
+    return {
+      date,
+      source: candidate.source,
+      sourceDate: account[candidate.field],
+      confidence: candidate.confidence,
+    };
+  }
+  return null;
+}
+
+const formatShortDate = (date) => {
+  return `${String(date.getUTCMonth() + 1).padStart(2, '0')}/${String(date.getUTCDate()).padStart(2, '0')}/${date.getUTCFullYear()}`;
+};
+
+// ============================================================================
+// BALANCE TOLERANCE
+// ============================================================================
+
+// Balances may differ by the larger of `amount` dollars or `percent` of the
+// higher balance before they are flagged. When two bureaus' "date reported"
+// fall more than `reportingCycleDays` apart they reflect different statement
+// cycles, and the allowance grows by one tolerance per cycle between them.
+const DEFAULT_BALANCE_TOLERANCE = {
+  amount: 50,
+  percent: 0.05,
+  reportingCycleDays: 25,
+};
+
+const CLOSED_STATUS_PATTERN = /\bpaid\b|closed|transferred|sold/i;
+
+// ============================================================================
+// MEDICAL DEBT
+// ============================================================================
+
+// Bureau policy thresholds (2022-2023 NCRA medical debt changes)
+const MEDICAL_DEBT_MIN_BALANCE = 500;
+const MEDICAL_DEBT_WAITING_DAYS = 365;
+
+/**
+ * A collection is treated as medical when its account type, collector,
+ * creditor or original creditor names a medical provider.
+ */
+const isMedicalDebt = (account) => {
+  return [account.accountType, account.collectorName, account.creditorName, account.originalCreditor]
+    .some(value => value && MEDICAL_PATTERN.test(value));
+};
+
+// ============================================================================
+// DUPLICATE REPORTING
+// ============================================================================
+
+// Two tradelines are the same debt when their balances are within the larger
+// of `amount` dollars or `percent` of the higher balance, and any DOFDs they
+// both report fall within DUPLICATE_DATE_TOLERANCE_DAYS of each other
+const DUPLICATE_AMOUNT_TOLERANCE = { amount: 25, percent: 0.1 };
+const DUPLICATE_DATE_TOLERANCE_DAYS = 60;
+
+// ============================================================================
+// PUBLIC RECORDS
+// ============================================================================
+
+// §605(a)(1) allows 10 years from the order for relief; the bureaus drop a
+// Chapter 13 7 years from filing
+const BANKRUPTCY_REPORTING_YEARS = { '7': 10, '11': 10, '12': 10, '13': 7 };
+
+const BANKRUPTCY_STATUS_PATTERN = /bankrupt|chapter\s*(7|11|12|13)\b|discharg|\bBK\b/i;
+const DISMISSED_PATTERN = /dismiss|withdrawn|vacated/i;
+
+const recordLabel = (record) => {
+  const name = record.type === 'bankruptcy'
+    ? `Chapter ${record.chapter || '?'} Bankruptcy`
+    : record.description || (record.type === 'tax_lien' ? 'Tax Lien' : 'Civil Judgment');
+  return name + (record.referenceNumber ? ` (#${record.referenceNumber})` : '');
+};
+
+// ============================================================================
+// INQUIRIES
+// ============================================================================
+const INQUIRY_REPORTING_DAYS = 730;
+
+// An inquiry is accounted for when the same creditor opened an account from
+// 30 days before to INQUIRY_MATCH_WINDOW_DAYS after the inquiry
+const INQUIRY_MATCH_WINDOW_DAYS = 90;
+const DUPLICATE_INQUIRY_DAYS = 14;
+
+// Scoring models treat auto/mortgage inquiries within 45 days as one
+const RATE_SHOPPING_WINDOW_DAYS = 45;
+
+const INQUIRY_CATEGORIES = {
+  auto: /AUTO|MOTOR|\bCARS?\b|VEHICLE|DEALER|ALLY|SANTANDER|WESTLAKE|CREDIT\s*ACCEPT|EXETER|CARMAX|CARVANA|TOYOTA|HONDA|NISSAN|FORD\s*CREDIT|GM\s*FINANCIAL|HYUNDAI|KIA\b/i,
+  mortgage: /MORTGAGE|\bMTG\b|HOME\s*LOAN|ROCKET|QUICKEN|LOANDEPOT|FAIRWAY|\bUWM\b|REAL\s*ESTATE/i,
+};
+
+const inquiryCategory = (inq) => {
+  const text = `${inq.creditorName || ''} ${inq.businessType || ''}`;
+  return Object.keys(INQUIRY_CATEGORIES).find(category => INQUIRY_CATEGORIES[category].test(text)) || null;
+};
+
+// ============================================================================
+// FINDING HELPERS
+// ============================================================================
+
+/**
+ * Build a finding in the canonical schema consumed by generateAuditDocuments.js,
+ * /api/download and the UI. Severity and basis default from ISSUE_TYPES.
+ */
+const createFinding = (id, type, fields) => ({
+  id,
+  type,
+  item: fields.item,
+  bureausAffected: fields.bureausAffected,
+  severity: fields.severity || ISSUE_TYPES[type].severity,
+  basis: fields.basis || ISSUE_TYPES[type].basis,
+  evidence: fields.evidence,
+  action: fields.action,
+  impactScore: fields.impactScore,
+  timeline: fields.timeline || '30-45 days',
+  confidence: fields.confidence || 'high',
+  claimIndicator: fields.claimIndicator || false,
+  ...(fields.cannotConfirm ? { cannotConfirm: fields.cannotConfirm } : {}),
+  ...(fields.accountsInvolved ? { accountsInvolved: fields.accountsInvolved } : {}),
+  ...(fields.furnisher ? { furnisher: fields.furnisher } : {}),
+  documentationNeeded: fields.documentationNeeded || [],
+  dependencies: fields.dependencies || [],
+});
+
+// Record name fields a finding's `item` is built from
+const RECORD_NAME_FIELDS = ['collectorName', 'creditorName', 'referenceNumber'];
+
+const describeSource = (f) => {
+  if (f.ocrConfidence != null) return `OCR ${f.ocrConfidence}%`;
+  if (f.defaulted) return 'assumed';
+  return [f.page ? `page ${f.page}` : '', f.line ? `line ${f.line}` : ''].filter(Boolean).join(', ') || 'low confidence';
+};
+
+/**
+ * Find the low-confidence inputs behind each finding. Records carry
+ * `provenance: { field: { confidence, line, page, ... } }`; a finding
+ * rests on a low-confidence field when its item names the record and its
+ * evidence quotes the value, or when the value was assumed (a defaulted
+ * bureau). With `mode` 'downgrade' those findings are marked low confidence
+ * with the values to verify; with 'skip' they are dropped. Returns the
+ * findings to keep.
+ */
+function applyInputConfidence(findings, records, mode = 'downgrade') {
+  const uncertain = records.filter(r => r.provenance && Object.values(r.provenance).some(entry => entry.confidence === 'low'));
+  if (uncertain.length === 0 || mode === 'ignore') return findings;
+
+  return findings.filter(finding => {
+    const item = String(finding.item || '').toUpperCase();
+    const text = `${finding.item} ${finding.evidence}`;
+    const fields = uncertain
+      .filter(r => (finding.bureausAffected || []).includes(r.bureau))
+      .filter(r => RECORD_NAME_FIELDS.some(field => r[field] && item.includes(String(r[field]).toUpperCase())))
+      .flatMap(r => Object.entries(r.provenance)
+        .filter(([field, entry]) => entry.confidence === 'low' && r[field] != null && r[field] !== '')
+        .filter(([field, entry]) => entry.defaulted || (String(r[field]).length >= 2 && text.includes(String(r[field]))))
+        .map(([field, entry]) => ({ bureau: r.bureau, field, value: r[field], ...entry })));
+    if (fields.length === 0) return true;
+    if (mode === 'skip') return false;
+
+    const note = `Low-confidence parsed values - ${fields.map(f => `${f.bureau} ${f.field} "${f.value}" (${describeSource(f)})`).join('; ')} - verify against the original report`;
+    finding.confidence = 'low';
+    finding.lowConfidenceFields = fields;
+    finding.cannotConfirm = finding.cannotConfirm ? `${finding.cannotConfirm}; ${note}` : note;
+    return true;
+  });
+}
+
+// ============================================================================
+// DETECTION ENGINE
+// ============================================================================
+
+/**
+ * Run every rule against a parsed report. Pass `options.previousData` (an
+ * earlier parsed report for the same client) to enable cross-report checks,
+ * `options.balanceTolerance` to override DEFAULT_BALANCE_TOLERANCE,
+ * `options.lowConfidence` ('downgrade' (default), 'skip' or 'ignore') to
+ * choose what happens to findings built on low-confidence parsed values, and
+ * `options.matchOverrides` to force account matches (see matchAccounts).
+ */
+function runDetectionEngine(input, options = {}) {
+  const { client, personalInfo, tradelines, collections, inquiries, publicRecords } = normalizeReportData(input);
+  const previousData = options.previousData ? normalizeReportData(options.previousData) : null;
+  const findings = [];
+  const today = new Date();
+  let findingId = 1;
+
+  const addFinding = (type, fields) => {
+    findings.push(createFinding(findingId++, type, fields));
+  };
+
+  // The furnisher behind an account finding, for letters sent to it directly
+  const furnisherOf = (account) => ({
+    name: account.collectorName || account.creditorName,
+    accountNumberPartial: account.accountNumberPartial || '',
+    accountNumberMasked: account.accountNumberMasked || '',
+    originalCreditor: account.originalCreditor || '',
+    currentBalance: account.currentBalance != null && !isNaN(Number(account.currentBalance)) ? Number(account.currentBalance) : null,
+    collection: collections.includes(account),
+  });
+
+  // Same-account records across bureaus, matched once and filtered per rule
+  const matching = matchAccounts([...tradelines, ...collections], { overrides: options.matchOverrides || input.matchOverrides });
+  const groupAccounts = (accounts) => {
+    const included = new Set(accounts);
+    const groups = {};
+    matching.groups.forEach(group => {
+      const items = group.accounts.filter(account => included.has(account));
+      if (items.length > 0) groups[group.key] = items;
+    });
+    return groups;
+  };
+
+  // Fewest days two report dates can be apart - "05/2023" and "05/20/2023"
+  // can be the same day, so 0
+  const daysDiff = (d1, d2) => {
+    const comparison = compareReportDates(d1, d2);
+    return comparison ? comparison.days : null;
+  };
+  const describeGap = (d1, d2) => {
+    const comparison = compareReportDates(d1, d2);
+    return comparison.precision === 'day'
+      ? `${comparison.days} day difference`
+      : `at least ${comparison.days} days apart (${comparison.precision}-only date)`;
+  };
+
+  // Personal information - names, addresses, DOB, SSN and employers per bureau
+  const personal = Object.entries(personalInfo || {}).filter(([bureau]) => Object.values(BUREAU_CODES).includes(bureau));
+  if (personal.length > 0) {
+    const primaryName = normalizeName(client.name);
+    const primaryTokens = primaryName.split(' ');
+    const variants = personal
+      .flatMap(([bureau, p]) => [...p.names, ...p.akas].map(name => ({ bureau, name, normalized: normalizeName(name) })))
+      .filter(n => n.normalized && primaryName && n.normalized !== primaryName);
+
+    // A name whose every token matches or nearly matches the client's name
+    // (1 edit, 2 for tokens of 6+ letters) is a misspelling; anything else
+    // (dropped middle name, nickname, unrelated AKA) is a variation
+    const nearToken = (token, p) => {
+      const d = editDistance(token, p);
+      return d >= 1 && d <= (Math.min(token.length, p.length) >= 6 ? 2 : 1);
+    };
+    const isMisspelled = (n) => {
+      const tokens = n.normalized.split(' ');
+      return tokens.some(t => !primaryTokens.includes(t) && t.length >= 3 && primaryTokens.some(p => nearToken(t, p))) &&
+        tokens.every(t => primaryTokens.includes(t) || primaryTokens.some(p => nearToken(t, p)));
+    };
+    const misspelled = variants.filter(isMisspelled);
+    const variations = variants.filter(n => !isMisspelled(n));
+    const describeNames = (list) => list.map(n => `${n.bureau}: "${n.name}"`).join('; ');
+
+    if (misspelled.length > 0) {
+      addFinding('PERSONAL_NAME_MISSPELLED', {
+        item: 'Personal Information - Name',
+        bureausAffected: [...new Set(misspelled.map(n => n.bureau))],
+        evidence: `[Evidence: Misspelled versions of "${client.name}" - ${describeNames(misspelled)}]`,
+        action: 'Dispute for removal of misspelled name variations',
+        impactScore: 4,
+      });
+    }
+    if (variations.length > 0) {
+      addFinding('PERSONAL_NAME_VARIATION', {
+        item: 'Personal Information - Name',
+        bureausAffected: [...new Set(variations.map(n => n.bureau))],
+        evidence: `[Evidence: Names other than "${client.name}" on file - ${describeNames(variations)}]`,
+        action: 'Dispute for removal of name variations not used by the consumer',
+        impactScore: 3,
+      });
+    }
+
+    // Current address disagreement across bureaus
+    const currentAddresses = personal.filter(([, p]) => p.currentAddresses.length > 0).map(([bureau, p]) => ({ bureau, address: p.currentAddresses[0] }));
+    if (new Set(currentAddresses.map(a => normalizeAddress(a.address))).size > 1) {
+      addFinding('PERSONAL_ADDRESS_MISMATCH', {
+        item: 'Personal Information - Current Address',
+        bureausAffected: currentAddresses.map(a => a.bureau),
+        evidence: `[Evidence: Current address differs - ${currentAddresses.map(a => `${a.bureau}: "${a.address}"`).join(' vs ')}]`,
+        action: 'Dispute for correction of current address to match the consumer\'s actual address',
+        impactScore: 3,
+      });
+    }
+
+    // Addresses only one bureau reports are likely unknown to the consumer
+    if (personal.length > 1) {
+      const addressBureaus = {};
+      personal.forEach(([bureau, p]) => [...p.currentAddresses, ...p.previousAddresses].forEach(address => {
+        const key = normalizeAddress(address);
+        if (!addressBureaus[key]) addressBureaus[key] = { address, bureaus: new Set() };
+        addressBureaus[key].bureaus.add(bureau);
+      }));
+      const unknown = Object.values(addressBureaus).filter(a => a.bureaus.size === 1);
+      if (unknown.length > 0) {
+        addFinding('PERSONAL_UNKNOWN_ADDRESS', {
+          item: 'Personal Information - Addresses',
+          bureausAffected: [...new Set(unknown.flatMap(a => [...a.bureaus]))],
+          evidence: `[Evidence: Addresses reported by a single bureau - ${unknown.map(a => `${[...a.bureaus][0]}: "${a.address}"`).join('; ')}]`,
+          action: 'Dispute for removal of addresses the consumer has never used',
+          impactScore: 4,
+          confidence: 'low',
+          cannotConfirm: 'Cannot confirm the consumer never lived at these addresses without client review',
+        });
+      }
+    }
+
+    // DOB, SSN and employer variations
+    [
+      { field: 'dob', label: 'Date of Birth', normalize: v => v.replace(/[^0-9]/g, '').slice(-4), severity: 'high' },
+      { field: 'ssnLast4', label: 'SSN', normalize: v => v, severity: 'high' },
+      { field: 'employers', label: 'Employer', normalize: v => normalizeName(v[0] || ''), severity: 'low' },
+    ].forEach(({ field, label, normalize, severity }) => {
+      const values = personal
+        .filter(([, p]) => (Array.isArray(p[field]) ? p[field].length > 0 : p[field]))
+        .map(([bureau, p]) => ({ bureau, value: p[field] }));
+      if (new Set(values.map(v => normalize(v.value))).size > 1) {
+        addFinding('PERSONAL_INFO_MISMATCH', {
+          item: `Personal Information - ${label}`,
+          bureausAffected: values.map(v => v.bureau),
+          severity,
+          evidence: `[Evidence: ${label} differs - ${values.map(v => `${v.bureau}: "${Array.isArray(v.value) ? v.value.join(', ') : v.value}"`).join(' vs ')}]`,
+          action: `Dispute for correction of ${label.toLowerCase()}${severity === 'high' ? ' - conflicting identifiers may indicate a mixed file' : ''}`,
+          impactScore: severity === 'high' ? 7 : 2,
+          claimIndicator: severity === 'high',
+        });
+      }
+    });
+  }
+
+  // Shared pairwise date comparison for the DATE_MISMATCH_* rules
+  const checkDateMismatch = (items, itemName, field, type, fieldLabel, rule) => {
+    const values = items.filter(i => i[field]).map(i => ({ bureau: i.bureau, date: i[field] }));
+    for (let i = 0; i < values.length; i++) {
+      for (let j = i + 1; j < values.length; j++) {
+        const diff = daysDiff(values[i].date, values[j].date);
+        if (diff !== null && diff > DATE_MISMATCH_TOLERANCE_DAYS) {
+          addFinding(type, {
+            item: itemName,
+            furnisher: furnisherOf(items[0]),
+            bureausAffected: [values[i].bureau, values[j].bureau],
+            evidence: `[Evidence: ${values[i].bureau} reports ${fieldLabel} "${values[i].date}" vs ${values[j].bureau} reports "${values[j].date}" - ${describeGap(values[i].date, values[j].date)}]`,
+            ...rule,
+          });
+          break;
+        }
+      }
+    }
+  };
+
+  // Group tradelines by account
+  const tradelineGroups = groupAccounts(tradelines);
+
+  // Analyze tradelines
+  Object.values(tradelineGroups).forEach(items => {
+    if (items.length < 2) return;
+
+    const itemName = items[0].creditorName + ' (' + accountNumberLabel(items[0]) + ')';
+
+    // Open Date Mismatch
+    checkDateMismatch(items, itemName, 'openDate', 'DATE_MISMATCH_OPEN', 'Open Date', {
+      action: 'Dispute for investigation of conflicting open dates',
+      impactScore: 7,
+    });
+
+    // DLA Mismatch
+    checkDateMismatch(items, itemName, 'dateOfLastActivity', 'DATE_MISMATCH_DLA', 'DLA', {
+      action: 'Dispute for investigation of conflicting activity dates',
+      impactScore: 7,
+    });
+
+    // Payment Date Mismatch
+    checkDateMismatch(items, itemName, 'lastPaymentDate', 'DATE_MISMATCH_PAYMENT', 'Last Payment', {
+      action: 'Dispute for investigation of conflicting payment dates',
+      impactScore: 5,
+    });
+
+    // Status Mismatch
+    const statuses = items.filter(i => i.status).map(i => ({ bureau: i.bureau, status: i.status }));
+    if (statuses.length >= 2) {
+      const normalized = statuses.map(s => s.status.toLowerCase().replace(/[^a-z]/g, ''));
+      if (new Set(normalized).size > 1) {
+        addFinding('STATUS_MISMATCH', {
+          item: itemName,
+          furnisher: furnisherOf(items[0]),
+          bureausAffected: statuses.map(s => s.bureau),
+          evidence: `[Evidence: Status conflict - ${statuses.map(s => `${s.bureau}: "${s.status}"`).join(' vs ')}]`,
+          action: 'Dispute for investigation of conflicting account statuses',
+          impactScore: 8,
+        });
+      }
+    }
+
+    // Credit Limit Mismatch
+    const limits = items.filter(i => i.creditLimit != null).map(i => ({ bureau: i.bureau, limit: i.creditLimit }));
+    if (limits.length >= 2) {
+      const hasLimit = limits.some(l => l.limit > 0);
+      const hasMismatch = limits.some((l, i) => limits.some((l2, j) => i !== j && l.limit !== l2.limit));
+      if (hasLimit && hasMismatch) {
+        addFinding('LIMIT_MISMATCH', {
+          item: itemName,
+          furnisher: furnisherOf(items[0]),
+          bureausAffected: limits.map(l => l.bureau),
+          evidence: `[Evidence: Credit limit mismatch - ${limits.map(l => `${l.bureau}: $${l.limit}`).join(' vs ')}]`,
+          action: 'Dispute for correction of credit limit (affects utilization ratio)',
+          impactScore: 4,
+        });
+      }
+    }
+  });
+
+  // Balance checks - tradelines and collections
+  const balanceTolerance = { ...DEFAULT_BALANCE_TOLERANCE, ...options.balanceTolerance };
+  const formatBalance = (b) => `${b.bureau}: $${b.balance}${b.reported ? ` (reported ${b.reported})` : ''}`;
+
+  Object.values(groupAccounts([...tradelines, ...collections])).forEach(items => {
+    const itemName = accountLabel(items[0]);
+    const balances = items
+      .filter(i => i.currentBalance != null && !isNaN(Number(i.currentBalance)))
+      .map(i => ({ bureau: i.bureau, balance: Number(i.currentBalance), reported: i.dateReported, status: i.status || '' }));
+
+    // Balance on Paid/Closed/Charged-Off account
+    const closedWithBalance = balances.filter(b => b.balance > 0 && (CLOSED_STATUS_PATTERN.test(b.status) || CHARGED_OFF_PATTERN.test(b.status)));
+    if (closedWithBalance.length > 0) {
+      addFinding('BALANCE_ON_CLOSED', {
+        item: itemName,
+        furnisher: furnisherOf(items[0]),
+        bureausAffected: closedWithBalance.map(b => b.bureau),
+        evidence: `[Evidence: Balance reported on account with status ${closedWithBalance.map(b => `${b.bureau}: "${b.status}" with $${b.balance}`).join(' vs ')}]`,
+        action: 'Dispute for correction to $0 balance - paid, closed, sold or charged-off accounts should not report an owed balance',
+        impactScore: 8,
+        claimIndicator: closedWithBalance.some(b => /\bpaid\b|transferred|sold/i.test(b.status)),
+        documentationNeeded: ['Proof of payment or transfer/sale of account'],
+      });
+    }
+
+    if (balances.length < 2) return;
+
+    // $0 on one bureau while another reports a balance
+    const zero = balances.filter(b => b.balance === 0);
+    const owed = balances.filter(b => b.balance > 0);
+    if (zero.length > 0 && owed.length > 0) {
+      addFinding('BALANCE_ZERO_MISMATCH', {
+        item: itemName,
+        furnisher: furnisherOf(items[0]),
+        bureausAffected: balances.map(b => b.bureau),
+        evidence: `[Evidence: ${zero.map(b => b.bureau).join(', ')} ${zero.length > 1 ? 'report' : 'reports'} $0 while ${owed.map(b => b.bureau).join(', ')} ${owed.length > 1 ? 'report' : 'reports'} a balance - ${balances.map(formatBalance).join(' vs ')}]`,
+        action: 'Dispute for correction of the outstanding balance to match the $0 reported elsewhere',
+        impactScore: 8,
+      });
+      return;
+    }
+
+    // Ordinary balance mismatch, allowing for month-to-month drift
+    const mismatched = new Set();
+    balances.forEach((a, i) => balances.slice(i + 1).forEach(b => {
+      let allowed = Math.max(balanceTolerance.amount, balanceTolerance.percent * Math.max(a.balance, b.balance));
+      const reportedApart = daysDiff(a.reported, b.reported);
+      if (reportedApart !== null && reportedApart > balanceTolerance.reportingCycleDays) {
+        allowed *= 1 + Math.round(reportedApart / 30);
+      }
+      if (Math.abs(a.balance - b.balance) > allowed) {
+        mismatched.add(a.bureau);
+        mismatched.add(b.bureau);
+      }
+    }));
+    if (mismatched.size > 0) {
+      addFinding('BALANCE_MISMATCH', {
+        item: itemName,
+        furnisher: furnisherOf(items[0]),
+        bureausAffected: balances.filter(b => mismatched.has(b.bureau)).map(b => b.bureau),
+        evidence: `[Evidence: Balance mismatch beyond reporting-cycle tolerance - ${balances.map(formatBalance).join(' vs ')}]`,
+        action: 'Dispute for investigation of conflicting balances (affects utilization ratio)',
+        impactScore: 6,
+      });
+    }
+  });
+
+  // Medical debt - state bans first, national bureau policies otherwise
+  const clientState = (client.state || '').toUpperCase();
+  const stateBan = MEDICAL_DEBT_BAN_STATES.includes(clientState);
+
+  Object.values(groupAccounts(collections.filter(isMedicalDebt))).forEach(items => {
+    const itemName = accountLabel(items[0]);
+    const bureaus = items.map(i => i.bureau);
+    const collector = items[0].collectorName || items[0].creditorName;
+    const medical = {
+      item: itemName,
+      furnisher: furnisherOf(items[0]),
+      action: 'Dispute for deletion - medical collection may not be reported',
+      impactScore: 9,
+      documentationNeeded: [],
+    };
+
+    if (stateBan) {
+      const law = MEDICAL_DEBT_STATE_LAWS[clientState];
+      addFinding('MEDICAL_DEBT_STATE_BAN', {
+        ...medical,
+        bureausAffected: bureaus,
+        basis: `${law.basis}; FCRA §611(a)`,
+        evidence: `[Evidence: Medical collection "${collector}" reported for a ${clientState} resident - ${clientState} prohibits credit reporting of medical debt]`,
+        claimIndicator: true,
+        ...(law.verified ? {} : { cannotConfirm: `No ${clientState} statute citation on file - confirm the law and its effective date before citing it` }),
+        documentationNeeded: ['Proof of residency in ' + clientState],
+      });
+      return;
+    }
+
+    const paid = items.filter(i => /\bpaid\b|settled/i.test(i.status || ''));
+    if (paid.length > 0) {
+      addFinding('MEDICAL_DEBT_PAID', {
+        ...medical,
+        bureausAffected: paid.map(i => i.bureau),
+        evidence: `[Evidence: Paid medical collection "${collector}" still reporting - ${paid.map(i => `${i.bureau}: "${i.status}"`).join(' vs ')}]`,
+        documentationNeeded: ['Proof of payment'],
+      });
+    }
+
+    const small = items.filter(i => {
+      const amount = Number(i.originalBalance != null ? i.originalBalance : i.currentBalance);
+      return amount > 0 && amount < MEDICAL_DEBT_MIN_BALANCE;
+    });
+    if (small.length > 0) {
+      addFinding('MEDICAL_DEBT_UNDER_500', {
+        ...medical,
+        bureausAffected: small.map(i => i.bureau),
+        evidence: `[Evidence: Medical collection "${collector}" under $${MEDICAL_DEBT_MIN_BALANCE} - ${small.map(i => `${i.bureau}: $${i.originalBalance != null ? i.originalBalance : i.currentBalance}`).join(' vs ')}]`,
+      });
+    }
+
+    const recent = items.filter(i => {
+      const delinquent = i.dateOfFirstDelinquency || i.openDate;
+      // Measured from the earliest day the date can mean
+      const age = daysSince(delinquent, today, 'start');
+      return age !== null && age >= 0 && age < MEDICAL_DEBT_WAITING_DAYS;
+    });
+    if (recent.length > 0) {
+      const estimated = recent.some(i => !i.dateOfFirstDelinquency);
+      addFinding('MEDICAL_DEBT_UNDER_1_YEAR', {
+        ...medical,
+        bureausAffected: recent.map(i => i.bureau),
+        confidence: estimated ? 'low' : 'high',
+        evidence: `[Evidence: Medical collection "${collector}" reported within one year of delinquency - ${recent.map(i => `${i.bureau}: ${i.dateOfFirstDelinquency ? 'DOFD' : 'Open Date'} "${i.dateOfFirstDelinquency || i.openDate}"`).join(' vs ')}]`,
+        ...(estimated ? { cannotConfirm: 'DOFD not reported - delinquency age estimated from collection open date' } : {}),
+      });
+    }
+  });
+
+  // Duplicate reporting - the same debt owed to the OC and/or several collectors
+  const amountsMatch = (a, b) => {
+    return Math.abs(a - b) <= Math.max(DUPLICATE_AMOUNT_TOLERANCE.amount, DUPLICATE_AMOUNT_TOLERANCE.percent * Math.max(a, b));
+  };
+  const datesCompatible = (a, b) => {
+    const diff = daysDiff(a, b);
+    return diff === null || diff <= DUPLICATE_DATE_TOLERANCE_DAYS;
+  };
+
+  const debts = [];
+  collections.filter(c => c.originalCreditor && Number(c.currentBalance) > 0).forEach(c => {
+    const amount = Number(c.currentBalance);
+    let debt = debts.find(d => sameCreditor(d.originalCreditor, c.originalCreditor) && amountsMatch(d.amount, amount) && datesCompatible(d.dofd, c.dateOfFirstDelinquency));
+    if (!debt) {
+      debt = { originalCreditor: c.originalCreditor, amount, dofd: null, accounts: [] };
+      debts.push(debt);
+    }
+    debt.dofd = debt.dofd || c.dateOfFirstDelinquency;
+    debt.accounts.push(c);
+  });
+
+  debts.forEach(debt => {
+    tradelines
+      .filter(t => Number(t.currentBalance) > 0 && sameCreditor(t.creditorName, debt.originalCreditor))
+      .filter(t => amountsMatch(debt.amount, Number(t.currentBalance)) && datesCompatible(debt.dofd, t.dateOfFirstDelinquency))
+      .forEach(t => debt.accounts.push(t));
+
+    // A debt is double-reported when one bureau carries it more than once
+    const perBureau = {};
+    debt.accounts.forEach(a => { perBureau[a.bureau] = (perBureau[a.bureau] || 0) + 1; });
+    const involved = debt.accounts.filter(a => perBureau[a.bureau] > 1);
+    if (involved.length === 0) return;
+
+    const collectors = [...new Set(involved.filter(a => collections.includes(a)).map(a => a.collectorName || a.creditorName))];
+    addFinding('DUPLICATE_COLLECTION', {
+      item: `${debt.originalCreditor} debt reported by ${collectors.join(', ')}`,
+      bureausAffected: [...new Set(involved.map(a => a.bureau))],
+      evidence: `[Evidence: Same debt reported ${involved.length} times - ${involved.map(a => `${a.bureau}: ${accountLabel(a)} $${a.currentBalance}${a.dateOfFirstDelinquency ? ` DOFD "${a.dateOfFirstDelinquency}"` : ''}`).join('; ')}]`,
+      action: 'Dispute for deletion of duplicate tradeline(s) - only the current owner of the debt may report a balance',
+      impactScore: 9,
+      claimIndicator: true,
+      cannotConfirm: 'Cannot confirm which furnisher currently owns the debt',
+      documentationNeeded: ['Debt validation letter', 'Chain of title / bill of sale'],
+      accountsInvolved: involved.map(a => ({
+        bureau: a.bureau,
+        name: a.collectorName || a.creditorName,
+        accountNumberPartial: a.accountNumberPartial || '',
+        accountNumberMasked: a.accountNumberMasked || '',
+        currentBalance: Number(a.currentBalance),
+        dateOfFirstDelinquency: a.dateOfFirstDelinquency || null,
+        collection: collections.includes(a),
+      })),
+    });
+  });
+
+  // Payment history grid - late marks that differ, follow closure, or skip months
+  Object.values(groupAccounts([...tradelines, ...collections])).forEach(items => {
+    const itemName = accountLabel(items[0]);
+    const histories = items
+      .filter(i => i.paymentHistory && i.paymentHistory.some(h => h.month))
+      .map(i => ({ account: i, months: i.paymentHistory.filter(h => h.month) }));
+    if (histories.length === 0) return;
+
+    // Late marks one bureau reports and another reports as OK for the same month
+    const byMonth = {};
+    histories.forEach(({ account, months }) => months.forEach(h => {
+      if (!h.code) return;
+      if (!byMonth[h.month]) byMonth[h.month] = [];
+      byMonth[h.month].push({ bureau: account.bureau, code: h.code });
+    }));
+    const conflicts = Object.keys(byMonth).sort().filter(month => {
+      const codes = byMonth[month];
+      return codes.some(c => isLateCode(c.code)) && codes.some(c => c.code === 'OK');
+    });
+    if (conflicts.length > 0) {
+      addFinding('LATE_PAYMENT_MISMATCH', {
+        item: itemName,
+        furnisher: furnisherOf(items[0]),
+        bureausAffected: [...new Set(conflicts.flatMap(month => byMonth[month].filter(c => isLateCode(c.code)).map(c => c.bureau)))],
+        evidence: `[Evidence: Late marks not reported by every bureau - ${conflicts.map(month => `${month}: ${byMonth[month].map(c => `${c.bureau} ${c.code}`).join(' / ')}`).join('; ')}]`,
+        action: 'Dispute for removal of late marks other bureaus report as paid on time',
+        impactScore: 9,
+      });
+    }
+
+    // Late marks dated after the account was closed or paid
+    histories.forEach(({ account, months }) => {
+      const closedOn = account.dateClosed || (CLOSED_STATUS_PATTERN.test(account.status || '') ? account.lastPaymentDate : null);
+      const closedMonth = toMonthKey(closedOn);
+      if (!closedMonth) return;
+
+      const lateAfter = months.filter(h => h.month > closedMonth && isLateCode(h.code) && h.code !== 'CO');
+      if (lateAfter.length > 0) {
+        addFinding('LATE_AFTER_CLOSED', {
+          item: itemName,
+          furnisher: furnisherOf(items[0]),
+          bureausAffected: [account.bureau],
+          evidence: `[Evidence: ${account.bureau} reports account ${account.dateClosed ? 'closed' : 'paid'} "${closedOn}" but shows late marks afterward - ${lateAfter.map(h => `${h.month}: ${h.code}`).join(', ')}]`,
+          action: 'Dispute for removal of late marks reported after the account was closed or paid',
+          impactScore: 8,
+          claimIndicator: true,
+          documentationNeeded: ['Account closure or payoff confirmation'],
+        });
+      }
+    });
+
+    // Months with no data between the first and last reported months
+    histories.forEach(({ account, months }) => {
+      const reported = months.filter(h => h.code).map(h => h.month).sort();
+      if (reported.length < 2) return;
+
+      const gaps = [];
+      const [firstYear, firstMonth] = reported[0].split('-').map(Number);
+      const last = reported[reported.length - 1];
+      for (let n = 0; ; n++) {
+        const year = firstYear + Math.floor((firstMonth - 1 + n) / 12);
+        const month = `${year}-${String(((firstMonth - 1 + n) % 12) + 1).padStart(2, '0')}`;
+        if (month > last) break;
+        if (!reported.includes(month)) gaps.push(month);
+      }
+      if (gaps.length > 0) {
+        addFinding('PAYMENT_HISTORY_GAP', {
+          item: itemName,
+          furnisher: furnisherOf(items[0]),
+          bureausAffected: [account.bureau],
+          evidence: `[Evidence: ${account.bureau} payment history has no data for ${gaps.length} month(s) between ${reported[0]} and ${last} - ${gaps.join(', ')}]`,
+          action: 'Dispute for complete and accurate payment history reporting',
+          impactScore: 3,
+        });
+      }
+    });
+  });
+
+  // Analyze collections
+  collections.forEach(c => {
+    const itemName = accountLabel(c);
+
+    // Missing Original Creditor
+    if (!c.originalCreditor || c.originalCreditor.trim() === '') {
+      addFinding('MISSING_OC', {
+        item: itemName,
+        furnisher: furnisherOf(c),
+        bureausAffected: [c.bureau],
+        evidence: `[Evidence: Collection "${c.collectorName || c.creditorName}" on ${c.bureau} does not identify Original Creditor]`,
+        action: 'Dispute for incomplete reporting - Original Creditor required',
+        impactScore: 6,
+        claimIndicator: true,
+        cannotConfirm: 'Cannot confirm debt ownership chain without Original Creditor',
+        documentationNeeded: ['Debt validation letter', 'Original creditor documentation'],
+      });
+    }
+
+    // Missing DOFD
+    if (!c.dateOfFirstDelinquency || c.dateOfFirstDelinquency.trim() === '') {
+      addFinding('MISSING_DOFD', {
+        item: itemName,
+        furnisher: furnisherOf(c),
+        bureausAffected: [c.bureau],
+        evidence: `[Evidence: Collection "${c.collectorName || c.creditorName}" on ${c.bureau} missing DOFD - required per FCRA §623(a)(2)]`,
+        action: 'Dispute for incomplete reporting - DOFD required for 7-year calculation',
+        impactScore: 8,
+        claimIndicator: true,
+        cannotConfirm: 'Cannot confirm 7-year reporting period without DOFD',
+        documentationNeeded: ['Original creditor records showing delinquency date'],
+      });
+    }
+  });
+
+  // Reporting Period Expired - collections and charge-offs past §605(c) date
+  const adverseGroups = groupAccounts([...collections, ...tradelines.filter(t => CHARGED_OFF_PATTERN.test(t.status || ''))]);
+  Object.values(adverseGroups).forEach(items => {
+    const name = accountLabel(items[0]);
+    const expired = items
+      .map(a => ({ bureau: a.bureau, ...computeObsolescenceDate(a) }))
+      .filter(e => e.date && e.date < today);
+    if (expired.length === 0) return;
+
+    const estimated = expired.some(e => e.confidence === 'low');
+    addFinding('REPORTING_EXPIRED', {
+      item: name,
+      furnisher: furnisherOf(items[0]),
+      bureausAffected: expired.map(e => e.bureau),
+      severity: estimated ? 'high' : undefined,
+      confidence: estimated ? 'low' : 'high',
+      evidence: `[Evidence: ${expired.map(e => `${e.bureau} ${e.source} "${e.sourceDate}" - must stop reporting by ${formatShortDate(e.date)}`).join('; ')} - still reporting as of ${formatShortDate(today)}]`,
+      action: 'Dispute for deletion - account exceeds 7-year reporting period',
+      impactScore: 10,
+      claimIndicator: !estimated,
+      ...(estimated ? {
+        cannotConfirm: 'DOFD not reported on every bureau - obsolescence date estimated from DLA or open date',
+        documentationNeeded: ['Original creditor records showing delinquency date'],
+      } : {}),
+    });
+  });
+
+  // DOFD Mismatch and re-aging
+  const impliedObsolescence = (dofd) => {
+    const obsolescence = computeObsolescenceDate({ dateOfFirstDelinquency: dofd });
+    return obsolescence ? formatShortDate(obsolescence.date) : 'unknown';
+  };
+  const previousGroups = previousData ? linkAccounts([...previousData.tradelines, ...previousData.collections], matching.groups) : {};
+
+  Object.entries(groupAccounts([...tradelines, ...collections])).forEach(([key, items]) => {
+    const itemName = accountLabel(items[0]);
+    const dofds = items.filter(i => i.dateOfFirstDelinquency).map(i => ({ bureau: i.bureau, date: i.dateOfFirstDelinquency }));
+
+    // Cross-bureau DOFD Mismatch
+    let maxDiff = 0;
+    let widest = null;
+    dofds.forEach((a, i) => dofds.slice(i + 1).forEach(b => {
+      const diff = daysDiff(a.date, b.date);
+      if (diff !== null && diff > maxDiff) {
+        maxDiff = diff;
+        widest = [a.date, b.date];
+      }
+    }));
+    if (maxDiff > DATE_MISMATCH_TOLERANCE_DAYS) {
+      addFinding('DATE_MISMATCH_DOFD', {
+        item: itemName,
+        furnisher: furnisherOf(items[0]),
+        bureausAffected: dofds.map(d => d.bureau),
+        evidence: `[Evidence: DOFD conflict - ${dofds.map(d => `${d.bureau}: "${d.date}" (must stop reporting by ${impliedObsolescence(d.date)})`).join(' vs ')} - ${describeGap(...widest)}]`,
+        action: 'Dispute for correction to the earliest verifiable DOFD - a later DOFD extends the 7-year reporting period',
+        impactScore: 9,
+        claimIndicator: true,
+        cannotConfirm: 'Cannot confirm correct 7-year reporting period while bureaus disagree on DOFD',
+        documentationNeeded: ['Original creditor records showing delinquency date'],
+      });
+    }
+
+    // Re-aging: DOFD later than the last payment, or moved forward since the previous report
+    const reaged = [];
+    items.forEach(i => {
+      if (!i.dateOfFirstDelinquency) return;
+
+      // Signed ranges - only the shortest possible gap counts as re-aging
+      const sinceLastPayment = i.lastPaymentDate ? compareReportDates(i.lastPaymentDate, i.dateOfFirstDelinquency) : null;
+      const gap = sinceLastPayment ? sinceLastPayment.min : NaN;
+      if (gap > REAGING_TOLERANCE_DAYS) {
+        reaged.push({
+          bureau: i.bureau,
+          detail: `${i.bureau} DOFD "${i.dateOfFirstDelinquency}" is ${sinceLastPayment.precision === 'day' ? '' : 'at least '}${gap} days after last payment "${i.lastPaymentDate}" (reported DOFD implies ${impliedObsolescence(i.dateOfFirstDelinquency)}, last payment implies no later than ${impliedObsolescence(i.lastPaymentDate)})`,
+        });
+      }
+
+      const previous = (previousGroups[key] || []).find(p => p.bureau === i.bureau && p.dateOfFirstDelinquency);
+      const sincePrevious = previous ? compareReportDates(previous.dateOfFirstDelinquency, i.dateOfFirstDelinquency) : null;
+      const moved = sincePrevious ? sincePrevious.min : NaN;
+      if (moved > DATE_MISMATCH_TOLERANCE_DAYS) {
+        reaged.push({
+          bureau: i.bureau,
+          detail: `${i.bureau} DOFD moved from "${previous.dateOfFirstDelinquency}" to "${i.dateOfFirstDelinquency}" since the previous report (obsolescence pushed from ${impliedObsolescence(previous.dateOfFirstDelinquency)} to ${impliedObsolescence(i.dateOfFirstDelinquency)})`,
+        });
+      }
+    });
+    if (reaged.length > 0) {
+      addFinding('REAGED_DOFD', {
+        item: itemName,
+        furnisher: furnisherOf(items[0]),
+        bureausAffected: [...new Set(reaged.map(r => r.bureau))],
+        evidence: `[Evidence: ${reaged.map(r => r.detail).join('; ')}]`,
+        action: 'Dispute for deletion or correction of re-aged delinquency date',
+        impactScore: 10,
+        claimIndicator: true,
+        cannotConfirm: 'Cannot confirm the reporting period of a debt whose DOFD has been re-aged',
+        documentationNeeded: ['Prior credit reports showing original DOFD', 'Payment records showing last payment date'],
+      });
+    }
+  });
+
+  // Public records - bankruptcies
+  const bankruptcies = publicRecords.filter(r => r.type === 'bankruptcy');
+  Object.values(groupBy(bankruptcies, r => r.chapter || '?')).forEach(items => {
+    const itemName = recordLabel(items.find(r => r.referenceNumber) || items[0]);
+
+    checkDateMismatch(items, itemName, 'dateFiled', 'BANKRUPTCY_DATE_MISMATCH', 'filing date', {
+      action: 'Dispute for correction of the bankruptcy filing date - it sets the reporting period',
+      impactScore: 7,
+    });
+    checkDateMismatch(items, itemName, 'dateResolved', 'BANKRUPTCY_DATE_MISMATCH', 'discharge/dismissal date', {
+      action: 'Dispute for correction of the bankruptcy discharge/dismissal date',
+      impactScore: 5,
+    });
+
+    // Past the reporting period for its chapter, counted from filing
+    const expired = items
+      .filter(r => parseReportDate(r.dateFiled))
+      .map(r => {
+        const years = BANKRUPTCY_REPORTING_YEARS[r.chapter] || 10;
+        const date = toDate(r.dateFiled, 'end');
+        date.setUTCFullYear(date.getUTCFullYear() + years);
+        return { bureau: r.bureau, dateFiled: r.dateFiled, years, date };
+      })
+      .filter(e => e.date < today);
+    if (expired.length > 0) {
+      addFinding('BANKRUPTCY_EXPIRED', {
+        item: itemName,
+        bureausAffected: expired.map(e => e.bureau),
+        evidence: `[Evidence: ${expired.map(e => `${e.bureau} filed "${e.dateFiled}" - ${e.years}-year period ended ${formatShortDate(e.date)}`).join('; ')} - still reporting as of ${formatShortDate(today)}]`,
+        action: `Dispute for deletion - bankruptcy exceeds its ${expired[0].years}-year reporting period`,
+        impactScore: 10,
+        claimIndicator: true,
+        documentationNeeded: ['Bankruptcy petition or docket showing filing date'],
+      });
+    }
+  });
+
+  // Debts discharged in bankruptcy still showing a balance
+  const discharges = bankruptcies.filter(r => /discharg/i.test(r.status) || (r.dateResolved && !DISMISSED_PATTERN.test(r.status)));
+  Object.values(groupAccounts([...tradelines, ...collections])).forEach(items => {
+    const flagged = [];
+    items.forEach(i => {
+      const status = i.status || '';
+      if (!(Number(i.currentBalance) > 0) || /reaffirm/i.test(status)) return;
+
+      if (/discharg/i.test(status) || (discharges.length > 0 && BANKRUPTCY_STATUS_PATTERN.test(status))) {
+        flagged.push({ account: i, detail: `${i.bureau}: "${status}" with $${i.currentBalance}`, confirmed: true });
+        return;
+      }
+
+      // Adverse debts opened before a discharged filing were most likely included
+      const adverse = collections.includes(i) || CHARGED_OFF_PATTERN.test(status);
+      const discharge = discharges.find(d => d.bureau === i.bureau) || discharges[0];
+      if (adverse && discharge && discharge.dateFiled && i.openDate && toDate(i.openDate, 'end') < toDate(discharge.dateFiled, 'start')) {
+        flagged.push({ account: i, detail: `${i.bureau}: opened "${i.openDate}" before ${recordLabel(discharge)} filed "${discharge.dateFiled}", still $${i.currentBalance}`, confirmed: false });
+      }
+    });
+    if (flagged.length === 0) return;
+
+    const confirmed = flagged.every(f => f.confirmed);
+    addFinding('DISCHARGED_DEBT_BALANCE', {
+      item: accountLabel(items[0]),
+      furnisher: furnisherOf(items[0]),
+      bureausAffected: flagged.map(f => f.account.bureau),
+      confidence: confirmed ? 'high' : 'low',
+      evidence: `[Evidence: Debt discharged in bankruptcy still reports a balance - ${flagged.map(f => f.detail).join('; ')}]`,
+      action: 'Dispute for correction to $0 balance with "Discharged in Bankruptcy" status',
+      impactScore: 9,
+      claimIndicator: confirmed,
+      ...(confirmed ? {} : { cannotConfirm: 'Cannot confirm the debt was listed in the bankruptcy schedules' }),
+      documentationNeeded: ['Bankruptcy discharge order', 'Schedule of creditors (Schedules E/F)'],
+    });
+  });
+
+  // Civil judgments and tax liens - no longer reported by the bureaus
+  const otherRecords = publicRecords.filter(r => r.type === 'judgment' || r.type === 'tax_lien');
+  Object.values(groupBy(otherRecords, r => `${r.type}_${r.referenceNumber || r.dateFiled || r.description}`)).forEach(items => {
+    const record = items[0];
+    const isLien = record.type === 'tax_lien';
+    addFinding(isLien ? 'TAX_LIEN_REPORTED' : 'JUDGMENT_REPORTED', {
+      item: recordLabel(record),
+      bureausAffected: [...new Set(items.map(r => r.bureau))],
+      evidence: `[Evidence: ${items.map(r => `${r.bureau}: "${r.description || r.type}"${r.status ? ` (${r.status})` : ''}${r.dateFiled ? ` filed "${r.dateFiled}"` : ''}${r.amount != null ? ` $${r.amount}` : ''}`).join('; ')} - ${isLien ? 'tax liens' : 'civil judgments'} are excluded from consumer reports]`,
+      action: `Dispute for deletion - the bureaus no longer report ${isLien ? 'tax liens' : 'civil judgments'}`,
+      impactScore: 9,
+    });
+  });
+
+  // Analyze inquiries (expired = over 2 years)
+  const hardInquiries = inquiries.filter(inq => inq.inquiryType === 'hard' && parseReportDate(inq.inquiryDate));
+  // From the latest day the date can mean, so "05/2023" is not expired early
+  const inquiryAge = (inq) => daysSince(inq.inquiryDate, today, 'end');
+
+  hardInquiries.forEach(inq => {
+    if (inquiryAge(inq) > INQUIRY_REPORTING_DAYS) {
+      addFinding('INQUIRY_EXPIRED', {
+        item: inq.creditorName,
+        bureausAffected: [inq.bureau],
+        evidence: `[Evidence: Hard inquiry dated ${inq.inquiryDate} is over 2 years old]`,
+        action: 'Dispute for removal - inquiry exceeds 2-year reporting period',
+        impactScore: 3,
+      });
+    }
+  });
+
+  const activeInquiries = hardInquiries
+    .filter(inq => inquiryAge(inq) <= INQUIRY_REPORTING_DAYS)
+    .sort((a, b) => toDate(a.inquiryDate) - toDate(b.inquiryDate));
+
+  // Rate-shopping clusters - auto or mortgage inquiries on one bureau within the window
+  const clusterOf = new Map();
+  Object.keys(INQUIRY_CATEGORIES).forEach(category => {
+    Object.values(groupBy(activeInquiries.filter(inq => inquiryCategory(inq) === category), inq => inq.bureau)).forEach(list => {
+      let cluster = [];
+      const flush = () => {
+        if (cluster.length > 1) {
+          const members = cluster;
+          members.forEach(inq => clusterOf.set(inq, members));
+          addFinding('INQUIRY_RATE_SHOPPING', {
+            item: `${members.length} ${category} inquiries ${members[0].inquiryDate} - ${members[members.length - 1].inquiryDate}`,
+            bureausAffected: [members[0].bureau],
+            evidence: `[Evidence: ${members.length} ${category} inquiries within ${RATE_SHOPPING_WINDOW_DAYS} days on ${members[0].bureau} - ${members.map(inq => `${inq.creditorName} ${inq.inquiryDate}`).join('; ')}]`,
+            action: 'Request that the rate-shopping inquiries be treated as one and the extras removed',
+            impactScore: 3,
+          });
+        }
+        cluster = [];
+      };
+      list.forEach(inq => {
+        if (cluster.length > 0 && daysDiff(cluster[0].inquiryDate, inq.inquiryDate) > RATE_SHOPPING_WINDOW_DAYS) flush();
+        cluster.push(inq);
+      });
+      flush();
+    });
+  });
+
+  // Duplicate inquiries - same creditor pulled the same bureau more than once
+  const duplicates = new Set();
+  activeInquiries.forEach((a, i) => activeInquiries.slice(i + 1).forEach(b => {
+    if (a.bureau !== b.bureau || clusterOf.has(a) || duplicates.has(b)) return;
+    const diff = daysDiff(a.inquiryDate, b.inquiryDate);
+    if (sameCreditor(a.creditorName, b.creditorName) && diff !== null && diff <= DUPLICATE_INQUIRY_DAYS) {
+      duplicates.add(b);
+      addFinding('INQUIRY_DUPLICATE', {
+        item: b.creditorName,
+        bureausAffected: [b.bureau],
+        evidence: `[Evidence: ${b.creditorName} inquiry on ${b.bureau} dated ${b.inquiryDate} duplicates inquiry dated ${a.inquiryDate} (${Math.round(diff)} days apart)]`,
+        action: 'Dispute for removal of the duplicate inquiry',
+        impactScore: 2,
+      });
+    }
+  }));
+
+  // Inquiries with no account opened - possible permissible-purpose violation
+  const openedNear = (inq, matchCreditor) => tradelines.some(t => {
+    if (!t.openDate || (matchCreditor && !sameCreditor(inq.creditorName, t.creditorName))) return false;
+    // Any reading of the two dates that falls inside the window is a match
+    const offset = compareReportDates(inq.inquiryDate, t.openDate);
+    return offset !== null && offset.max >= -30 && offset.min <= INQUIRY_MATCH_WINDOW_DAYS;
+  });
+
+  activeInquiries.forEach(inq => {
+    if (duplicates.has(inq) || openedNear(inq, true)) return;
+    // Dealer-arranged financing can land with any lender in the cluster
+    if (clusterOf.has(inq) && clusterOf.get(inq).some(member => openedNear(member, false))) return;
+
+    addFinding('INQUIRY_UNAUTHORIZED', {
+      item: inq.creditorName,
+      bureausAffected: [inq.bureau],
+      evidence: `[Evidence: Hard inquiry by ${inq.creditorName} on ${inq.inquiryDate} with no account from that creditor opened within ${INQUIRY_MATCH_WINDOW_DAYS} days]`,
+      action: 'Dispute for removal - request proof of permissible purpose under FCRA §604',
+      impactScore: 4,
+      confidence: 'low',
+      cannotConfirm: 'Cannot confirm whether the consumer authorized this inquiry',
+      documentationNeeded: ['Signed credit application or written authorization'],
+    });
+  });
+
+  return applyInputConfidence(findings, [...tradelines, ...collections, ...inquiries, ...publicRecords], options.lowConfidence);
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  MEDICAL_DEBT_BAN_STATES,
+  MEDICAL_DEBT_STATE_LAWS,
+  isMedicalDebt,
+  BUREAU_CODES,
+  normalizeReportData,
+  matchReportAccounts,
+  computeObsolescenceDate,
+  DEFAULT_BALANCE_TOLERANCE,
+  runDetectionEngine,
+};
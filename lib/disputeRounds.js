@@ -0,0 +1,209 @@
+// ============================================================================
+// AXIS GROWTH - Dispute Rounds
+// Tracks which dispute round each finding is in with each bureau, from the
+// dispute history recorded against earlier audits, and picks the letter for
+// the next round: the initial §611 dispute, a §611(a)(7) method-of-
+// verification request after a "verified" result, a §611(a)(5) reinsertion
+// challenge when a deleted item comes back, and a final notice of intent to
+// file a CFPB complaint. Later letters recite the bureau's earlier responses.
+// ============================================================================
+
+const { parseReportDate, daysSince, formatReportDate } = require('./reportDates.js');
+
+// What a bureau did with a dispute. `no_response` can be recorded, and is
+// assumed once RESPONSE_DEADLINE_DAYS pass with no response recorded.
+const DISPUTE_RESPONSES = ['verified', 'updated', 'deleted', 'reinserted', 'frivolous', 'no_response'];
+
+// FCRA §611(a)(1)(A) - 30 days to complete a reinvestigation
+const RESPONSE_DEADLINE_DAYS = 30;
+
+const ROUND_LETTERS = {
+  initial: { title: 'Dispute Letter', basis: 'FCRA §611(a)(1)(A)' },
+  method_of_verification: { title: 'Method of Verification Request', basis: 'FCRA §611(a)(6)(B)(iii), §611(a)(7)' },
+  reinsertion: { title: 'Reinsertion Challenge', basis: 'FCRA §611(a)(5)(A)-(B)' },
+  final_notice: { title: 'Final Notice Before CFPB Complaint', basis: 'FCRA §611(a)(7), §616, §617' },
+};
+
+/**
+ * Stable key for a finding across audits - finding ids are renumbered every
+ * run, so history entries refer to findings by type and item.
+ */
+const findingKey = (finding) => `${finding.type}:${String(finding.item || '').toUpperCase().replace(/\s+/g, ' ').trim()}`;
+
+/**
+ * Check a dispute history list, throwing on the first bad entry. Entries are
+ * `{ finding, bureau, round, sent, response, responded }`: `finding` a
+ * findingKey, `sent`/`responded` report-style dates and `response` one of
+ * DISPUTE_RESPONSES, or omitted while awaiting a response. An optional
+ * `deadline` date replaces the 30-day response window.
+ */
+function validateDisputeHistory(history) {
+  if (!Array.isArray(history)) throw new Error('Dispute history must be a JSON array');
+  history.forEach((entry, i) => {
+    const where = `Dispute history entry ${i + 1}`;
+    if (!entry || typeof entry.finding !== 'string' || !entry.finding) throw new Error(`${where} has no finding key`);
+    if (!['TU', 'EX', 'EQ'].includes(entry.bureau)) throw new Error(`${where} has unknown bureau "${entry.bureau}" - expected TU, EX or EQ`);
+    if (!parseReportDate(entry.sent)) throw new Error(`${where} has no valid sent date`);
+    if (entry.response != null && !DISPUTE_RESPONSES.includes(entry.response)) {
+      throw new Error(`${where} has unknown response "${entry.response}" - expected ${DISPUTE_RESPONSES.join(', ')}`);
+    }
+  });
+  return history;
+}
+
+// Recorded response, or no_response once the deadline has passed without
+// one - the entry's own deadline when it has one (dispute tracker records
+// extended to 45 days), otherwise RESPONSE_DEADLINE_DAYS after sending
+const effectiveResponse = (entry, today) => {
+  if (entry.response) return entry.response;
+  if (entry.deadline) {
+    const past = daysSince(entry.deadline, today, 'end');
+    return past !== null && past > 0 ? 'no_response' : null;
+  }
+  const age = daysSince(entry.sent, today, 'end');
+  return age !== null && age > RESPONSE_DEADLINE_DAYS ? 'no_response' : null;
+};
+
+/**
+ * Where a finding stands with one bureau. Returns `{ round, letterType,
+ * awaitingResponse, history }`: `round` is the round the next letter opens,
+ * `letterType` a ROUND_LETTERS key (null while a letter is still within the
+ * response deadline) and `history` the earlier rounds, oldest first, with
+ * the response each one got.
+ */
+function disputeStatus(finding, bureau, history = [], today = new Date()) {
+  const key = findingKey(finding);
+  const rounds = history
+    .filter(entry => entry.finding === key && entry.bureau === bureau)
+    .sort((a, b) => parseReportDate(a.sent).date - parseReportDate(b.sent).date)
+    .map((entry, i) => ({ ...entry, round: entry.round || i + 1, response: effectiveResponse(entry, today) }));
+
+  const last = rounds[rounds.length - 1];
+  if (last && !last.response) {
+    return { round: last.round, letterType: null, awaitingResponse: true, history: rounds };
+  }
+
+  const round = last ? last.round + 1 : 1;
+  let letterType;
+  if (!last) letterType = 'initial';
+  // The finding is detected again, so a deleted item is back on the report
+  else if (last.response === 'deleted' || last.response === 'reinserted') letterType = 'reinsertion';
+  else if (round === 2) letterType = 'method_of_verification';
+  else letterType = 'final_notice';
+
+  return { round, letterType, awaitingResponse: false, history: rounds };
+}
+
+/**
+ * Annotate findings with `disputeKey` (the findingKey history entries use),
+ * `disputeRounds: { [bureau]: disputeStatus }` for each affected bureau and
+ * `disputeRound`, the furthest round any bureau has reached.
+ */
+function applyDisputeHistory(findings, history = [], today = new Date()) {
+  return findings.map(finding => {
+    const disputeRounds = {};
+    (finding.bureausAffected || []).forEach(bureau => {
+      disputeRounds[bureau] = disputeStatus(finding, bureau, history, today);
+    });
+    const rounds = Object.values(disputeRounds).map(s => s.round);
+    return { ...finding, disputeKey: findingKey(finding), disputeRounds, disputeRound: rounds.length > 0 ? Math.max(...rounds) : 1 };
+  });
+}
+
+const displayDate = (value) => formatReportDate(value) || value;
+
+// One sentence per earlier round, for the escalation letters
+const describeResponse = (entry, bureauName) => {
+  const sent = `On ${displayDate(entry.sent)} I disputed this item with ${bureauName} (round ${entry.round})`;
+  const on = entry.responded ? ` on ${displayDate(entry.responded)}` : '';
+  switch (entry.response) {
+    case 'verified': return `${sent}. You responded${on} that the information was verified as accurate.`;
+    case 'updated': return `${sent}. You updated the item${on}, but it remains inaccurate as shown below.`;
+    case 'deleted': return `${sent}. You deleted the item${on}.`;
+    case 'reinserted': return `${sent}. The item was deleted and has since been reinserted.`;
+    case 'frivolous': return `${sent}. You declined to investigate${on}, treating the dispute as frivolous or irrelevant.`;
+    default: return `${sent}. I received no response within ${RESPONSE_DEADLINE_DAYS} days.`;
+  }
+};
+
+/**
+ * Letter text for the next round of a dispute with one bureau:
+ * `{ letterType, round, title, basis, subject, paragraphs, request, notice }`.
+ * The round 1 text is the standard §611 dispute.
+ */
+function roundLetterContent(finding, bureau, bureauName) {
+  const status = (finding.disputeRounds && finding.disputeRounds[bureau]) || disputeStatus(finding, bureau);
+  const letterType = status.letterType || 'initial';
+  const history = status.history.map(entry => describeResponse(entry, bureauName));
+  const responses = status.history.map(entry => entry.response);
+  const last = responses[responses.length - 1];
+  const content = { letterType, round: status.round, ...ROUND_LETTERS[letterType] };
+
+  if (letterType === 'initial') {
+    return {
+      ...content,
+      subject: 'RE: Dispute of Inaccurate Credit Information',
+      paragraphs: [
+        `I am writing to dispute inaccurate information appearing on my ${bureauName} credit report. Under the Fair Credit Reporting Act (FCRA), I have the right to dispute incomplete or inaccurate information, and you are required to investigate my dispute within 30 days.`,
+      ],
+      request: 'I request that you investigate this matter and either verify the accuracy of this information or remove/correct it from my credit file. Please provide me with the results of your investigation in writing, including the name, address, and telephone number of any furnisher contacted.',
+      notice: 'Please be advised that under FCRA §611(a)(1)(A), you must conduct a reasonable investigation of this dispute. If you cannot verify the accuracy of this information within 30 days, it must be promptly deleted or modified pursuant to FCRA §611(a)(5).',
+    };
+  }
+
+  if (letterType === 'method_of_verification') {
+    const paragraphs = [...history];
+    if (last === 'no_response') {
+      paragraphs.push('Because you did not complete a reinvestigation within the time FCRA §611(a)(1)(A) allows, the information could not be verified and must be deleted under FCRA §611(a)(5)(A).');
+    } else if (last === 'frivolous') {
+      paragraphs.push('My dispute identified the specific item and the reason it is inaccurate, set out again below with the supporting documents enclosed. FCRA §611(a)(3) does not permit you to refuse a dispute that provides this information.');
+    } else {
+      paragraphs.push('The information remains inaccurate for the reasons set out below. A reasonable reinvestigation would have found this, so I am asking how it was verified.');
+    }
+    return {
+      ...content,
+      subject: `RE: Request for Method of Verification - Round ${status.round}`,
+      paragraphs,
+      request: last === 'no_response'
+        ? 'I request that you delete this item and send me written confirmation of the deletion. If you contend it was verified, provide a description of the procedure used to determine its accuracy, including the business name, address and telephone number of any furnisher contacted, as FCRA §611(a)(6)(B)(iii) and §611(a)(7) require.'
+        : 'Under FCRA §611(a)(6)(B)(iii) and §611(a)(7), I request a description of the procedure used to determine the accuracy and completeness of this information, including the business name, address and telephone number of any furnisher contacted, and what documents, if any, the furnisher provided.',
+      notice: 'FCRA §611(a)(7) requires you to provide this description within 15 days of this request. If you cannot show how the information was verified, it must be deleted under FCRA §611(a)(5)(A).',
+    };
+  }
+
+  if (letterType === 'reinsertion') {
+    return {
+      ...content,
+      subject: `RE: Unlawful Reinsertion of Deleted Information - Round ${status.round}`,
+      paragraphs: [
+        ...history,
+        'This item now appears on my credit report again. Under FCRA §611(a)(5)(B)(i), information deleted after a reinvestigation may not be reinserted unless the furnisher certifies that it is complete and accurate, and §611(a)(5)(B)(ii) requires you to notify me in writing within 5 business days of any reinsertion. I received no such notice.',
+      ],
+      request: 'I request that you delete this item immediately, as FCRA §611(a)(5)(A) requires for information that has not been verified. If you contend it was properly reinserted, provide the furnisher\'s certification of accuracy and the business name, address and telephone number of the furnisher, as FCRA §611(a)(5)(B)(iii) requires.',
+      notice: 'Reinsertion without certification and notice is a separate violation of the FCRA. I am keeping copies of this letter and all prior correspondence.',
+    };
+  }
+
+  return {
+    ...content,
+    subject: `RE: Final Notice Before Filing CFPB Complaint - Round ${status.round}`,
+    paragraphs: [
+      'I have disputed this item with you repeatedly without a reasonable reinvestigation:',
+      ...history,
+      'The information remains inaccurate as set out below. This is my final attempt to resolve this dispute with you directly.',
+    ],
+    request: 'I request that you delete or correct this item within 30 days of this letter and send me written confirmation, together with a description of the procedure used in each prior reinvestigation as FCRA §611(a)(7) requires.',
+    notice: 'If this item is not corrected or deleted within 30 days, I intend to file a complaint with the Consumer Financial Protection Bureau and my state attorney general, and to consider my remedies for willful and negligent noncompliance under FCRA §616 and §617.',
+  };
+}
+
+module.exports = {
+  DISPUTE_RESPONSES,
+  RESPONSE_DEADLINE_DAYS,
+  ROUND_LETTERS,
+  findingKey,
+  validateDisputeHistory,
+  disputeStatus,
+  applyDisputeHistory,
+  roundLetterContent,
+};
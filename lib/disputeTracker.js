@@ -0,0 +1,148 @@
+// ============================================================================
+// AXIS GROWTH - Dispute Tracker
+// One dispute record per bureau dispute letter we generate: when it was
+// mailed, the certified-mail tracking number, the response deadline, and
+// what the bureau did. The bureau has 30 days from receipt to finish its
+// reinvestigation (FCRA §611(a)(1)(A)), 45 when the consumer sends more
+// information during those 30 days (§611(a)(1)(B)). A record past its
+// deadline with no outcome is overdue, which the next audit treats as a
+// no_response and answers with the next round's escalation letter.
+// ============================================================================
+
+const { DAY_MS, parseReportDate, daysSince, formatReportDate } = require('./reportDates.js');
+const { RESPONSE_DEADLINE_DAYS, findingKey } = require('./disputeRounds.js');
+
+// What the bureau did - the outcomes staff record from its response letter
+const DISPUTE_OUTCOMES = ['verified', 'deleted', 'updated', 'no_response'];
+
+const EXTENDED_DEADLINE_DAYS = 45;
+
+// Fields staff set on a record; the rest is filled in when letters are generated
+const DISPUTE_FIELDS = ['mailedDate', 'trackingNumber', 'additionalInfoDate', 'outcome', 'respondedDate'];
+
+// A mailing or response date must name a day, not just a month
+const parseDay = (value) => {
+  const parsed = parseReportDate(value);
+  return parsed && parsed.precision === 'day' ? parsed : null;
+};
+
+const addDays = (parsed, days) => formatReportDate(new Date(parsed.date.getTime() + days * DAY_MS));
+
+/**
+ * File name of the dispute letter for a finding and bureau, relative to
+ * the audit's documents - shared with the document generator so records
+ * point at the letter they track.
+ */
+function disputeLetterName(finding, bureau, round = 1) {
+  return `Dispute_Letters/Dispute_${bureau}_${round > 1 ? `Round${round}_` : ''}Finding${finding.id}_${(finding.type || 'issue').substring(0, 15)}.docx`;
+}
+
+/**
+ * Response deadline for a letter mailed on `mailedDate`: 30 days, or 45
+ * when additional information was sent within the first 30. Null until
+ * the letter is mailed.
+ */
+function responseDeadline(mailedDate, additionalInfoDate) {
+  const mailed = parseDay(mailedDate);
+  if (!mailed) return null;
+  const additional = parseDay(additionalInfoDate);
+  const extended = additional && additional.date >= mailed.date
+    && (additional.date - mailed.date) / DAY_MS <= RESPONSE_DEADLINE_DAYS;
+  return addDays(mailed, extended ? EXTENDED_DEADLINE_DAYS : RESPONSE_DEADLINE_DAYS);
+}
+
+/**
+ * Check the staff-editable fields of a record update, throwing on the
+ * first bad one. Dates are report-style day dates ("08/01/2026" or
+ * "2026-08-01"); null clears a field.
+ */
+function validateDisputeUpdate(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) throw new Error('Dispute update must be a JSON object');
+  ['mailedDate', 'additionalInfoDate', 'respondedDate'].forEach(field => {
+    if (fields[field] != null && !parseDay(fields[field])) throw new Error(`${field} must be a full date, e.g. 08/01/2026`);
+  });
+  if (fields.trackingNumber != null && typeof fields.trackingNumber !== 'string') throw new Error('trackingNumber must be a string');
+  if (fields.outcome != null && !DISPUTE_OUTCOMES.includes(fields.outcome)) {
+    throw new Error(`Unknown outcome "${fields.outcome}" - expected ${DISPUTE_OUTCOMES.join(', ')}`);
+  }
+  return fields;
+}
+
+/**
+ * A record with its computed state: `deadline`, `daysRemaining` (negative
+ * once past), `overdue` and `status` - one of not_mailed,
+ * awaiting_response, overdue or closed. An outcome of no_response is
+ * overdue too.
+ */
+function describeDispute(record, today = new Date()) {
+  const deadline = responseDeadline(record.mailedDate, record.additionalInfoDate);
+  const past = deadline ? daysSince(deadline, today, 'end') : null;
+  const daysRemaining = past === null ? null : -past;
+  let status;
+  if (!deadline) status = 'not_mailed';
+  else if (record.outcome === 'no_response' || (!record.outcome && past > 0)) status = 'overdue';
+  else if (record.outcome) status = 'closed';
+  else status = 'awaiting_response';
+  return { ...record, deadline, daysRemaining, overdue: status === 'overdue', status };
+}
+
+/**
+ * Records to save for this audit's bureau letters. A letter whose finding,
+ * bureau and round already has an unmailed record refreshes that record
+ * (it now points at this audit's letter); any other letter gets a new
+ * record, without an id until the store assigns one.
+ */
+function planDisputeRecords(findings, existing = [], { auditId = null, clientId = null } = {}) {
+  const records = [];
+  findings.forEach(finding => {
+    (finding.bureausAffected || []).forEach(bureau => {
+      const status = finding.disputeRounds && finding.disputeRounds[bureau];
+      if (status && status.awaitingResponse) return;
+      const round = status ? status.round : 1;
+      const key = findingKey(finding);
+      const letter = {
+        auditId,
+        findingId: finding.id,
+        item: finding.item,
+        type: finding.type,
+        letterType: (status && status.letterType) || 'initial',
+        document: disputeLetterName(finding, bureau, round),
+      };
+      const draft = existing.find(r => r.finding === key && r.bureau === bureau && r.round === round && !r.mailedDate);
+      records.push(draft
+        ? { ...draft, ...letter }
+        : { clientId, finding: key, bureau, round, ...letter, mailedDate: null, trackingNumber: null, additionalInfoDate: null, outcome: null, respondedDate: null });
+    });
+  });
+  return records;
+}
+
+/**
+ * Mailed records as dispute history entries for applyDisputeHistory, each
+ * carrying its deadline so an overdue letter counts as no_response.
+ */
+function disputesToHistory(records) {
+  return records
+    .filter(record => parseDay(record.mailedDate))
+    .map(record => ({
+      finding: record.finding,
+      bureau: record.bureau,
+      round: record.round,
+      sent: record.mailedDate,
+      response: record.outcome || undefined,
+      responded: record.respondedDate || undefined,
+      deadline: responseDeadline(record.mailedDate, record.additionalInfoDate),
+    }));
+}
+
+module.exports = {
+  DISPUTE_OUTCOMES,
+  EXTENDED_DEADLINE_DAYS,
+  DISPUTE_FIELDS,
+  disputeLetterName,
+  responseDeadline,
+  validateDisputeUpdate,
+  describeDispute,
+  planDisputeRecords,
+  disputesToHistory,
+};
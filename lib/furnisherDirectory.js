@@ -0,0 +1,100 @@
+// ============================================================================
+// AXIS GROWTH - Furnisher Directory
+// Canonical creditors, collection agencies and debt buyers with the name
+// variants bureaus print for them and a dispute mailing address, so accounts
+// can be matched across bureaus and disputed directly with the furnisher
+// (FCRA §623(a)(8)). The bundled list lives in data/furnishers.json; set
+// FURNISHER_DIRECTORY to a JSON file of the same shape to add entries or
+// replace bundled ones by id.
+// ============================================================================
+
+const fs = require('fs');
+const bundled = require('./data/furnishers.json');
+
+const FURNISHER_TYPES = ['original_creditor', 'collection_agency', 'debt_buyer'];
+
+// Corporate suffixes that bureaus add or drop
+const NOISE_WORDS = ['THE', 'BANK', 'BK', 'NA', 'USA', 'INC', 'LLC', 'LP', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'FSB', 'NATL', 'ASSN'];
+
+const nameTokens = (name) => String(name || '')
+  .toUpperCase()
+  .replace(/&/g, ' AND ')
+  .replace(/[.'’]/g, '')
+  .split(/[^A-Z0-9]+/)
+  .filter(t => t && !NOISE_WORDS.includes(t));
+
+const compactName = (name) => nameTokens(name).join('');
+
+let directory = null;
+
+/**
+ * Load the directory: the bundled entries, then entries from `filePath`
+ * (default FURNISHER_DIRECTORY) merged over them by id. Entries are
+ * `{ id, name, type, aliases, address }`; `address` is the dispute mailing
+ * address, one line per "\n", or null when unknown.
+ */
+function loadFurnisherDirectory(filePath = process.env.FURNISHER_DIRECTORY) {
+  const entries = new Map(bundled.furnishers.map(entry => [entry.id, entry]));
+  if (filePath) {
+    const local = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    (local.furnishers || []).forEach(entry => {
+      entries.set(entry.id, { ...entries.get(entry.id), ...entry });
+    });
+  }
+
+  const furnishers = [...entries.values()].map(entry => {
+    if (!FURNISHER_TYPES.includes(entry.type)) {
+      throw new Error(`Furnisher "${entry.id}" has unknown type "${entry.type}" - expected ${FURNISHER_TYPES.join(', ')}`);
+    }
+    return { aliases: [], address: null, ...entry };
+  });
+
+  // Spellings by compact form, longest first so "COMENITYCAPITAL" wins over "COMENITY"
+  const aliases = furnishers
+    .flatMap(entry => [entry.name, ...entry.aliases].map(alias => ({ alias: compactName(alias), canonical: compactName(entry.name), entry })))
+    .filter(a => a.alias)
+    .sort((a, b) => b.alias.length - a.alias.length);
+
+  directory = { furnishers, aliases };
+  return furnishers;
+}
+
+const aliasIndex = () => {
+  if (!directory) loadFurnisherDirectory();
+  return directory.aliases;
+};
+
+// Known spelling at the start of a compact name; short aliases ("WF", "PRA") must match whole
+const findAlias = (key) => aliasIndex().find(({ alias }) => key === alias || (alias.length >= 5 && key.startsWith(alias)));
+
+/**
+ * Comparison key for a creditor name: corporate suffixes dropped and a known
+ * alias at the start replaced by its canonical spelling, keeping the rest
+ * ("SYNCB/AMAZON" -> "SYNCHRONYAMAZON").
+ */
+function creditorKey(name) {
+  const key = compactName(name);
+  const hit = findAlias(key);
+  return hit ? hit.canonical + key.slice(hit.alias.length) : key;
+}
+
+/**
+ * The directory entry for a creditor or collector name as printed on a
+ * report, or null.
+ */
+function findFurnisher(name) {
+  const hit = findAlias(compactName(name));
+  return hit ? hit.entry : null;
+}
+
+const isCollector = (entry) => Boolean(entry) && (entry.type === 'collection_agency' || entry.type === 'debt_buyer');
+
+module.exports = {
+  FURNISHER_TYPES,
+  NOISE_WORDS,
+  nameTokens,
+  loadFurnisherDirectory,
+  creditorKey,
+  findFurnisher,
+  isCollector,
+};
@@ -0,0 +1,254 @@
+// ============================================================================
+// AXIS GROWTH - Furnisher Letters
+// Letters sent to the furnisher of an account rather than to the bureaus:
+// FDCPA §809(b) debt validation requests to collectors, FCRA §623(a)(8)
+// direct disputes, goodwill requests to original creditors and
+// pay-for-delete offers to collectors. Letters are planned per finding type,
+// one per letter type per account, and built as structured content that
+// the DOCX generator and the text downloads both render.
+// ============================================================================
+
+const { ISSUE_TYPES } = require('./detectionEngine.js');
+const { findFurnisher, isCollector } = require('./furnisherDirectory.js');
+const { accountNumberLabel } = require('./accountMatcher.js');
+
+const LETTER_TYPES = {
+  validation: { title: 'Debt Validation Request', basis: 'FDCPA §809(b) (15 U.S.C. §1692g(b))' },
+  direct_dispute: { title: 'Direct Dispute to Furnisher', basis: 'FCRA §623(a)(8); 12 C.F.R. §1022.43' },
+  goodwill: { title: 'Goodwill Adjustment Request', basis: 'Courtesy request - no statutory obligation' },
+  pay_for_delete: { title: 'Pay-for-Delete Offer', basis: 'Settlement offer - not an acknowledgment of the debt' },
+};
+
+// Letters each finding type calls for. Validation goes only to collectors
+// and goodwill only to original creditors.
+const LETTERS_BY_FINDING = {
+  MISSING_OC: ['validation', 'direct_dispute'],
+  MISSING_DOFD: ['validation', 'direct_dispute'],
+  DUPLICATE_COLLECTION: ['validation'],
+  REAGED_DOFD: ['validation', 'direct_dispute'],
+  DATE_MISMATCH_OPEN: ['direct_dispute'],
+  DATE_MISMATCH_DLA: ['direct_dispute'],
+  DATE_MISMATCH_DOFD: ['direct_dispute'],
+  DATE_MISMATCH_PAYMENT: ['direct_dispute'],
+  BALANCE_MISMATCH: ['direct_dispute'],
+  BALANCE_ZERO_MISMATCH: ['direct_dispute'],
+  BALANCE_ON_CLOSED: ['direct_dispute'],
+  STATUS_MISMATCH: ['direct_dispute'],
+  LIMIT_MISMATCH: ['direct_dispute'],
+  LATE_PAYMENT_MISMATCH: ['direct_dispute', 'goodwill'],
+  LATE_AFTER_CLOSED: ['direct_dispute'],
+  PAYMENT_HISTORY_GAP: ['direct_dispute'],
+  REPORTING_EXPIRED: ['direct_dispute'],
+  MEDICAL_DEBT_STATE_BAN: ['direct_dispute'],
+  MEDICAL_DEBT_PAID: ['direct_dispute'],
+  MEDICAL_DEBT_UNDER_500: ['direct_dispute'],
+  MEDICAL_DEBT_UNDER_1_YEAR: ['direct_dispute'],
+  DISCHARGED_DEBT_BALANCE: ['direct_dispute'],
+};
+
+// Findings that mean the item must come off without payment - no pay-for-delete
+const NO_PAYMENT_FINDINGS = [
+  'REPORTING_EXPIRED', 'DISCHARGED_DEBT_BALANCE',
+  'MEDICAL_DEBT_STATE_BAN', 'MEDICAL_DEBT_PAID', 'MEDICAL_DEBT_UNDER_500', 'MEDICAL_DEBT_UNDER_1_YEAR',
+];
+
+const LETTER_ORDER = ['validation', 'direct_dispute', 'pay_for_delete', 'goodwill'];
+
+// Furnishers an account finding is about; duplicate-debt findings name each collector
+const furnishersOf = (finding) => {
+  if (finding.furnisher) return [finding.furnisher];
+  return (finding.accountsInvolved || [])
+    .filter(a => a.collection)
+    .map(a => ({ name: a.name, accountNumberPartial: a.accountNumberPartial, accountNumberMasked: a.accountNumberMasked, originalCreditor: '', currentBalance: a.currentBalance, collection: true }));
+};
+
+// "ending 1234" for trailing digits, "number 517805XXXXXX" for a leading-digit mask
+const accountReference = (furnisher) => {
+  const label = accountNumberLabel(furnisher);
+  if (label === '...') return '';
+  return label.startsWith('...') ? `ending ${label.slice(3)}` : `number ${label}`;
+};
+
+const furnisherKey = (furnisher) => `${String(furnisher.name || '').toUpperCase()}_${String(furnisher.accountNumberPartial || '').slice(-4)}`;
+
+/**
+ * Decide which furnisher letters the findings call for. Returns
+ * `[{ letterType, furnisher, entry, findings }]`, one per letter type per
+ * account, where `entry` is the furnisher directory entry (or null) and
+ * `findings` the findings the letter covers.
+ */
+function planFurnisherLetters(findings) {
+  const plans = new Map();
+  const add = (letterType, furnisher, entry, finding) => {
+    const key = `${letterType}|${furnisherKey(furnisher)}`;
+    if (!plans.has(key)) plans.set(key, { letterType, furnisher, entry, findings: [] });
+    const plan = plans.get(key);
+    if (!plan.findings.includes(finding)) plan.findings.push(finding);
+  };
+
+  (findings || []).forEach(finding => {
+    furnishersOf(finding).forEach(furnisher => {
+      const entry = findFurnisher(furnisher.name);
+      const collector = furnisher.collection || isCollector(entry);
+      (LETTERS_BY_FINDING[finding.type] || []).forEach(letterType => {
+        if (letterType === 'validation' && !collector) return;
+        if (letterType === 'goodwill' && collector) return;
+        add(letterType, furnisher, entry, finding);
+      });
+
+      // A collector still owed a balance can be offered payment for deletion
+      if (collector && furnisher.currentBalance > 0) add('pay_for_delete', furnisher, entry, finding);
+    });
+  });
+
+  return [...plans.values()]
+    .filter(plan => plan.letterType !== 'pay_for_delete' || !plan.findings.some(f => NO_PAYMENT_FINDINGS.includes(f.type)))
+    .sort((a, b) => furnisherKey(a.furnisher).localeCompare(furnisherKey(b.furnisher)) || LETTER_ORDER.indexOf(a.letterType) - LETTER_ORDER.indexOf(b.letterType));
+}
+
+const formatAmount = (amount) => `$${Number(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const issueLabel = (finding) => (ISSUE_TYPES[finding.type] ? ISSUE_TYPES[finding.type].label : (finding.type || '').replace(/_/g, ' '));
+
+const issueLines = (findings) => findings.map(f => ({ label: issueLabel(f), text: f.evidence || f.item }));
+
+const LETTER_CONTENT = {
+  validation: ({ furnisher, findings }) => ({
+    subject: 'RE: Request for Debt Validation',
+    paragraphs: [
+      'I am writing about the account referenced above, which you are reporting to the consumer reporting agencies as a collection. I dispute this debt and request validation under the Fair Debt Collection Practices Act, 15 U.S.C. §1692g(b) (FDCPA §809(b)).',
+      'This is not a refusal to pay. It is a request that you show that I owe this debt and that you are entitled to collect it. Please suspend collection of the debt until you provide validation. If this request reaches you within 30 days of your initial notice to me, FDCPA §809(b) requires you to do so. Under FDCPA §807(8), any information you report about it must show that it is disputed.',
+    ],
+    issuesHeading: 'PROBLEMS WITH HOW THIS ACCOUNT IS REPORTED:',
+    issues: issueLines(findings),
+    requestsHeading: 'Please provide:',
+    requests: [
+      furnisher.originalCreditor ? `Records from the original creditor, ${furnisher.originalCreditor}, and the original account number` : 'The name and address of the original creditor and the original account number',
+      'The amount claimed, itemized into principal, interest, fees and other charges added since charge-off',
+      'The date of first delinquency and the charge-off date reported to you by the original creditor',
+      'Proof that you own this debt or are authorized to collect it - the bill of sale or assignment, and the account-level record showing this account was included',
+      'A copy of the last statement the original creditor sent me',
+      'Your license to collect debts in my state, where one is required',
+    ],
+    closing: 'Please respond in writing to the address below.',
+    enclosures: ['Relevant credit report page(s) with the account highlighted'],
+  }),
+
+  direct_dispute: ({ furnisher, findings }) => ({
+    subject: 'RE: Direct Dispute of Inaccurate Credit Reporting',
+    paragraphs: [
+      'I am disputing the accuracy of information you furnish to the consumer reporting agencies about the account referenced above. Under FCRA §623(a)(8) and Regulation V (12 C.F.R. §1022.43), you must investigate this direct dispute, review the information I have provided, and report the results to me within 30 days.',
+      `Each problem below is shown in my consumer reports${findings.length > 1 ? ' and is disputed separately' : ''}:`,
+    ],
+    issuesHeading: 'DISPUTED INFORMATION:',
+    issues: issueLines(findings),
+    requestsHeading: 'I request that you:',
+    requests: [
+      'Correct or delete the inaccurate information with every consumer reporting agency you furnish it to (FCRA §623(a)(8)(E))',
+      'Report the account as disputed by the consumer while your investigation is open (FCRA §623(a)(3))',
+      'Send me written notice of the results of your investigation, and the basis for any finding that the information is accurate',
+    ],
+    closing: `Please reference the ${furnisher.name} account${accountReference(furnisher) ? ` ${accountReference(furnisher)}` : ''} in your response.`,
+    enclosures: ['Copy of government-issued ID', 'Copy of utility bill or other proof of address', 'Relevant credit report page(s) with the disputed information highlighted'],
+  }),
+
+  goodwill: ({ furnisher, findings }) => ({
+    subject: 'RE: Goodwill Adjustment Request',
+    paragraphs: [
+      `I am writing about the payment history you report on my ${furnisher.name} account. I value this account and have worked to keep it in good standing.`,
+      'The consumer reporting agencies do not agree on the late payments shown on this account (details below). Whatever their cause, I am asking, as a gesture of goodwill, that you request the removal of the late payment notations from my credit files.',
+    ],
+    issuesHeading: 'LATE PAYMENT REPORTING:',
+    issues: issueLines(findings),
+    requestsHeading: 'I request that you:',
+    requests: [
+      'Update the payment history you report on this account to show the months in question as paid as agreed',
+      'Send the update to each consumer reporting agency you report the account to',
+    ],
+    closing: 'Thank you for considering this request and for your service as a lender.',
+    enclosures: [],
+  }),
+
+  pay_for_delete: ({ furnisher, findings }) => ({
+    subject: 'RE: Offer to Resolve Account in Exchange for Deletion',
+    paragraphs: [
+      'This letter is not an acknowledgment that I owe this debt, a promise to pay it, or an agreement to restart any limitations period. It is an offer to resolve the account referenced above.',
+      `You report a balance of ${furnisher.currentBalance != null ? formatAmount(furnisher.currentBalance) : 'an unknown amount'} on this account. I will pay [Offer Amount] as payment in full if you agree to request deletion of this account from every consumer reporting agency you report it to.`,
+    ],
+    issuesHeading: 'I also dispute how this account is reported:',
+    issues: issueLines(findings),
+    requestsHeading: 'If you accept:',
+    requests: [
+      'Confirm the terms in writing on your letterhead before any payment is made',
+      'Request deletion of the account - not an update to "paid" or "settled" - from each consumer reporting agency within 30 days of payment',
+      'Do not sell or transfer any remaining balance, and report nothing further on this account',
+    ],
+    closing: 'I will send payment within 15 days of receiving your signed agreement. If you do not accept, this offer is withdrawn and my dispute stands.',
+    enclosures: [],
+  }),
+};
+
+/**
+ * Build one planned letter into `{ letterType, title, basis, recipient,
+ * furnisher, reference, subject, paragraphs, issuesHeading, issues, requestsHeading,
+ * requests, closing, enclosures, findingIds }`. `recipient.addressLines` is
+ * the directory's dispute address, or placeholders (`recipient.placeholder`)
+ * when the furnisher is not in the directory or has no address on file.
+ */
+function buildFurnisherLetter(plan) {
+  const { letterType, furnisher, entry } = plan;
+  const address = entry && entry.address ? entry.address.split('\n') : null;
+  return {
+    letterType,
+    title: LETTER_TYPES[letterType].title,
+    basis: LETTER_TYPES[letterType].basis,
+    recipient: {
+      name: address ? address[0] : furnisher.name,
+      addressLines: address ? address.slice(1) : ['[Furnisher dispute address - not in directory]', '[City, State ZIP]'],
+      placeholder: !address,
+      furnisherId: entry ? entry.id : null,
+      type: entry ? entry.type : furnisher.collection ? 'collection_agency' : null,
+    },
+    furnisher: { name: furnisher.name, accountNumberPartial: furnisher.accountNumberPartial || '', accountNumberMasked: furnisher.accountNumberMasked || '' },
+    reference: `${furnisher.name}${accountReference(furnisher) ? ` - account ${accountReference(furnisher)}` : ''}`,
+    ...LETTER_CONTENT[letterType](plan),
+    findingIds: plan.findings.map(f => f.id),
+  };
+}
+
+const buildFurnisherLetters = (findings) => planFurnisherLetters(findings).map(buildFurnisherLetter);
+
+/**
+ * Plain-text rendering of a built letter for the text downloads. `client`
+ * supplies the signature block.
+ */
+function formatLetterText(letter, client = {}) {
+  const lines = [];
+  lines.push(new Date().toLocaleDateString(), '');
+  lines.push(letter.recipient.name, ...letter.recipient.addressLines, '');
+  lines.push(letter.subject, `Account: ${letter.reference}`, '');
+  lines.push('To Whom It May Concern:', '');
+  letter.paragraphs.forEach(p => lines.push(p, ''));
+  if (letter.issues.length > 0) {
+    lines.push(letter.issuesHeading);
+    letter.issues.forEach(issue => lines.push(`- ${issue.label}: ${issue.text}`));
+    lines.push('');
+  }
+  lines.push(letter.requestsHeading);
+  letter.requests.forEach(r => lines.push(`- ${r}`));
+  lines.push('', `LEGAL BASIS: ${letter.basis}`, '', letter.closing, '');
+  lines.push('Sincerely,', client.name || '[Your Name]', client.address || '[Your Address]');
+  if (letter.enclosures.length > 0) {
+    lines.push('', 'Enclosures:', ...letter.enclosures.map(e => `- ${e}`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  LETTER_TYPES,
+  LETTERS_BY_FINDING,
+  planFurnisherLetters,
+  buildFurnisherLetter,
+  buildFurnisherLetters,
+  formatLetterText,
+};
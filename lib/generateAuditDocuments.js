@@ -6,7 +6,9 @@
  * This module generates all client deliverables from audit findings:
  * 1. Executive Summary (1-page PDF)
  * 2. Detailed Audit Report (DOCX)
- * 3. Dispute Letters (per-bureau, per-finding)
+ * 3. Dispute Letters (per-bureau, per-finding, escalating by dispute round)
+ *    and Furnisher Letters (debt validation, direct dispute, goodwill,
+ *    pay-for-delete - addressed to the furnisher)
  * 4. Action Plan with Timeline (DOCX)
  * 
  * Usage: node generateAuditDocuments.js <auditData.json> <outputDir>
@@ -33,6 +35,9 @@ const {
   PageBreak,
   LevelFormat,
 } = require('docx');
+const { buildFurnisherLetters } = require('./furnisherLetters.js');
+const { roundLetterContent } = require('./disputeRounds.js');
+const { disputeLetterName } = require('./disputeTracker.js');
 
 // ============================================================================
 // CONSTANTS
@@ -87,6 +92,20 @@ const getSeverityColor = (severity) => {
   return COLORS[severity] || COLORS.secondary;
 };
 
+// Letter signature block - parsed identity where available, placeholders otherwise
+const getIdentityLines = (client) => {
+  const lines = client.address
+    ? [{ text: client.address }]
+    : [{ text: '[Your Address]', placeholder: true }, { text: '[City, State ZIP]', placeholder: true }];
+  lines.push(client.ssnLast4
+    ? { text: `SSN Last 4: ${client.ssnLast4}` }
+    : { text: '[SSN Last 4: XXXX]', placeholder: true });
+  lines.push(client.dob
+    ? { text: `Date of Birth: ${client.dob}` }
+    : { text: '[Date of Birth: XX/XX/XXXX]', placeholder: true });
+  return lines;
+};
+
 // ============================================================================
 // SHARED DOCUMENT STYLES
 // ============================================================================
@@ -427,7 +446,7 @@ const generateExecutiveSummary = (auditData) => {
 // 2. DETAILED AUDIT REPORT DOCUMENT
 // ============================================================================
 const generateDetailedReport = (auditData) => {
-  const { client, findings, generatedAt } = auditData;
+  const { client, findings, generatedAt, provider, publicRecords = [] } = auditData;
   
   // Group findings by severity
   const groupedFindings = {
@@ -561,6 +580,46 @@ const generateDetailedReport = (auditData) => {
     ];
   };
   
+  // Bankruptcies, judgments and liens as each bureau reports them
+  const buildPublicRecordsSection = () => {
+    if (publicRecords.length === 0) return [];
+
+    return [
+      new Paragraph({
+        heading: HeadingLevel.HEADING_2,
+        pageBreakBefore: true,
+        children: [new TextRun({ text: `Public Records (${publicRecords.length})` })],
+      }),
+      new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        columnWidths: [1200, 2960, 1700, 1700, 1800],
+        rows: [
+          new TableRow({
+            children: [
+              createHeaderCell('Bureau', 1200),
+              createHeaderCell('Record', 2960),
+              createHeaderCell('Filed', 1700),
+              createHeaderCell('Resolved', 1700),
+              createHeaderCell('Status', 1800),
+            ],
+          }),
+          ...publicRecords.map(record =>
+            new TableRow({
+              children: [
+                createDataCell(BUREAU_INFO[record.bureau]?.name || record.bureau, 1200),
+                createDataCell(`${record.description || record.type}${record.referenceNumber ? ` #${record.referenceNumber}` : ''}`, 2960),
+                createDataCell(record.dateFiled || 'N/A', 1700),
+                createDataCell(record.dateResolved || 'N/A', 1700),
+                createDataCell(record.status || 'N/A', 1800),
+              ],
+            })
+          ),
+        ],
+      }),
+      new Paragraph({ spacing: { after: 200 }, children: [] }),
+    ];
+  };
+  
   const doc = new Document({
     styles: getBaseStyles(),
     numbering: getNumberingConfig(),
@@ -643,6 +702,12 @@ const generateDetailedReport = (auditData) => {
                 createDataCell(formatDate(generatedAt), 5000),
               ],
             }),
+            new TableRow({
+              children: [
+                createDataCell('Report Format', 3000, { bold: true, shading: COLORS.lightGray }),
+                createDataCell(provider ? `${provider.name} (adapter v${provider.version})${provider.ocr ? ` - OCR, ${provider.ocr.confidence}% mean confidence` : ''}` : 'N/A', 5000),
+              ],
+            }),
             new TableRow({
               children: [
                 createDataCell('Total Findings', 3000, { bold: true, shading: COLORS.lightGray }),
@@ -670,6 +735,8 @@ const generateDetailedReport = (auditData) => {
         ...buildFindingsSection(groupedFindings.medium, 'MEDIUM', COLORS.medium),
         ...buildFindingsSection(groupedFindings.low, 'LOW', COLORS.low),
         
+        ...buildPublicRecordsSection(),
+        
         // Disclaimer
         new Paragraph({ children: [new PageBreak()] }),
         new Paragraph({
@@ -717,6 +784,8 @@ const generateDetailedReport = (auditData) => {
 const generateDisputeLetter = (client, finding, bureau) => {
   const bureauInfo = BUREAU_INFO[bureau];
   const today = formatDate(new Date());
+  // Round 1 dispute, or the escalation letter for the round the finding is in
+  const content = roundLetterContent(finding, bureau, bureauInfo.name);
   
   const doc = new Document({
     styles: getBaseStyles(),
@@ -743,7 +812,7 @@ const generateDisputeLetter = (client, finding, bureau) => {
         // Subject
         new Paragraph({
           children: [
-            new TextRun({ text: 'RE: Dispute of Inaccurate Credit Information', bold: true }),
+            new TextRun({ text: content.subject, bold: true }),
           ],
         }),
         new Paragraph({
@@ -760,15 +829,10 @@ const generateDisputeLetter = (client, finding, bureau) => {
           children: [new TextRun({ text: 'To Whom It May Concern:' })],
         }),
         
-        // Body - Paragraph 1
-        new Paragraph({
-          spacing: { after: 200 },
-          children: [
-            new TextRun({
-              text: `I am writing to dispute inaccurate information appearing on my ${bureauInfo.name} credit report. Under the Fair Credit Reporting Act (FCRA), I have the right to dispute incomplete or inaccurate information, and you are required to investigate my dispute within 30 days.`,
-            }),
-          ],
-        }),
+        // Body - opening, and the bureau's earlier responses in later rounds
+        ...content.paragraphs.map(text =>
+          new Paragraph({ spacing: { after: 200 }, children: [new TextRun({ text })] })
+        ),
         
         // Body - Disputed Item
         new Paragraph({
@@ -809,7 +873,7 @@ const generateDisputeLetter = (client, finding, bureau) => {
         }),
         new Paragraph({
           spacing: { after: 200 },
-          children: [new TextRun({ text: finding.basis || 'FCRA §611(a) - Accuracy requirement' })],
+          children: [new TextRun({ text: [finding.basis || 'FCRA §611(a) - Accuracy requirement', content.round > 1 ? content.basis : null].filter(Boolean).join('; ') })],
         }),
         
         // Request
@@ -817,7 +881,7 @@ const generateDisputeLetter = (client, finding, bureau) => {
           spacing: { after: 200 },
           children: [
             new TextRun({ text: 'REQUEST: ', bold: true }),
-            new TextRun({ text: 'I request that you investigate this matter and either verify the accuracy of this information or remove/correct it from my credit file. Please provide me with the results of your investigation in writing, including the name, address, and telephone number of any furnisher contacted.' }),
+            new TextRun({ text: content.request }),
           ],
         }),
         
@@ -825,9 +889,7 @@ const generateDisputeLetter = (client, finding, bureau) => {
         new Paragraph({
           spacing: { after: 200 },
           children: [
-            new TextRun({
-              text: 'Please be advised that under FCRA §611(a)(1)(A), you must conduct a reasonable investigation of this dispute. If you cannot verify the accuracy of this information within 30 days, it must be promptly deleted or modified pursuant to FCRA §611(a)(5).',
-            }),
+            new TextRun({ text: content.notice }),
           ],
         }),
         
@@ -847,18 +909,11 @@ const generateDisputeLetter = (client, finding, bureau) => {
         new Paragraph({
           children: [new TextRun({ text: client.name })],
         }),
-        new Paragraph({
-          children: [new TextRun({ text: `[Your Address]`, color: COLORS.secondary })],
-        }),
-        new Paragraph({
-          children: [new TextRun({ text: `[City, State ZIP]`, color: COLORS.secondary })],
-        }),
-        new Paragraph({
-          children: [new TextRun({ text: `[SSN Last 4: XXXX]`, color: COLORS.secondary })],
-        }),
-        new Paragraph({
-          children: [new TextRun({ text: `[Date of Birth: XX/XX/XXXX]`, color: COLORS.secondary })],
-        }),
+        ...getIdentityLines(client).map(line =>
+          new Paragraph({
+            children: [new TextRun({ text: line.text, color: line.placeholder ? COLORS.secondary : undefined })],
+          })
+        ),
         
         new Paragraph({ spacing: { before: 400 }, children: [] }),
         
@@ -885,6 +940,145 @@ const generateDisputeLetter = (client, finding, bureau) => {
   return doc;
 };
 
+// ============================================================================
+// 3B. FURNISHER LETTER GENERATOR
+// ============================================================================
+// Renders a letter built by furnisherLetters.js - validation, direct dispute,
+// goodwill or pay-for-delete - addressed to the furnisher, same layout as the
+// bureau dispute letter
+const generateFurnisherLetter = (client, letter) => {
+  const today = formatDate(new Date());
+  const { recipient } = letter;
+  const addressColor = recipient.placeholder ? COLORS.secondary : undefined;
+
+  const doc = new Document({
+    styles: getBaseStyles(),
+    sections: [{
+      properties: getPageSettings(),
+      children: [
+        // Date
+        new Paragraph({
+          alignment: AlignmentType.RIGHT,
+          spacing: { after: 400 },
+          children: [new TextRun({ text: today })],
+        }),
+
+        // Furnisher Address
+        new Paragraph({
+          children: [new TextRun({ text: recipient.name, bold: true })],
+        }),
+        ...recipient.addressLines.map(line =>
+          new Paragraph({ children: [new TextRun({ text: line, color: addressColor })] })
+        ),
+
+        new Paragraph({ spacing: { before: 400, after: 400 }, children: [] }),
+
+        // Subject
+        new Paragraph({
+          children: [new TextRun({ text: letter.subject, bold: true })],
+        }),
+        new Paragraph({
+          spacing: { after: 200 },
+          children: [
+            new TextRun({ text: 'Account: ', bold: true }),
+            new TextRun({ text: letter.reference }),
+          ],
+        }),
+
+        // Salutation
+        new Paragraph({
+          spacing: { after: 200 },
+          children: [new TextRun({ text: 'To Whom It May Concern:' })],
+        }),
+
+        // Body
+        ...letter.paragraphs.map(text =>
+          new Paragraph({ spacing: { after: 200 }, children: [new TextRun({ text })] })
+        ),
+
+        // Issues found in the audit
+        ...(letter.issues.length > 0 ? [
+          new Paragraph({
+            spacing: { after: 100 },
+            children: [new TextRun({ text: letter.issuesHeading, bold: true })],
+          }),
+          ...letter.issues.map(issue =>
+            new Paragraph({
+              indent: { left: 720 },
+              spacing: { after: 100 },
+              children: [
+                new TextRun({ text: `${issue.label}: `, bold: true }),
+                new TextRun({ text: issue.text }),
+              ],
+            })
+          ),
+          new Paragraph({ spacing: { after: 100 }, children: [] }),
+        ] : []),
+
+        // Requests
+        new Paragraph({
+          spacing: { after: 100 },
+          children: [new TextRun({ text: letter.requestsHeading, bold: true })],
+        }),
+        ...letter.requests.map(text =>
+          new Paragraph({
+            indent: { left: 720 },
+            spacing: { after: 100 },
+            children: [new TextRun({ text: `- ${text}` })],
+          })
+        ),
+
+        // Legal Basis
+        new Paragraph({
+          spacing: { before: 200, after: 200 },
+          children: [
+            new TextRun({ text: 'LEGAL BASIS: ', bold: true }),
+            new TextRun({ text: letter.basis }),
+          ],
+        }),
+
+        // Closing
+        new Paragraph({
+          spacing: { after: 100 },
+          children: [new TextRun({ text: letter.closing })],
+        }),
+
+        new Paragraph({
+          spacing: { before: 400 },
+          children: [new TextRun({ text: 'Sincerely,' })],
+        }),
+
+        new Paragraph({ spacing: { before: 600 }, children: [] }),
+
+        new Paragraph({
+          children: [new TextRun({ text: client.name })],
+        }),
+        ...getIdentityLines(client).map(line =>
+          new Paragraph({
+            children: [new TextRun({ text: line.text, color: line.placeholder ? COLORS.secondary : undefined })],
+          })
+        ),
+
+        // Enclosures
+        ...(letter.enclosures.length > 0 ? [
+          new Paragraph({ spacing: { before: 400 }, children: [] }),
+          new Paragraph({
+            children: [new TextRun({ text: 'Enclosures:', bold: true })],
+          }),
+          ...letter.enclosures.map(text =>
+            new Paragraph({
+              indent: { left: 360 },
+              children: [new TextRun({ text: `- ${text}`, size: 20 })],
+            })
+          ),
+        ] : []),
+      ],
+    }],
+  });
+
+  return doc;
+};
+
 // ============================================================================
 // 4. ACTION PLAN DOCUMENT
 // ============================================================================
@@ -935,7 +1129,11 @@ const generateActionPlan = (auditData) => {
                 createDataCell('☐', 500),
                 createDataCell(finding.item, 3500),
                 createDataCell((finding.type || '').replace(/_/g, ' ').substring(0, 25), 2500),
-                createDataCell((finding.bureausAffected || []).map(b => BUREAU_INFO[b]?.name.substring(0, 3) || b).join(', '), 2860),
+                createDataCell((finding.bureausAffected || []).map(b => {
+                  const label = BUREAU_INFO[b]?.name.substring(0, 3) || b;
+                  const status = finding.disputeRounds && finding.disputeRounds[b];
+                  return status && status.round > 1 ? `${label} (Round ${status.round})` : label;
+                }).join(', '), 2860),
               ],
             })
           ),
@@ -1138,6 +1336,207 @@ const generateActionPlan = (auditData) => {
   return doc;
 };
 
+// ============================================================================
+// 5. RESULTS REPORT
+// ============================================================================
+// What changed since the client's previous report (auditData.reportDiff from
+// reportDiff.js) - the deletions and corrections we show clients as results
+const generateResultsReport = (auditData) => {
+  const { client, generatedAt, reportDiff } = auditData;
+  const { summary, items, findings } = reportDiff;
+  const KIND_LABELS = { account: 'Account', collection: 'Collection', inquiry: 'Inquiry', publicRecord: 'Public Record' };
+  const bureauName = (b) => BUREAU_INFO[b]?.name || b;
+  const describeChange = (c) => `${c.label}: ${c.before == null ? 'none' : c.before} → ${c.after == null ? 'none' : c.after}`;
+
+  const buildItemSection = (title, list, note, color) => {
+    if (list.length === 0) return [];
+    return [
+      new Paragraph({
+        heading: HeadingLevel.HEADING_2,
+        spacing: { before: 300 },
+        children: [new TextRun({ text: `${title} (${list.length})`, color })],
+      }),
+      ...(note ? [new Paragraph({ spacing: { after: 100 }, children: [new TextRun({ text: note, size: 20 })] })] : []),
+      new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        columnWidths: [3400, 1500, 1400, 3060],
+        rows: [
+          new TableRow({
+            children: [
+              createHeaderCell('Item', 3400),
+              createHeaderCell('Type', 1500),
+              createHeaderCell('Bureau', 1400),
+              createHeaderCell('Change', 3060),
+            ],
+          }),
+          ...list.map(item =>
+            new TableRow({
+              children: [
+                createDataCell(item.label, 3400),
+                createDataCell(KIND_LABELS[item.kind] || item.kind, 1500),
+                createDataCell(bureauName(item.bureau), 1400),
+                createDataCell(item.changes.map(describeChange).join('; ') || '-', 3060),
+              ],
+            })
+          ),
+        ],
+      }),
+    ];
+  };
+
+  const buildFindingSection = (title, list, color) => {
+    if (list.length === 0) return [];
+    return [
+      new Paragraph({
+        heading: HeadingLevel.HEADING_2,
+        spacing: { before: 300 },
+        children: [new TextRun({ text: `${title} (${list.length})`, color })],
+      }),
+      new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        columnWidths: [3800, 3000, 2560],
+        rows: [
+          new TableRow({
+            children: [
+              createHeaderCell('Item', 3800),
+              createHeaderCell('Issue', 3000),
+              createHeaderCell('Bureau(s)', 2560),
+            ],
+          }),
+          ...list.map(finding =>
+            new TableRow({
+              children: [
+                createDataCell(finding.item, 3800),
+                createDataCell((finding.type || '').replace(/_/g, ' '), 3000, { color: getSeverityColor(finding.severity) }),
+                createDataCell(finding.bureausAffected.map(bureauName).join(', '), 2560),
+              ],
+            })
+          ),
+        ],
+      }),
+    ];
+  };
+
+  const byStatus = (status) => items.filter(item => item.status === status);
+
+  const doc = new Document({
+    styles: getBaseStyles(),
+    numbering: getNumberingConfig(),
+    sections: [{
+      properties: getPageSettings(),
+      headers: {
+        default: new Header({
+          children: [
+            new Paragraph({
+              alignment: AlignmentType.RIGHT,
+              children: [
+                new TextRun({ text: 'AXIS GROWTH LLC', bold: true, size: 18, color: COLORS.primary }),
+                new TextRun({ text: ' | Results Report', size: 18, color: COLORS.secondary }),
+              ],
+            }),
+          ],
+        }),
+      },
+      footers: {
+        default: new Footer({
+          children: [
+            new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [
+                new TextRun({ text: 'CONFIDENTIAL | ', size: 16, color: COLORS.secondary }),
+                new TextRun({ text: 'Page ', size: 16, color: COLORS.secondary }),
+                new TextRun({ children: [PageNumber.CURRENT], size: 16, color: COLORS.secondary }),
+              ],
+            }),
+          ],
+        }),
+      },
+      children: [
+        // Title
+        new Paragraph({
+          heading: HeadingLevel.HEADING_1,
+          children: [new TextRun({ text: 'Credit Report Results', bold: true })],
+        }),
+
+        // Client Info
+        new Paragraph({
+          spacing: { after: 200 },
+          children: [
+            new TextRun({ text: 'Prepared for: ', bold: true }),
+            new TextRun({ text: client.name }),
+            new TextRun({ text: '  |  ' }),
+            new TextRun({ text: 'Report of: ', bold: true }),
+            new TextRun({ text: formatDate(generatedAt) }),
+            new TextRun({ text: '  |  ' }),
+            new TextRun({ text: 'Compared with: ', bold: true }),
+            new TextRun({ text: reportDiff.previousGeneratedAt ? formatDate(reportDiff.previousGeneratedAt) : 'previous report' }),
+          ],
+        }),
+
+        // Results Overview
+        new Paragraph({
+          heading: HeadingLevel.HEADING_2,
+          children: [new TextRun({ text: 'Results Overview' })],
+        }),
+        new Table({
+          width: { size: 100, type: WidthType.PERCENTAGE },
+          columnWidths: [1872, 1872, 1872, 1872, 1872],
+          rows: [
+            new TableRow({
+              children: [
+                createHeaderCell('Deleted', 1872),
+                createHeaderCell('Corrected', 1872),
+                createHeaderCell('Reinserted', 1872),
+                createHeaderCell('New', 1872),
+                createHeaderCell('Unchanged', 1872),
+              ],
+            }),
+            new TableRow({
+              children: [
+                createDataCell(summary.deleted.toString(), 1872, { bold: true, color: COLORS.primary }),
+                createDataCell(summary.corrected.toString(), 1872, { bold: true, color: COLORS.primary }),
+                createDataCell(summary.reinserted.toString(), 1872, { color: summary.reinserted > 0 ? COLORS.high : COLORS.black }),
+                createDataCell(summary.added.toString(), 1872),
+                createDataCell(summary.unchanged.toString(), 1872),
+              ],
+            }),
+          ],
+        }),
+
+        new Paragraph({ spacing: { after: 200 }, children: [] }),
+
+        // Findings Progress
+        new Paragraph({
+          heading: HeadingLevel.HEADING_2,
+          children: [new TextRun({ text: 'Findings Progress' })],
+        }),
+        new Paragraph({
+          spacing: { after: 100 },
+          children: [
+            new TextRun({ text: 'Resolved: ', bold: true }),
+            new TextRun({ text: summary.findingsResolved.toString() }),
+            new TextRun({ text: '  |  ' }),
+            new TextRun({ text: 'Still open: ', bold: true }),
+            new TextRun({ text: summary.findingsOpen.toString() }),
+            new TextRun({ text: '  |  ' }),
+            new TextRun({ text: 'New: ', bold: true }),
+            new TextRun({ text: summary.findingsNew.toString() }),
+          ],
+        }),
+
+        ...buildItemSection('Items Deleted', byStatus('deleted'), null, COLORS.primary),
+        ...buildItemSection('Items Corrected', byStatus('corrected'), null, COLORS.primary),
+        ...buildItemSection('Items Reinserted', byStatus('reinserted'), 'These items were removed from an earlier report and have reappeared. A bureau must give written notice within 5 business days of reinserting deleted information (FCRA §611(a)(5)(B)) - each is disputed in the next round.', COLORS.high),
+        ...buildItemSection('New Items', byStatus('added'), null, COLORS.black),
+        ...buildFindingSection('Findings Resolved', findings.resolved, COLORS.primary),
+        ...buildFindingSection('Findings Still Open', findings.open, COLORS.black),
+      ],
+    }],
+  });
+
+  return doc;
+};
+
 // ============================================================================
 // MAIN EXPORT FUNCTION
 // ============================================================================
@@ -1151,12 +1550,13 @@ const generateAllDocuments = async (auditData, outputDir) => {
   
   const generatedFiles = [];
   const clientSlug = (client.name || 'client').replace(/[^a-zA-Z0-9]/g, '_').substring(0, 20);
+  const steps = auditData.reportDiff ? 6 : 5;
   
   console.log(`\n📄 Generating documents for ${client.name}...`);
   console.log(`   Output directory: ${outputDir}\n`);
   
   // 1. Executive Summary
-  console.log('   [1/4] Generating Executive Summary...');
+  console.log(`   [1/${steps}] Generating Executive Summary...`);
   const summaryDoc = generateExecutiveSummary(auditData);
   const summaryPath = path.join(outputDir, `${clientSlug}_Executive_Summary.docx`);
   const summaryBuffer = await Packer.toBuffer(summaryDoc);
@@ -1165,7 +1565,7 @@ const generateAllDocuments = async (auditData, outputDir) => {
   console.log(`         ✓ ${path.basename(summaryPath)}`);
   
   // 2. Detailed Report
-  console.log('   [2/4] Generating Detailed Audit Report...');
+  console.log(`   [2/${steps}] Generating Detailed Audit Report...`);
   const reportDoc = generateDetailedReport(auditData);
   const reportPath = path.join(outputDir, `${clientSlug}_Detailed_Audit_Report.docx`);
   const reportBuffer = await Packer.toBuffer(reportDoc);
@@ -1174,7 +1574,7 @@ const generateAllDocuments = async (auditData, outputDir) => {
   console.log(`         ✓ ${path.basename(reportPath)}`);
   
   // 3. Action Plan
-  console.log('   [3/4] Generating Action Plan...');
+  console.log(`   [3/${steps}] Generating Action Plan...`);
   const planDoc = generateActionPlan(auditData);
   const planPath = path.join(outputDir, `${clientSlug}_Action_Plan.docx`);
   const planBuffer = await Packer.toBuffer(planDoc);
@@ -1183,25 +1583,62 @@ const generateAllDocuments = async (auditData, outputDir) => {
   console.log(`         ✓ ${path.basename(planPath)}`);
   
   // 4. Dispute Letters (per bureau, per finding)
-  console.log('   [4/4] Generating Dispute Letters...');
+  console.log(`   [4/${steps}] Generating Dispute Letters...`);
   const disputeDir = path.join(outputDir, 'Dispute_Letters');
   if (!fs.existsSync(disputeDir)) {
     fs.mkdirSync(disputeDir, { recursive: true });
   }
   
   let letterCount = 0;
+  let awaitingCount = 0;
   for (const finding of findings) {
     for (const bureau of (finding.bureausAffected || [])) {
+      // No new letter while the last one is still within the bureau's response window
+      const status = finding.disputeRounds && finding.disputeRounds[bureau];
+      if (status && status.awaitingResponse) {
+        awaitingCount++;
+        continue;
+      }
+      const round = status ? status.round : 1;
       const letterDoc = generateDisputeLetter(client, finding, bureau);
-      const letterFilename = `Dispute_${bureau}_Finding${finding.id}_${(finding.type || 'issue').substring(0, 15)}.docx`;
-      const letterPath = path.join(disputeDir, letterFilename);
+      const letterPath = path.join(outputDir, disputeLetterName(finding, bureau, round));
       const letterBuffer = await Packer.toBuffer(letterDoc);
       fs.writeFileSync(letterPath, letterBuffer);
       generatedFiles.push(letterPath);
       letterCount++;
     }
   }
-  console.log(`         ✓ ${letterCount} dispute letters generated`);
+  console.log(`         ✓ ${letterCount} dispute letters generated${awaitingCount > 0 ? ` (${awaitingCount} awaiting bureau response)` : ''}`);
+  
+  // 5. Furnisher Letters (validation, direct dispute, goodwill, pay-for-delete)
+  console.log(`   [5/${steps}] Generating Furnisher Letters...`);
+  const furnisherLetters = auditData.furnisherLetters || buildFurnisherLetters(findings);
+  const furnisherDir = path.join(outputDir, 'Furnisher_Letters');
+  if (furnisherLetters.length > 0 && !fs.existsSync(furnisherDir)) {
+    fs.mkdirSync(furnisherDir, { recursive: true });
+  }
+  
+  for (const letter of furnisherLetters) {
+    const letterDoc = generateFurnisherLetter(client, letter);
+    const furnisherSlug = letter.furnisher.name.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 20);
+    const last4 = String(letter.furnisher.accountNumberPartial || '').slice(-4);
+    const letterPath = path.join(furnisherDir, `${letter.letterType}_${furnisherSlug}${last4 ? `_${last4}` : ''}.docx`);
+    const letterBuffer = await Packer.toBuffer(letterDoc);
+    fs.writeFileSync(letterPath, letterBuffer);
+    generatedFiles.push(letterPath);
+  }
+  console.log(`         ✓ ${furnisherLetters.length} furnisher letters generated`);
+  
+  // 6. Results Report (only when there is a previous report to compare)
+  if (auditData.reportDiff) {
+    console.log(`   [6/${steps}] Generating Results Report...`);
+    const resultsDoc = generateResultsReport(auditData);
+    const resultsPath = path.join(outputDir, `${clientSlug}_Results_Report.docx`);
+    const resultsBuffer = await Packer.toBuffer(resultsDoc);
+    fs.writeFileSync(resultsPath, resultsBuffer);
+    generatedFiles.push(resultsPath);
+    console.log(`         ✓ ${path.basename(resultsPath)}`);
+  }
   
   console.log(`\n✅ Document generation complete!`);
   console.log(`   Total files: ${generatedFiles.length}`);
@@ -1250,5 +1687,7 @@ module.exports = {
   generateExecutiveSummary,
   generateDetailedReport,
   generateDisputeLetter,
+  generateFurnisherLetter,
   generateActionPlan,
+  generateResultsReport,
 };
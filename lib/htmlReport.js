@@ -0,0 +1,110 @@
+// ============================================================================
+// AXIS GROWTH - HTML / MHT Report Text
+// Flattens a saved HTML (or MHT web archive) report into text lines the
+// adapters can read, keeping table structure: one line per <tr>, cells
+// separated by tabs, empty cells kept as "-" so bureau columns stay aligned
+// ============================================================================
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', rsquo: '’', lsquo: '‘' };
+
+const decodeEntities = (text) => {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return isNaN(n) ? match : String.fromCodePoint(n);
+    }
+    const named = ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+};
+
+// Text of a fragment with no structure left in it, on one line
+const inlineText = (fragment) => {
+  return decodeEntities(fragment.replace(/<br\s*\/?>/gi, ' ').replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t\r\n ]+/g, ' ')
+    .trim();
+};
+
+const BLOCK_TAGS = /<\/?(p|div|br|li|ul|ol|dl|dt|dd|h[1-6]|table|thead|tbody|tfoot|caption|section|article|header|footer|nav|main|form|fieldset|legend|blockquote|pre)\b[^>]*>/gi;
+
+// A row with no nested <tr> inside it
+const INNERMOST_ROW = /<tr\b[^>]*>((?:(?!<tr\b)[\s\S])*?)<\/tr>/gi;
+const CELL = /<t([dh])\b([^>]*)>([\s\S]*?)<\/t\1>/gi;
+
+/**
+ * Convert report HTML to text lines. Nested tables are flattened innermost
+ * first; a cell that held a nested table keeps its lines instead of being
+ * squashed into one tab-separated row.
+ */
+function htmlToText(html) {
+  let s = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template)\b[\s\S]*?<\/\1>/gi, '')
+    // Source line breaks are insignificant; every '\n' from here on is ours
+    .replace(/[\r\n\t]+/g, ' ');
+
+  let previous;
+  do {
+    previous = s;
+    s = s.replace(INNERMOST_ROW, (match, row) => {
+      const cells = [];
+      row.replace(CELL, (cellMatch, tag, attrs, content) => {
+        const text = /\n/.test(content)
+          ? content.replace(/<[^>]+>/g, ' ').split('\n').map(l => decodeEntities(l).replace(/[  ]+/g, ' ').trim()).filter(Boolean).join('\n')
+          : inlineText(content);
+        const span = parseInt((attrs.match(/colspan\s*=\s*["']?(\d+)/i) || [])[1], 10) || 1;
+        for (let k = 0; k < span; k++) cells.push(text || '-');
+        return '';
+      });
+      if (cells.length === 0) return '\n';
+      return '\n' + (cells.some(c => /\n/.test(c)) ? cells.filter(c => c !== '-').join('\n') : cells.join('\t')) + '\n';
+    });
+  } while (s !== previous);
+
+  s = s.replace(BLOCK_TAGS, '\n').replace(/<[^>]+>/g, ' ');
+
+  return s.split('\n')
+    .map(line => decodeEntities(line).replace(/[ \r ]+/g, ' ').replace(/ ?\t ?/g, '\t').trim())
+    .filter(line => line && !/^[-\t]+$/.test(line))
+    .join('\n');
+}
+
+const decodeQuotedPrintable = (body) => {
+  const bytes = [];
+  const text = body.replace(/=\r?\n/g, '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-F]{2}$/i.test(text.substr(i + 1, 2))) {
+      bytes.push(parseInt(text.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(text[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+};
+
+/**
+ * Pull the HTML document out of an MHT/MHTML web archive (a MIME multipart
+ * message), decoding quoted-printable or base64 bodies.
+ */
+function extractHtmlFromMht(mht) {
+  const boundaryMatch = mht.match(/boundary\s*=\s*"?([^";\r\n]+)"?/i);
+  const parts = boundaryMatch ? mht.split(`--${boundaryMatch[1]}`) : [mht];
+
+  const part = parts.find(p => /Content-Type:\s*text\/html/i.test(p.split(/\r?\n\r?\n/)[0])) || parts.find(p => /<html/i.test(p));
+  if (!part) return '';
+
+  const split = part.search(/\r?\n\r?\n/);
+  const headers = split === -1 ? '' : part.slice(0, split);
+  const body = split === -1 ? part : part.slice(split).replace(/^\r?\n\r?\n/, '');
+  const encoding = (headers.match(/Content-Transfer-Encoding:\s*([\w-]+)/i) || [])[1] || '';
+
+  if (/quoted-printable/i.test(encoding)) return decodeQuotedPrintable(body);
+  if (/base64/i.test(encoding)) return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+  return body;
+}
+
+module.exports = {
+  htmlToText,
+  extractHtmlFromMht,
+};
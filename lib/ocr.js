@@ -0,0 +1,231 @@
+// ============================================================================
+// AXIS GROWTH - OCR Fallback
+// Scanned and mailed bureau reports (annualcreditreport.com printouts, mailed
+// dispute results) are image-only PDFs with no text layer. Page images are
+// pulled out with the pdf.js build bundled in pdf-parse and recognized
+// locally with tesseract.js, then rebuilt into the same tab-separated lines
+// the HTML input produces so the adapters read them unchanged.
+// ============================================================================
+
+const path = require('path');
+const { setProvenance, eachRecord } = require('./provenance.js');
+
+// Below this many characters of extracted text a PDF is treated as image-only
+const OCR_MIN_TEXT_LENGTH = 300;
+
+// Tesseract word confidence (0-100) below which a parsed value is flagged
+const OCR_LOW_CONFIDENCE = 80;
+
+const OCR_MAX_PAGES = 40;
+
+// Smaller images are logos and signatures, not page scans
+const MIN_IMAGE_SIZE = 300;
+
+// A horizontal gap wider than this many line heights separates table cells
+const CELL_GAP_LINE_HEIGHTS = 1.2;
+
+// Language data ships with @tesseract.js-data/eng so no network is needed;
+// OCR_LANG_PATH points at a different traineddata directory
+const languageData = () => {
+  if (process.env.OCR_LANG_PATH) return { langPath: process.env.OCR_LANG_PATH, gzip: !/\.traineddata$/.test(process.env.OCR_LANG_PATH) };
+  const eng = require('@tesseract.js-data/eng');
+  return { langPath: path.join(path.dirname(eng.langPath), '4.0.0_best_int'), gzip: eng.gzip };
+};
+
+// pdf.js ImageKind values
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+/**
+ * Encode decoded pdf.js image data as a 24-bit BMP, a format tesseract.js
+ * reads without a native canvas module.
+ */
+function toBmp({ width, height, kind, data }) {
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const bmp = Buffer.alloc(54 + rowSize * height);
+  bmp.write('BM', 0);
+  bmp.writeUInt32LE(bmp.length, 2);
+  bmp.writeUInt32LE(54, 10);
+  bmp.writeUInt32LE(40, 14);
+  bmp.writeInt32LE(width, 18);
+  bmp.writeInt32LE(-height, 22); // top-down rows
+  bmp.writeUInt16LE(1, 26);
+  bmp.writeUInt16LE(24, 28);
+  bmp.writeUInt32LE(rowSize * height, 34);
+
+  const packedRow = Math.ceil(width / 8);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r, g, b;
+      if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+        r = g = b = (data[y * packedRow + (x >> 3)] >> (7 - (x & 7))) & 1 ? 255 : 0;
+      } else {
+        const bytes = kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+        const i = (y * width + x) * bytes;
+        [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+      }
+      const o = 54 + y * rowSize + x * 3;
+      bmp[o] = b;
+      bmp[o + 1] = g;
+      bmp[o + 2] = r;
+    }
+  }
+  return bmp;
+}
+
+/**
+ * Pull the scanned page images out of a PDF, in page order. Scans carry
+ * each page as one full-page image, so the images are OCR'd at the
+ * scanner's own resolution rather than re-rendered.
+ */
+async function extractPageImages(buffer, { maxPages = OCR_MAX_PAGES } = {}) {
+  const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  PDFJS.disableWorker = true;
+
+  // Decode JPEG scans in pdf.js - there is no DOM Image to hand them to
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' });
+  const images = [];
+  try {
+    for (let n = 1; n <= Math.min(doc.numPages, maxPages); n++) {
+      const page = await doc.getPage(n);
+      const ops = await page.getOperatorList();
+      ops.fnArray.forEach((fn, i) => {
+        const args = ops.argsArray[i];
+        const image = fn === PDFJS.OPS.paintInlineImageXObject ? args[0]
+          : fn === PDFJS.OPS.paintImageXObject ? page.objs.get(args[0])
+            : null;
+        if (image && image.data && image.width >= MIN_IMAGE_SIZE && image.height >= MIN_IMAGE_SIZE) {
+          images.push({ page: n, image: toBmp(image) });
+        }
+      });
+      page.cleanup();
+    }
+  } finally {
+    doc.destroy();
+  }
+  return images;
+}
+
+/**
+ * Rebuild text lines from recognized words. Words are grouped into rows by
+ * vertical position across all blocks (tesseract often splits table columns
+ * into separate blocks) and wide gaps between words become tabs.
+ */
+function wordsToLines(words) {
+  const sorted = [...words].sort((a, b) => a.bbox.y0 - b.bbox.y0);
+  const rows = [];
+  sorted.forEach(word => {
+    const height = word.bbox.y1 - word.bbox.y0;
+    const middle = (word.bbox.y0 + word.bbox.y1) / 2;
+    const row = rows.find(r => Math.abs(r.middle - middle) < Math.max(height, r.height) / 2);
+    if (row) {
+      row.words.push(word);
+    } else {
+      rows.push({ middle, height, words: [word] });
+    }
+  });
+
+  return rows
+    .sort((a, b) => a.middle - b.middle)
+    .map(row => {
+      const ordered = row.words.sort((a, b) => a.bbox.x0 - b.bbox.x0);
+      return ordered.map((word, i) => {
+        if (i === 0) return word.text;
+        const gap = word.bbox.x0 - ordered[i - 1].bbox.x1;
+        return (gap > row.height * CELL_GAP_LINE_HEIGHTS ? '\t' : ' ') + word.text;
+      }).join('');
+    })
+    .join('\n');
+}
+
+/**
+ * OCR an image-only PDF. Returns `{ pageTexts, confidence, words }`:
+ * recognized text per page, the mean word confidence, and each word's text
+ * and confidence for annotateFieldConfidence().
+ */
+async function ocrPdf(buffer, options = {}) {
+  const { createWorker } = require('tesseract.js');
+  const images = await extractPageImages(buffer, options);
+  const worker = await createWorker('eng', 1, { ...languageData(), cacheMethod: 'none' });
+
+  const pageTexts = [];
+  const words = [];
+  try {
+    for (const { page, image } of images) {
+      const { data } = await worker.recognize(image, {}, { text: false, blocks: true });
+      const pageWords = (data.blocks || [])
+        .flatMap(block => block.paragraphs)
+        .flatMap(paragraph => paragraph.lines)
+        .flatMap(line => line.words)
+        .filter(word => word.text && word.text.trim());
+      // A page scanned as several images reads as one page
+      pageTexts[page - 1] = [pageTexts[page - 1], wordsToLines(pageWords)].filter(Boolean).join('\n');
+      words.push(...pageWords.map(word => ({ text: word.text.trim(), confidence: Math.round(word.confidence) })));
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  const confidence = words.length > 0 ? Math.round(words.reduce((sum, w) => sum + w.confidence, 0) / words.length) : 0;
+  return { pageTexts: Array.from(pageTexts, text => text || ''), confidence, words };
+}
+
+// ============================================================================
+// FIELD CONFIDENCE
+// ============================================================================
+
+// Comparison key: amounts and dates by their digits, names by letters/digits
+const tokenKey = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const ANNOTATED_FIELDS = [
+  'creditorName', 'collectorName', 'originalCreditor', 'accountNumber', 'accountNumberPartial', 'accountNumberMasked', 'accountType', 'status',
+  'openDate', 'dateOpened', 'currentBalance', 'balance', 'creditLimit',
+  'dateOfLastActivity', 'lastActivityDate', 'lastPaymentDate', 'dateReported', 'dateClosed', 'dateOfFirstDelinquency', 'dofd',
+  'inquiryDate', 'dateFiled', 'dateVerified', 'dateResolved', 'amount', 'referenceNumber',
+  'name', 'address', 'dob', 'ssnLast4',
+];
+
+/**
+ * Mark parsed values that came from low-confidence OCR words: the field's
+ * provenance drops to 'low' and records the word confidence as
+ * `ocrConfidence`. The detection engine downgrades findings built on them.
+ */
+function annotateFieldConfidence(data, words, threshold = OCR_LOW_CONFIDENCE) {
+  const low = {};
+  words.filter(w => w.confidence < threshold).forEach(w => {
+    const key = tokenKey(w.text);
+    if (key.length >= 2) low[key] = Math.min(low[key] != null ? low[key] : 100, w.confidence);
+  });
+  if (Object.keys(low).length === 0) return data;
+
+  const valueConfidence = (value) => {
+    const parts = String(value).split(/\s+/).map(tokenKey).filter(Boolean);
+    const scores = parts.map(part => low[part]).filter(score => score != null);
+    // Amounts were read as "$1,234.00" but parse to 1234
+    if (typeof value === 'number') {
+      Object.keys(low).forEach(key => {
+        if (key === String(value) || key === `${value}00`) scores.push(low[key]);
+      });
+    }
+    return scores.length > 0 ? Math.min(...scores) : null;
+  };
+
+  eachRecord(data, record => {
+    ANNOTATED_FIELDS.forEach(field => {
+      const value = record[field];
+      if (value == null || value === '') return;
+      const score = valueConfidence(value);
+      if (score == null) return;
+      const entry = (record.provenance && record.provenance[field]) || {};
+      setProvenance(record, field, entry.line, 'low', { ...entry, confidence: 'low', ocrConfidence: score });
+    });
+  });
+  return data;
+}
+
+module.exports = {
+  OCR_MIN_TEXT_LENGTH,
+  OCR_LOW_CONFIDENCE,
+  extractPageImages,
+  ocrPdf,
+  annotateFieldConfidence,
+};
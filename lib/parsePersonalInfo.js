@@ -0,0 +1,223 @@
+// ============================================================================
+// AXIS GROWTH - Personal Information Parser
+// Extracts the per-bureau personal information block (names, AKAs,
+// addresses, DOB, SSN last 4, employers) and derives the client identity
+// used in dispute letters
+// ============================================================================
+
+const { setProvenance } = require('./provenance.js');
+
+const BUREAU_NAMES = { TRANSUNION: 'TU', EXPERIAN: 'EX', EQUIFAX: 'EQ' };
+const BUREAU_PATTERN = /\b(TRANS\s*UNION|EXPERIAN|EQUIFAX)\b/gi;
+
+const FIELD_LABELS = [
+  { field: 'akas', pattern: /^(Also\s+Known\s+As|AKA|Other\s+Names?|Former\s+Names?)\s*:?/i },
+  { field: 'names', pattern: /^(Consumer\s+Name|Name)\s*:?/i },
+  { field: 'dob', pattern: /^(Date\s+of\s+Birth|Year\s+of\s+Birth|Birth\s*Date|DOB)\s*:?/i },
+  { field: 'ssnLast4', pattern: /^(SSN|Social\s+Security(\s+Number)?)\s*:?/i },
+  { field: 'previousAddresses', pattern: /^(Previous|Former|Prior)\s+Address(\(es\)|es)?\s*:?/i },
+  { field: 'currentAddresses', pattern: /^(Current\s+)?Address(\(es\)|es)?\s*:?/i },
+  { field: 'employers', pattern: /^(Current\s+|Previous\s+)?Employers?\s*:?/i },
+];
+
+const SECTION_START = /Personal\s+(Information|Profile)/i;
+const SECTION_END = /^(Consumer\s+Statement|Credit\s+Scores?|Summary|Account\s+History|Accounts?\b|Inquir|Public\s+(Information|Records?)|Creditor\s+Contacts)/i;
+
+// "DALLAS, TX 75001" or "DALLAS TX 75001"; the code must be a real state
+// so "123 MAIN ST 75001" is not read as one
+const CITY_STATE_ZIP = /(?:,\s*|\s)([A-Z]{2})\s+(\d{5})(-\d{4})?\b/g;
+const STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'PR', 'GU', 'VI', 'AS', 'MP',
+]);
+
+// State code of the city/state/ZIP in an address line, or null
+const stateOf = (text) => {
+  const match = [...String(text || '').matchAll(CITY_STATE_ZIP)].find(m => STATE_CODES.has(m[1]));
+  return match ? match[1] : null;
+};
+
+const emptyBureauInfo = () => ({
+  names: [],
+  akas: [],
+  dob: null,
+  ssnLast4: null,
+  currentAddresses: [],
+  previousAddresses: [],
+  employers: [],
+});
+
+const cleanValue = (value) => {
+  const v = (value || '').replace(/\s+/g, ' ').trim();
+  return /^[-–—*]*$/.test(v) ? '' : v;
+};
+
+/**
+ * Parse the personal information section of a report.
+ *
+ * Handles both three-column tables (a header row naming the bureaus, then
+ * "Name:  JOHN DOE  JOHN A DOE  JOHN DOE" rows split on runs of spaces) and
+ * per-bureau blocks (a bureau heading followed by label lines). Returns
+ * `{ TU, EX, EQ }`; values with no bureau context are stored under `ANY`.
+ */
+function parsePersonalInformation(rawText) {
+  const info = {};
+  const lines = rawText.split('\n');
+  let inSection = false;
+  let columns = [];
+  let currentBureau = null;
+  let lastAddress = null;
+
+  const bureauInfo = (bureau) => {
+    if (!info[bureau]) info[bureau] = emptyBureauInfo();
+    return info[bureau];
+  };
+
+  const assign = (bureau, field, value) => {
+    const v = cleanValue(value);
+    if (!v) return;
+
+    const target = bureauInfo(bureau);
+    if (field === 'ssnLast4') {
+      const digits = v.replace(/[^0-9]/g, '');
+      if (digits.length >= 4) target.ssnLast4 = digits.slice(-4);
+    } else if (field === 'dob') {
+      target.dob = v;
+    } else if (!target[field].includes(v)) {
+      target[field].push(v);
+      if (/Addresses$/.test(field)) lastAddress = { bureau, field, index: target[field].length - 1 };
+    }
+  };
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (SECTION_START.test(line)) {
+      inSection = true;
+      continue;
+    }
+    if (!inSection || !line) continue;
+    if (SECTION_END.test(line)) break;
+
+    // Bureau header: one bureau starts a block, several set the column order
+    const bureausInLine = (line.match(BUREAU_PATTERN) || []).map(b => BUREAU_NAMES[b.toUpperCase().replace(/\s+/g, '')]);
+    if (bureausInLine.length > 0 && line.replace(BUREAU_PATTERN, '').replace(/[^A-Za-z]/g, '').length === 0) {
+      if (bureausInLine.length > 1) {
+        columns = bureausInLine;
+        currentBureau = null;
+      } else {
+        currentBureau = bureausInLine[0];
+        columns = [];
+      }
+      lastAddress = null;
+      continue;
+    }
+
+    const label = FIELD_LABELS.find(l => l.pattern.test(line));
+    if (!label) {
+      // Continuation of a multi-line address ("DALLAS, TX 75001")
+      if (lastAddress && stateOf(` ${line}`)) {
+        const list = bureauInfo(lastAddress.bureau)[lastAddress.field];
+        list[lastAddress.index] = `${list[lastAddress.index]}, ${cleanValue(line)}`;
+        lastAddress = null;
+      }
+      continue;
+    }
+
+    const rest = line.replace(label.pattern, '');
+    const values = rest.split(/\s{2,}|\t/).map(v => v.trim()).filter(v => v !== '');
+    if (columns.length > 1 && values.length === columns.length) {
+      values.forEach((value, idx) => assign(columns[idx], label.field, value));
+    } else {
+      assign(currentBureau || 'ANY', label.field, rest);
+    }
+  }
+
+  // Unattributed values apply to every bureau seen
+  if (info.ANY && Object.keys(info).length > 1) {
+    Object.keys(info).filter(b => b !== 'ANY').forEach(bureau => {
+      Object.entries(info.ANY).forEach(([field, value]) => {
+        if (Array.isArray(value)) value.forEach(v => assign(bureau, field, v));
+        else if (value && !info[bureau][field]) info[bureau][field] = value;
+      });
+    });
+    delete info.ANY;
+  }
+
+  return info;
+}
+
+const mostCommon = (values) => {
+  const counts = {};
+  values.filter(Boolean).forEach(v => { counts[v] = (counts[v] || 0) + 1; });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+};
+
+/**
+ * Derive the client identity block (name, state, address, DOB, SSN last 4)
+ * from the value most bureaus agree on. Provenance is high confidence when
+ * every bureau reporting the field agrees, medium when the majority won.
+ */
+function summarizeClient(personalInfo) {
+  const bureaus = Object.values(personalInfo || {});
+  const values = {
+    name: bureaus.map(b => b.names[0]).filter(Boolean),
+    address: bureaus.map(b => b.currentAddresses[0]).filter(Boolean),
+    dob: bureaus.map(b => b.dob).filter(Boolean),
+    ssnLast4: bureaus.map(b => b.ssnLast4).filter(Boolean),
+  };
+  const address = mostCommon(values.address);
+
+  const client = {
+    name: mostCommon(values.name),
+    state: stateOf(address),
+    address,
+    dob: mostCommon(values.dob),
+    ssnLast4: mostCommon(values.ssnLast4),
+  };
+
+  Object.entries(values).forEach(([field, reported]) => {
+    if (reported.length === 0) return;
+    const confidence = new Set(reported).size === 1 ? 'high' : 'medium';
+    setProvenance(client, field, null, confidence);
+    if (field === 'address' && client.state) setProvenance(client, 'state', null, confidence);
+  });
+  return client;
+}
+
+const normalizeName = (name) => (name || '').toUpperCase().replace(/[^A-Z\s]/g, '').replace(/\s+/g, ' ').trim();
+
+const normalizeAddress = (address) => {
+  return (address || '').toUpperCase()
+    .replace(/\bSTREET\b/g, 'ST').replace(/\bAVENUE\b/g, 'AVE').replace(/\bROAD\b/g, 'RD')
+    .replace(/\bDRIVE\b/g, 'DR').replace(/\bLANE\b/g, 'LN').replace(/\bAPARTMENT\b|\bUNIT\b|#/g, 'APT')
+    .replace(/[^A-Z0-9]/g, '');
+};
+
+/**
+ * Edit distance counting adjacent transpositions as one edit ("JHON" vs
+ * "JOHN" = 1), used to tell a misspelling from a different name.
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+module.exports = {
+  parsePersonalInformation,
+  summarizeClient,
+  normalizeName,
+  normalizeAddress,
+  editDistance,
+};
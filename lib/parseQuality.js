@@ -0,0 +1,95 @@
+// ============================================================================
+// AXIS GROWTH - Parse Quality Report
+// Lists the records whose critical fields could not be parsed, or were
+// parsed with low confidence, so they are checked by hand before any
+// dispute built on them goes out
+// ============================================================================
+
+const { normalizeReportData } = require('./detectionEngine.js');
+const { accountNumberLabel } = require('./accountMatcher.js');
+
+// Fields the detection rules and letters cannot do without, per record kind
+const CRITICAL_FIELDS = {
+  tradeline: ['bureau', 'creditorName', 'accountNumberPartial', 'openDate', 'currentBalance', 'status'],
+  collection: ['bureau', 'creditorName', 'currentBalance', 'status', 'originalCreditor', 'dateOfFirstDelinquency'],
+  inquiry: ['bureau', 'creditorName', 'inquiryDate'],
+  publicRecord: ['bureau', 'description', 'dateFiled'],
+  client: ['name', 'state'],
+};
+
+const isEmpty = (value) => value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const recordLabel = (kind, record) => {
+  if (kind === 'inquiry') return `Inquiry - ${record.creditorName || 'unknown'}${record.inquiryDate ? ` (${record.inquiryDate})` : ''}`;
+  if (kind === 'publicRecord') return `Public Record - ${record.description || record.type}${record.referenceNumber ? ` (#${record.referenceNumber})` : ''}`;
+  if (kind === 'client') return 'Client Identity';
+  return `${record.collectorName || record.creditorName || 'Unknown account'} (${accountNumberLabel(record)})`;
+};
+
+/**
+ * Review entry for one record, or null when its critical fields are all
+ * parsed with medium or high confidence. A missing field is 'unparsed'
+ * when its row was found but the value didn't parse (the raw text is
+ * kept), else 'not found'.
+ */
+function reviewRecord(kind, record) {
+  const provenance = record.provenance || {};
+  const missing = CRITICAL_FIELDS[kind]
+    .filter(field => isEmpty(record[field]) || (kind === 'client' && provenance[field] && provenance[field].defaulted))
+    .map(field => {
+      const entry = provenance[field];
+      return {
+        field,
+        reason: entry && entry.raw ? 'unparsed' : entry && entry.defaulted ? 'defaulted' : 'not found',
+        ...(entry ? { line: entry.line, page: entry.page, raw: entry.raw } : {}),
+      };
+    });
+  const lowConfidence = Object.entries(provenance)
+    .filter(([field, entry]) => entry.confidence === 'low' && !isEmpty(record[field]) && !missing.some(m => m.field === field))
+    .map(([field, entry]) => ({ field, value: record[field], ...entry }));
+
+  if (missing.length === 0 && lowConfidence.length === 0) return null;
+  return {
+    kind,
+    item: recordLabel(kind, record),
+    bureau: record.bureau || null,
+    missing,
+    lowConfidence,
+  };
+}
+
+/**
+ * Build the parse-quality report for parsed report data:
+ * `{ status: 'ok' | 'needs_review', summary, needsReview: [...] }`.
+ * `summary` counts records checked, records needing review, and missing and
+ * low-confidence critical fields.
+ */
+function buildParseQualityReport(data) {
+  const { client, tradelines, collections, inquiries } = normalizeReportData(data);
+  // Unexpanded - a record printed once for all bureaus is reviewed once
+  const publicRecords = data.publicRecords || [];
+  const records = [
+    ['client', client],
+    ...tradelines.map(r => ['tradeline', r]),
+    ...collections.map(r => ['collection', r]),
+    ...inquiries.map(r => ['inquiry', r]),
+    ...publicRecords.map(r => ['publicRecord', r]),
+  ];
+
+  const needsReview = records.map(([kind, record]) => reviewRecord(kind, record)).filter(Boolean);
+  return {
+    status: needsReview.length > 0 ? 'needs_review' : 'ok',
+    summary: {
+      recordsChecked: records.length,
+      needsReview: needsReview.length,
+      missingFields: needsReview.reduce((sum, r) => sum + r.missing.length, 0),
+      lowConfidenceFields: needsReview.reduce((sum, r) => sum + r.lowConfidence.length, 0),
+    },
+    needsReview,
+  };
+}
+
+module.exports = {
+  CRITICAL_FIELDS,
+  buildParseQualityReport,
+};
@@ -0,0 +1,126 @@
+// ============================================================================
+// AXIS GROWTH - Payment History Grid
+// Extracts the 24-month payment history grid (OK/30/60/90/120/CO) that
+// MyFreeScoreNow and IdentityIQ print under each account
+// ============================================================================
+
+const { expandYear, toMonthKey } = require('./reportDates.js');
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Codes that count as a late mark, in order of severity
+const LATE_CODES = ['30', '60', '90', '120', '150', '180', 'CO'];
+
+const BUREAU_ROW_PATTERN = /^(TransUnion|Trans\s+Union|TU|Experian|EX|XPN|Equifax|EQ|EQF)\b[:\s]*/i;
+
+// A whole tab-separated cell naming the bureau
+const BUREAU_LABEL_PATTERN = /^(TransUnion|Trans\s+Union|TU|Experian|EX|XPN|Equifax|EQ|EQF):?$/i;
+
+const BUREAU_ROW_CODES = {
+  TRANSUNION: 'TU', TU: 'TU',
+  EXPERIAN: 'EX', EX: 'EX', XPN: 'EX',
+  EQUIFAX: 'EQ', EQ: 'EQ', EQF: 'EQ',
+};
+
+/**
+ * Map one grid cell to a canonical code: 'OK', a days-late bucket, 'CO', or
+ * null when the bureau reported no data for that month.
+ */
+function normalizePaymentCode(token) {
+  const t = (token || '').toUpperCase().replace(/[^A-Z0-9\/]/g, '');
+  if (!t || /^(ND|NR|X|NA)$/.test(t)) return null;
+  if (/^(OK|C|CUR|CURRENT|0)$/.test(t)) return 'OK';
+  if (/^(CO|C\/O|CHG|CHGOFF|CHARGEOFF|COL|COLL|CA)$/.test(t)) return 'CO';
+  if (/^(30|60|90|120|150|180)$/.test(t)) return t;
+  return undefined;
+}
+
+const isLateCode = (code) => LATE_CODES.includes(code);
+
+const monthTokenPattern = /^([A-Za-z]{3})[a-z]*['’\-\/]?(\d{2}|\d{4})?$/;
+
+const isMonthToken = (tok) => monthTokenPattern.test(tok) && MONTH_NAMES.includes(tok.slice(0, 3).toUpperCase());
+
+// HTML/MHT tables and OCR'd grids separate cells with tabs; an empty cell
+// (or htmlToText's "-" for one) is a month with no data and keeps its
+// position. Plain PDF text only has spaces, so its empty cells are lost.
+const splitCells = (line) => (line.includes('\t')
+  ? line.split('\t').map(cell => cell.trim().replace(/^-+$/, ''))
+  : line.split(/\s+/).filter(Boolean));
+
+/**
+ * Parse a grid that starts after a "Payment History" heading at `lines[start]`.
+ *
+ * Recognizes "Month Jan Feb ..." / "Year 23 23 ..." header rows (or combined
+ * "Jan'23" tokens) and bureau rows ("TransUnion OK OK 30 ..."). Each code is
+ * matched to the month header by position, with empty tab-separated cells
+ * kept as null. Rows without a bureau label are stored under `ANY`. Returns the parsed rows and the index
+ * of the last line consumed so callers can skip past the grid.
+ */
+function parsePaymentHistoryGrid(lines, start) {
+  let months = [];
+  let years = [];
+  const rows = {};
+  let end = start;
+
+  for (let i = start + 1; i < lines.length && i <= start + 12; i++) {
+    // Only spaces are trimmed - a leading tab is an empty first cell
+    const line = (lines[i] || '').replace(/^[ \r]+|[ \r]+$/g, '');
+    if (!line.trim()) {
+      if (Object.keys(rows).length > 0) break;
+      continue;
+    }
+
+    const tokens = splitCells(line);
+    // An empty first cell is the label column of a row without a label
+    const labelled = tokens[0] === '';
+    if (/^Month/i.test(tokens[0]) || tokens.slice(labelled ? 1 : 0).every(isMonthToken)) {
+      const monthTokens = /^Month/i.test(tokens[0]) || labelled ? tokens.slice(1) : tokens;
+      months = monthTokens.map(tok => {
+        const m = tok.match(monthTokenPattern);
+        return m ? { month: MONTH_NAMES.indexOf(m[1].toUpperCase()) + 1, year: m[2] ? expandYear(m[2]) : null } : null;
+      });
+      end = i;
+      continue;
+    }
+    if (/^Year/i.test(tokens[0])) {
+      years = tokens.slice(1).map(tok => (tok ? expandYear(tok.replace(/[^0-9]/g, '')) : null));
+      end = i;
+      continue;
+    }
+
+    let label = null;
+    let cells;
+    if (line.includes('\t')) {
+      if (BUREAU_LABEL_PATTERN.test(tokens[0])) label = tokens[0].replace(/:$/, '');
+      cells = label || labelled ? tokens.slice(1) : tokens;
+    } else {
+      const bureauMatch = line.match(BUREAU_ROW_PATTERN);
+      if (bureauMatch) label = bureauMatch[1];
+      cells = splitCells((bureauMatch ? line.slice(bureauMatch[0].length) : line).trim());
+    }
+    const codes = cells.map(normalizePaymentCode);
+    if (cells.every(cell => !cell) || codes.some(c => c === undefined)) break;
+
+    const bureau = label ? BUREAU_ROW_CODES[label.toUpperCase().replace(/\s+/g, '')] : 'ANY';
+    rows[bureau] = codes.map((code, idx) => {
+      const header = months[idx];
+      const year = header && (header.year || years[idx]);
+      return {
+        month: header && year ? `${year}-${String(header.month).padStart(2, '0')}` : null,
+        code,
+      };
+    });
+    end = i;
+  }
+
+  return { rows, end };
+}
+
+module.exports = {
+  LATE_CODES,
+  normalizePaymentCode,
+  isLateCode,
+  toMonthKey,
+  parsePaymentHistoryGrid,
+};
@@ -0,0 +1,88 @@
+// ============================================================================
+// AXIS GROWTH - Field Provenance
+// Parsed records carry `provenance: { field: { line, page, source,
+// confidence } }` so a value can be traced to the report line it came from
+// and rules can tell a parsed value from a guessed or misread one
+// ============================================================================
+
+// high   - read from a labelled row/column in the expected format
+// medium - matched loosely (unlabelled text, fallback label, inferred column)
+// low    - defaulted, malformed, or read by OCR with low word confidence
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+/**
+ * Record where `field` on `record` came from. `line` is the 1-based line of
+ * the extracted text (null for JSON input); `extra` can add `raw` (the text
+ * that failed to parse), `path` (JSON location) or `defaulted`.
+ */
+function setProvenance(record, field, line, confidence = 'high', extra = {}) {
+  if (!record.provenance) record.provenance = {};
+  record.provenance[field] = { line: line != null ? line : null, confidence, ...extra };
+  return record;
+}
+
+const fieldConfidence = (record, field) => {
+  const entry = record && record.provenance && record.provenance[field];
+  return entry ? entry.confidence : null;
+};
+
+const isLowConfidence = (record, field) => fieldConfidence(record, field) === 'low';
+
+// Lowest of several confidence levels, ignoring unknowns
+const minConfidence = (levels) => {
+  const known = levels.filter(level => CONFIDENCE_LEVELS.includes(level));
+  if (known.length === 0) return null;
+  return known.reduce((a, b) => (CONFIDENCE_LEVELS.indexOf(a) <= CONFIDENCE_LEVELS.indexOf(b) ? a : b));
+};
+
+/**
+ * Every record in parser output that can carry provenance: flat accounts,
+ * nested per-bureau account values, inquiries, public records and the client.
+ */
+function eachRecord(data, fn) {
+  [...(data.tradelines || []), ...(data.collections || [])].forEach(account => {
+    if (account.bureaus) {
+      Object.values(account.bureaus).forEach(values => values && fn(values));
+    } else {
+      fn(account);
+    }
+  });
+  (data.inquiries || []).forEach(fn);
+  (data.publicRecords || []).forEach(fn);
+  if (data.client) fn(data.client);
+}
+
+/**
+ * Stamp the input source ('text', 'ocr', 'html', 'json') and page number
+ * onto every provenance entry. `pageStarts` lists the first line of each
+ * page, in order.
+ */
+function locateProvenance(data, { source, pageStarts = [] } = {}) {
+  const pageOf = (line) => {
+    if (line == null || pageStarts.length === 0) return null;
+    let page = 1;
+    pageStarts.forEach((start, i) => {
+      if (line >= start) page = i + 1;
+    });
+    return page;
+  };
+
+  eachRecord(data, record => {
+    Object.values(record.provenance || {}).forEach(entry => {
+      if (source && !entry.source) entry.source = source;
+      const page = entry.page != null ? entry.page : pageOf(entry.line);
+      if (page != null) entry.page = page;
+    });
+  });
+  return data;
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  setProvenance,
+  fieldConfidence,
+  isLowConfidence,
+  minConfidence,
+  eachRecord,
+  locateProvenance,
+};
@@ -0,0 +1,180 @@
+// ============================================================================
+// AXIS GROWTH - Public Records
+// Extracts the public records section (bankruptcies, civil judgments, tax
+// liens) in either three-column or per-bureau block layouts
+// ============================================================================
+
+const { setProvenance } = require('./provenance.js');
+const { findReportDate } = require('./reportDates.js');
+
+const PUBLIC_RECORDS_HEADING = /^Public\s+(Records?|Information)\s*:?\s*$/i;
+const SECTION_END = /^((Hard\s+|Soft\s+|Regarding\s+)?Inquir|Creditor\s+Contacts|Account\s+History|Collections|Personal\s+(Information|Profile)|Summary|Consumer\s+Statement|Credit\s+Scores?|(Creditor|Account)\s+(Name|Number))/i;
+
+const BUREAU_NAMES = { TRANSUNION: 'TU', EXPERIAN: 'EX', EQUIFAX: 'EQ' };
+const BUREAU_PATTERN = /\b(TRANS\s*UNION|EXPERIAN|EQUIFAX)\b/gi;
+
+const FIELD_LABELS = [
+  { field: 'description', pattern: /^(Type|Record\s+Type|Public\s+Record\s+Type|Classification)\s*:?/i },
+  { field: 'status', pattern: /^(Status|Disposition)\s*:?/i },
+  { field: 'courtName', pattern: /^(Court\s+(Name|Type)|Court)\s*:?/i },
+  { field: 'referenceNumber', pattern: /^(Reference\s*(Number|No\.?|#)|Docket\s*(Number|No\.?|#)?|Case\s*(Number|No\.?|#))\s*:?/i },
+  { field: 'dateFiled', pattern: /^(Date\s+Filed|Filed\s+Date|Filing\s+Date)\s*:?/i },
+  { field: 'dateVerified', pattern: /^(Date\s+Verified|Verified\s+Date)\s*:?/i },
+  { field: 'dateResolved', pattern: /^(Date\s+(Resolved|Discharged|Dismissed|Satisfied|Released|Closed)|Closing\s+Date|Discharge\s+Date)\s*:?/i },
+  { field: 'liability', pattern: /^(Liability(\s+Amount)?|Total\s+Liabilit(y|ies))\s*:?/i },
+  { field: 'amount', pattern: /^(Amount|Asset\s+Amount|Judgment\s+Amount|Lien\s+Amount)\s*:?/i },
+];
+
+// Rows like "Chapter 7 Bankruptcy" with no label still start a record
+const RECORD_TYPE_LINE = /^(Chapter\s*(7|11|12|13)\b.*|Bankruptcy\b.*|Civil\s+Judgment\b.*|Judgment\b.*|(State|Federal|County|City)?\s*Tax\s+Lien\b.*)$/i;
+
+const emptyRecord = (bureau) => ({
+  bureau,
+  type: 'other',
+  chapter: null,
+  description: '',
+  status: '',
+  courtName: '',
+  referenceNumber: '',
+  dateFiled: null,
+  dateVerified: null,
+  dateResolved: null,
+  amount: null,
+  liability: null,
+});
+
+/**
+ * Classify a record from its type/status text: 'bankruptcy' (with chapter),
+ * 'judgment', 'tax_lien' or 'other'.
+ */
+function classifyRecord(record) {
+  const text = `${record.description} ${record.status}`;
+  const chapter = text.match(/\bChapter\s*(7|11|12|13)\b|\bCh\.?\s*(7|11|12|13)\b/i);
+  if (/bankrupt|chapter\s*(7|11|12|13)\b/i.test(text)) {
+    record.type = 'bankruptcy';
+    record.chapter = chapter ? (chapter[1] || chapter[2]) : null;
+  } else if (/tax\s+lien|\blien\b/i.test(text)) {
+    record.type = 'tax_lien';
+  } else if (/judgment|judgement/i.test(text)) {
+    record.type = 'judgment';
+  }
+  return record;
+}
+
+const cleanValue = (value) => {
+  const v = (value || '').replace(/\s+/g, ' ').trim();
+  return /^[-–—*]*$/.test(v) ? '' : v;
+};
+
+/**
+ * Parse a public records section whose heading is at `lines[start]`.
+ * Returns the records found and the index of the last record line so
+ * callers can skip past the section (a trailing bureau heading is left for
+ * the caller). `defaultBureauLine` is the 1-based line the caller took
+ * `defaultBureau` from, if any.
+ */
+function parsePublicRecordSection(lines, start, defaultBureau = 'ANY', defaultBureauLine = null) {
+  const records = [];
+  const open = {};
+  let columns = [];
+  let currentBureau = defaultBureau;
+  let bureauLine = defaultBureauLine;
+  let end = start;
+
+  const close = (bureau) => {
+    const record = open[bureau];
+    if (record && (record.description || record.dateFiled || record.referenceNumber)) {
+      records.push(classifyRecord(record));
+    }
+    delete open[bureau];
+  };
+
+  const assign = (bureau, field, value, lineNo) => {
+    const v = cleanValue(value);
+    if (!v) return;
+
+    // A repeated field means the next record for that bureau has started
+    if (open[bureau] && open[bureau][field]) close(bureau);
+    if (!open[bureau]) {
+      open[bureau] = emptyRecord(bureau);
+      // Records with no bureau column or heading apply to every bureau
+      if (bureau === 'ANY') setProvenance(open[bureau], 'bureau', lineNo, 'medium');
+      else if (columns.length > 1 || bureauLine) setProvenance(open[bureau], 'bureau', columns.length > 1 ? lineNo : bureauLine, 'high');
+      else setProvenance(open[bureau], 'bureau', null, 'low', { defaulted: true });
+    }
+
+    let parsed = v;
+    if (field === 'amount' || field === 'liability') {
+      const amount = v.match(/\$?\s*([\d,]+(\.\d+)?)/);
+      parsed = amount ? parseFloat(amount[1].replace(/,/g, '')) : null;
+    } else if (field === 'dateFiled' || field === 'dateVerified' || field === 'dateResolved') {
+      const date = findReportDate(v);
+      parsed = date ? date.text : null;
+    }
+    open[bureau][field] = parsed;
+    setProvenance(open[bureau], field, lineNo, parsed === null ? 'low' : 'high', parsed === null ? { raw: v } : {});
+  };
+
+  for (let i = start + 1; i < lines.length; i++) {
+    const line = (lines[i] || '').trim();
+    if (!line || /^(None\s+Reported|No\s+(public\s+)?records)/i.test(line)) continue;
+    if (SECTION_END.test(line)) break;
+
+    // Bureau header: one bureau starts a block, several set the column order
+    const bureausInLine = (line.match(BUREAU_PATTERN) || []).map(b => BUREAU_NAMES[b.toUpperCase().replace(/\s+/g, '')]);
+    if (bureausInLine.length > 0 && line.replace(BUREAU_PATTERN, '').replace(/[^A-Za-z]/g, '').length === 0) {
+      Object.keys(open).forEach(close);
+      if (bureausInLine.length > 1) {
+        columns = bureausInLine;
+      } else {
+        currentBureau = bureausInLine[0];
+        bureauLine = i + 1;
+        columns = [];
+      }
+      continue;
+    }
+
+    const label = FIELD_LABELS.find(l => l.pattern.test(line));
+    if (!label) {
+      if (RECORD_TYPE_LINE.test(line) && columns.length === 0) {
+        assign(currentBureau, 'description', line, i + 1);
+        end = i;
+      }
+      continue;
+    }
+
+    const rest = line.replace(label.pattern, '');
+    const values = rest.split(/\s{2,}|\t/).map(v => v.trim()).filter(v => v !== '');
+    if (columns.length > 1 && values.length === columns.length) {
+      values.forEach((value, idx) => assign(columns[idx], label.field, value, i + 1));
+    } else {
+      assign(currentBureau, label.field, rest, i + 1);
+    }
+    end = i;
+  }
+
+  Object.keys(open).forEach(close);
+  return { records, end };
+}
+
+/**
+ * Find and parse every public records section in a report's raw text.
+ */
+function parsePublicRecords(rawText) {
+  const lines = rawText.split('\n').map(l => l.trim());
+  const records = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (!PUBLIC_RECORDS_HEADING.test(lines[i])) continue;
+    const section = parsePublicRecordSection(lines, i);
+    records.push(...section.records);
+    i = section.end;
+  }
+  return records;
+}
+
+module.exports = {
+  PUBLIC_RECORDS_HEADING,
+  classifyRecord,
+  parsePublicRecordSection,
+  parsePublicRecords,
+};
@@ -0,0 +1,214 @@
+// ============================================================================
+// AXIS GROWTH - Report Dates
+// Bureau reports print dates as "05/20/2023", "5/20/23", "05/2023", "5/23",
+// "Jan 2020", "January 5, 2020" or a bare year, and JSON exports use ISO
+// strings. Every date is parsed here into a UTC calendar date with a
+// precision flag, so a month-only date is compared as the whole month it
+// names rather than as its first day.
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRECISIONS = ['day', 'month', 'year'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// "Jan", "Jan.", "Sept", "January"
+const MONTH_NAME = '(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sept?(?:ember)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?';
+
+const monthIndex = (name) => MONTHS.findIndex(m => m.startsWith(name.toLowerCase().slice(0, 3))) + 1;
+
+/**
+ * Expand a two-digit year. Report dates are rarely more than a year in the
+ * future, so "26" is 2026 and "65" is 1965 rather than a fixed 50 pivot.
+ */
+const expandYear = (year, today = new Date()) => {
+  const text = String(year).replace(/^['’]/, '');
+  const y = parseInt(text, 10);
+  if (text.length !== 2) return y;
+  return 2000 + y <= today.getUTCFullYear() + 1 ? 2000 + y : 1900 + y;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Keep a number from matching inside a longer number, account number or range
+const START = '(?<![\\d/.\\-])';
+const END = '(?![\\d/]|[.\\-]\\d)';
+
+// Tried in order; the earliest match in the text wins
+const DATE_FORMATS = [
+  // 2023-05-20, 2023-05-20T00:00:00-07:00
+  { pattern: `${START}(\\d{4})-(\\d{1,2})-(\\d{1,2})(?=T|\\b)`, parts: m => ({ year: m[1], month: m[2], day: m[3] }) },
+  // 05/20/2023, 5/20/23, 05-20-2023, 05.20.2023
+  { pattern: `${START}(\\d{1,2})([/.\\-])(\\d{1,2})\\2(\\d{4}|\\d{2})${END}`, parts: m => ({ year: m[4], month: m[1], day: m[3] }) },
+  // January 5, 2020 / Jan 5th 2020
+  { pattern: `\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})\\b`, parts: m => ({ year: m[3], month: monthIndex(m[1]), day: m[2] }) },
+  // 5 January 2020 / 05-Jan-2020
+  { pattern: `${START}(\\d{1,2})[\\s\\-]+${MONTH_NAME}[\\s\\-,]+(\\d{4})\\b`, parts: m => ({ year: m[3], month: monthIndex(m[2]), day: m[1] }) },
+  // Jan 2020, January, 2020, Jan-20, Jan'20
+  { pattern: `\\b${MONTH_NAME}(?:[\\s\\-/,]+|\\s*['’])(\\d{4}|\\d{2})${END}`, parts: m => ({ year: m[2], month: monthIndex(m[1]) }) },
+  // 2023-05
+  { pattern: `${START}(\\d{4})-(\\d{1,2})${END}`, parts: m => ({ year: m[1], month: m[2] }) },
+  // 05/2023, 5-2023, 5/23
+  { pattern: `${START}(\\d{1,2})[/\\-](\\d{4}|\\d{2})${END}`, parts: m => ({ year: m[2], month: m[1] }) },
+];
+
+const FORMAT_PATTERNS = DATE_FORMATS.map(format => new RegExp(format.pattern, 'gi'));
+
+/**
+ * Build a parsed date from its parts, or null when they do not name a real
+ * calendar date. Month and year precision start on the first day of the
+ * month/year.
+ */
+const buildDate = ({ year, month, day }, raw) => {
+  const y = expandYear(year);
+  const m = month != null ? parseInt(month, 10) : null;
+  const d = day != null ? parseInt(day, 10) : null;
+  if (!(y >= 1900 && y <= 2100)) return null;
+  if (m != null && !(m >= 1 && m <= 12)) return null;
+  if (d != null && !(d >= 1 && d <= daysInMonth(y, m))) return null;
+
+  const precision = d != null ? 'day' : m != null ? 'month' : 'year';
+  return {
+    date: new Date(Date.UTC(y, (m || 1) - 1, d || 1)),
+    precision,
+    year: y,
+    month: m,
+    day: d,
+    raw,
+  };
+};
+
+/**
+ * Find the first date in a line of report text. Returns the parsed date
+ * (see parseReportDate) plus `text` and `index`, the matched substring and
+ * its position, or null.
+ */
+function findReportDate(text) {
+  if (!text) return null;
+  const line = String(text);
+  let best = null;
+  FORMAT_PATTERNS.forEach((regex, f) => {
+    regex.lastIndex = 0;
+    let m;
+    while ((m = regex.exec(line)) !== null) {
+      if (best && m.index >= best.index) break;
+      const parsed = buildDate(DATE_FORMATS[f].parts(m), m[0]);
+      if (parsed) {
+        best = { ...parsed, text: m[0], index: m.index };
+        break;
+      }
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse a report date into `{ date, precision, year, month, day, raw }`.
+ * `date` is UTC midnight; `precision` is 'day', 'month' or 'year' and
+ * `day`/`month` are null below it. Accepts a string, a Date or an already
+ * parsed date; returns null when nothing parses.
+ */
+function parseReportDate(value) {
+  if (value == null || value === '') return null;
+  if (value.precision && value.date instanceof Date) return value;
+  if (value instanceof Date) {
+    if (isNaN(value)) return null;
+    return buildDate({ year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() }, value.toISOString());
+  }
+
+  const raw = String(value).trim();
+  const found = findReportDate(raw);
+  if (found) {
+    const { text, index, ...parsed } = found;
+    return { ...parsed, raw };
+  }
+  const yearOnly = raw.match(/^(?:Year\s+)?(\d{4})$/i);
+  return yearOnly ? buildDate({ year: yearOnly[1] }, raw) : null;
+}
+
+/**
+ * The earliest ('start') or latest ('end') moment a report date can mean:
+ * "05/2023" starts 05/01/2023 and ends 05/31/2023. Rules that claim a date
+ * is too old or too recent pick the bound that keeps the claim true
+ * whichever day was meant.
+ */
+function toDate(value, bound = 'start') {
+  const parsed = parseReportDate(value);
+  if (!parsed) return null;
+  if (bound !== 'end' || parsed.precision === 'day') return new Date(parsed.date.getTime());
+  return parsed.precision === 'month'
+    ? new Date(Date.UTC(parsed.year, parsed.month - 1, daysInMonth(parsed.year, parsed.month)))
+    : new Date(Date.UTC(parsed.year, 11, 31));
+}
+
+const coarsest = (a, b) => PRECISIONS[Math.max(PRECISIONS.indexOf(a), PRECISIONS.indexOf(b))];
+
+/**
+ * Compare two report dates, each taken as the span of days it can mean.
+ * Returns `{ min, max, days, precision }`: the smallest and largest
+ * possible value of `b - a` in days, `days` the smallest possible distance
+ * between them (0 when the spans overlap) and `precision` the coarser of
+ * the two. Null when either date does not parse.
+ */
+function compareReportDates(a, b) {
+  const first = parseReportDate(a);
+  const second = parseReportDate(b);
+  if (!first || !second) return null;
+
+  const min = Math.round((toDate(second, 'start') - toDate(first, 'end')) / DAY_MS);
+  const max = Math.round((toDate(second, 'end') - toDate(first, 'start')) / DAY_MS);
+  const days = min > 0 ? min : max < 0 ? -max : 0;
+  return { min, max, days, precision: coarsest(first.precision, second.precision) };
+}
+
+/**
+ * Whether two report dates are more than `toleranceDays` apart however
+ * their month- or year-precision values are read. Two day-precision dates
+ * use the tolerance as-is; "05/2023" vs "06/15/2023" never differ by more
+ * than the days between the end of May and June 15. Dates that do not parse
+ * never differ.
+ */
+function datesDiffer(a, b, toleranceDays = 0) {
+  const comparison = compareReportDates(a, b);
+  return comparison !== null && comparison.days > toleranceDays;
+}
+
+// Whole days from a report date to `today`, measured from its start or end
+function daysSince(value, today = new Date(), bound = 'start') {
+  const date = toDate(value, bound);
+  return date ? Math.floor((today - date) / DAY_MS) : null;
+}
+
+/**
+ * Format a report date at its own precision: "05/20/2023", "05/2023" or
+ * "2023", the forms the text parsers produce.
+ */
+function formatReportDate(value) {
+  const parsed = parseReportDate(value);
+  if (!parsed) return null;
+  const mm = String(parsed.month).padStart(2, '0');
+  if (parsed.precision === 'year') return String(parsed.year);
+  if (parsed.precision === 'month') return `${mm}/${parsed.year}`;
+  return `${mm}/${String(parsed.day).padStart(2, '0')}/${parsed.year}`;
+}
+
+// 'YYYY-MM' month key, or null for year-only and unparsed dates
+function toMonthKey(value) {
+  const parsed = parseReportDate(value);
+  if (!parsed || parsed.precision === 'year') return null;
+  return `${parsed.year}-${String(parsed.month).padStart(2, '0')}`;
+}
+
+module.exports = {
+  DAY_MS,
+  expandYear,
+  findReportDate,
+  parseReportDate,
+  toDate,
+  compareReportDates,
+  datesDiffer,
+  daysSince,
+  formatReportDate,
+  toMonthKey,
+};
@@ -0,0 +1,200 @@
+// ============================================================================
+// AXIS GROWTH - Report Diff
+// Compares a client's new report with their previous one, bureau by bureau:
+// each account, collection, inquiry and public record is deleted,
+// corrected, unchanged, newly added, or reinserted (back after an earlier
+// report dropped it), and each finding from the previous audit is resolved
+// or still open. Feeds the Results Report.
+// ============================================================================
+
+const { normalizeReportData } = require('./detectionEngine.js');
+const { MATCH_THRESHOLD, scoreAccountPair, sameCreditor, accountNumberLabel } = require('./accountMatcher.js');
+const { compareReportDates } = require('./reportDates.js');
+const { isLateCode } = require('./paymentHistory.js');
+const { findingKey } = require('./disputeRounds.js');
+
+const DIFF_STATUSES = ['deleted', 'corrected', 'reinserted', 'added', 'unchanged'];
+
+// Days apart for two inquiry dates to be the same inquiry
+const INQUIRY_DATE_TOLERANCE_DAYS = 3;
+
+const amount = (value) => (value == null || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+const sameDate = (a, b) => {
+  const comparison = compareReportDates(a, b);
+  return comparison ? comparison.days === 0 : String(a || '') === String(b || '');
+};
+
+const sameText = (a, b) => String(a || '').trim().toUpperCase() === String(b || '').trim().toUpperCase();
+
+const lateMarks = (account) => (account.paymentHistory || []).filter(h => isLateCode(h.code)).length;
+
+// Fields whose change means the furnisher or bureau corrected the item.
+// Balances move every month, so only a collection's balance or an account
+// paid down to zero counts.
+const ACCOUNT_FIELDS = [
+  { field: 'status', label: 'Status', same: sameText },
+  { field: 'openDate', label: 'Date Opened', same: sameDate },
+  { field: 'dateClosed', label: 'Date Closed', same: sameDate },
+  { field: 'dateOfFirstDelinquency', label: 'DOFD', same: sameDate },
+  { field: 'originalCreditor', label: 'Original Creditor', same: sameText },
+  { field: 'creditLimit', label: 'Credit Limit', same: (a, b) => amount(a) === amount(b) },
+  {
+    field: 'currentBalance',
+    label: 'Balance',
+    same: (a, b, account) => (account.collection ? amount(a) === amount(b) : (amount(a) === 0) === (amount(b) === 0)),
+  },
+  { field: 'lateMarks', label: 'Late Payments', value: lateMarks, same: (a, b) => a === b },
+];
+
+const PUBLIC_RECORD_FIELDS = [
+  { field: 'status', label: 'Status', same: sameText },
+  { field: 'dateFiled', label: 'Date Filed', same: sameDate },
+  { field: 'dateResolved', label: 'Date Resolved', same: sameDate },
+  { field: 'liability', label: 'Liability', same: (a, b) => amount(a) === amount(b) },
+];
+
+const fieldChanges = (fields, before, after) => fields
+  .map(({ field, label, value, same }) => {
+    const a = value ? value(before) : before[field];
+    const b = value ? value(after) : after[field];
+    if ((a == null || a === '') && (b == null || b === '')) return null;
+    return same(a, b, after) ? null : { field, label, before: a == null ? null : a, after: b == null ? null : b };
+  })
+  .filter(Boolean);
+
+const scoreInquiry = (a, b) => {
+  if (!sameCreditor(a.creditorName, b.creditorName)) return 0;
+  const comparison = compareReportDates(a.inquiryDate, b.inquiryDate);
+  return comparison && comparison.days <= INQUIRY_DATE_TOLERANCE_DAYS ? 1 : 0;
+};
+
+const scorePublicRecord = (a, b) => {
+  if (a.referenceNumber && b.referenceNumber) return sameText(a.referenceNumber, b.referenceNumber) ? 1 : 0;
+  return sameText(a.type || a.description, b.type || b.description) && sameDate(a.dateFiled, b.dateFiled) ? 1 : 0;
+};
+
+/**
+ * Pair same-bureau records from two lists, best score first, each record
+ * used once. Returns `{ pairs: [[before, after]], removed, added }`.
+ */
+function pairRecords(before, after, score, threshold) {
+  const candidates = [];
+  before.forEach((a, i) => after.forEach((b, j) => {
+    if (a.bureau !== b.bureau) return;
+    const s = score(a, b);
+    if (s >= threshold) candidates.push({ i, j, s });
+  }));
+  candidates.sort((x, y) => y.s - x.s);
+
+  const usedBefore = new Set();
+  const usedAfter = new Set();
+  const pairs = [];
+  candidates.forEach(({ i, j }) => {
+    if (usedBefore.has(i) || usedAfter.has(j)) return;
+    usedBefore.add(i);
+    usedAfter.add(j);
+    pairs.push([before[i], after[j]]);
+  });
+  return {
+    pairs,
+    removed: before.filter((_, i) => !usedBefore.has(i)),
+    added: after.filter((_, j) => !usedAfter.has(j)),
+  };
+}
+
+const accountScore = (a, b) => scoreAccountPair(a, b).score;
+
+const ITEM_KINDS = {
+  account: {
+    records: (data) => [
+      ...data.tradelines.map(a => ({ ...a, collection: false })),
+      ...data.collections.map(a => ({ ...a, collection: true })),
+    ],
+    score: accountScore,
+    threshold: MATCH_THRESHOLD,
+    fields: ACCOUNT_FIELDS,
+    describe: (a) => ({
+      kind: a.collection ? 'collection' : 'account',
+      name: a.collectorName || a.creditorName,
+      accountNumberPartial: a.accountNumberPartial || '',
+      label: `${a.collectorName || a.creditorName} (${accountNumberLabel(a)})`,
+    }),
+  },
+  inquiry: {
+    records: (data) => data.inquiries,
+    score: scoreInquiry,
+    threshold: 1,
+    fields: [],
+    describe: (inq) => ({ kind: 'inquiry', name: inq.creditorName, label: `${inq.creditorName} inquiry ${inq.inquiryDate || ''}`.trim() }),
+  },
+  publicRecord: {
+    records: (data) => data.publicRecords,
+    score: scorePublicRecord,
+    threshold: 1,
+    fields: PUBLIC_RECORD_FIELDS,
+    describe: (r) => ({
+      kind: 'publicRecord',
+      name: r.description || r.type,
+      label: `${r.description || r.type}${r.referenceNumber ? ` #${r.referenceNumber}` : ''}`,
+    }),
+  },
+};
+
+/**
+ * Diff two parsed reports for the same client (either parser shape).
+ * `previousFindings` are the previous audit's findings, `currentFindings`
+ * this audit's; `earlierData` lists parsed reports older than `previousData`
+ * so an item that one of them had, and the previous report did not, shows
+ * as reinserted rather than added.
+ *
+ * Returns `{ summary, items, findings }`: `items` are
+ * `{ status, kind, bureau, name, label, changes }` with `status` one of
+ * DIFF_STATUSES and `changes` the corrected fields (`{ field, label,
+ * before, after }`); `findings` is `{ resolved, open, new }`.
+ */
+function diffReports(previousData, currentData, { previousFindings = [], currentFindings = [], earlierData = [] } = {}) {
+  const previous = normalizeReportData(previousData);
+  const current = normalizeReportData(currentData);
+  const earlier = earlierData.map(normalizeReportData);
+
+  const items = [];
+  Object.values(ITEM_KINDS).forEach(kind => {
+    const { pairs, removed, added } = pairRecords(kind.records(previous), kind.records(current), kind.score, kind.threshold);
+
+    pairs.forEach(([before, after]) => {
+      const changes = fieldChanges(kind.fields, before, after);
+      items.push({ status: changes.length > 0 ? 'corrected' : 'unchanged', bureau: after.bureau, ...kind.describe(after), changes });
+    });
+    removed.forEach(before => items.push({ status: 'deleted', bureau: before.bureau, ...kind.describe(before), changes: [] }));
+
+    // Back after a gap - on an earlier report but not the previous one
+    const earlierRecords = earlier.flatMap(kind.records);
+    added.forEach(after => {
+      const seenBefore = earlierRecords.some(e => e.bureau === after.bureau && kind.score(e, after) >= kind.threshold);
+      items.push({ status: seenBefore ? 'reinserted' : 'added', bureau: after.bureau, ...kind.describe(after), changes: [] });
+    });
+  });
+  items.sort((a, b) => DIFF_STATUSES.indexOf(a.status) - DIFF_STATUSES.indexOf(b.status) || a.label.localeCompare(b.label) || a.bureau.localeCompare(b.bureau));
+
+  const describeFinding = (f) => ({ key: findingKey(f), type: f.type, item: f.item, severity: f.severity, bureausAffected: f.bureausAffected || [] });
+  const previousKeys = new Set(previousFindings.map(findingKey));
+  const currentKeys = new Set(currentFindings.map(findingKey));
+  const findings = {
+    resolved: previousFindings.filter(f => !currentKeys.has(findingKey(f))).map(describeFinding),
+    open: previousFindings.filter(f => currentKeys.has(findingKey(f))).map(describeFinding),
+    new: currentFindings.filter(f => !previousKeys.has(findingKey(f))).map(describeFinding),
+  };
+
+  const summary = Object.fromEntries(DIFF_STATUSES.map(status => [status, items.filter(i => i.status === status).length]));
+  summary.findingsResolved = findings.resolved.length;
+  summary.findingsOpen = findings.open.length;
+  summary.findingsNew = findings.new.length;
+
+  return { summary, items, findings };
+}
+
+module.exports = {
+  DIFF_STATUSES,
+  diffReports,
+};
@@ -0,0 +1,151 @@
+// ============================================================================
+// AXIS GROWTH - Report Input Formats
+// Accepts PDF, saved HTML/MHT pages and JSON exports and turns each into the
+// normalized `{ client, tradelines, collections, inquiries }` shape. Shared
+// by the CLI and /api/audit.
+// ============================================================================
+
+const path = require('path');
+const { htmlToText, extractHtmlFromMht } = require('./htmlReport.js');
+const { parseReportText, parseReportJson } = require('./adapters');
+const { OCR_MIN_TEXT_LENGTH, ocrPdf, annotateFieldConfidence } = require('./ocr.js');
+const { locateProvenance } = require('./provenance.js');
+
+const INPUT_FORMATS = {
+  pdf: ['.pdf'],
+  html: ['.html', '.htm'],
+  mht: ['.mht', '.mhtml'],
+  json: ['.json'],
+};
+
+const SUPPORTED_EXTENSIONS = Object.values(INPUT_FORMATS).flat();
+
+/**
+ * Identify the input format from the file extension, falling back to the
+ * content for uploads without one.
+ */
+function detectInputFormat(fileName, buffer) {
+  const ext = path.extname(fileName || '').toLowerCase();
+  const byExtension = Object.keys(INPUT_FORMATS).find(format => INPUT_FORMATS[format].includes(ext));
+  if (byExtension) return byExtension;
+
+  const head = buffer.slice(0, 512).toString('utf8').trimStart();
+  if (head.startsWith('%PDF')) return 'pdf';
+  if (head.startsWith('{') || head.startsWith('[')) return 'json';
+  if (/^(MIME-Version|From:|Content-Type:\s*multipart)/i.test(head)) return 'mht';
+  if (/^<(!doctype\s+html|html|head|body)/i.test(head)) return 'html';
+  return null;
+}
+
+// Same line assembly as pdf-parse's default renderer, kept per page
+const renderPageText = (pageData) => {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then(textContent => {
+    let lastY;
+    let text = '';
+    textContent.items.forEach(item => {
+      text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    });
+    return text;
+  });
+};
+
+/**
+ * Join page texts with a blank line between pages. Returns the trimmed text
+ * and `pageStarts`, the 1-based first line of each page within it.
+ */
+const joinPages = (pageTexts) => {
+  const joined = pageTexts.join('\n\n');
+  const leading = joined.slice(0, joined.length - joined.trimStart().length);
+  let line = 1 - (leading.match(/\n/g) || []).length;
+  const pageStarts = pageTexts.map(text => {
+    const start = Math.max(1, line);
+    line += text.split('\n').length + 1;
+    return start;
+  });
+  return { text: joined.trim(), pageStarts };
+};
+
+/**
+ * Read an uploaded or on-disk report into `{ format, text, json, pages,
+ * pageStarts }`. `text` is what the text adapters parse; `json` is set for
+ * JSON exports; `pageStarts` maps text lines back to PDF pages. Image-only
+ * PDFs are OCR'd unless `options.ocr` is false, adding
+ * `ocr: { confidence, words }`.
+ */
+async function readReportInput(buffer, fileName, options = {}) {
+  const format = detectInputFormat(fileName, buffer);
+  if (!format) {
+    throw new Error(`Unsupported report format "${path.extname(fileName || '') || 'unknown'}" - expected ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+
+  if (format === 'pdf') {
+    // lib/pdf-parse skips the package index's debug self-test
+    const pdfParse = require('pdf-parse/lib/pdf-parse');
+    const pageTexts = [];
+    const pdfData = await pdfParse(buffer, {
+      pagerender: pageData => renderPageText(pageData).then(text => {
+        pageTexts.push(text);
+        return text;
+      }),
+    });
+    const { text, pageStarts } = joinPages(pageTexts);
+    if (text.length >= OCR_MIN_TEXT_LENGTH || options.ocr === false) {
+      return { format, text, json: null, pages: pdfData.numpages, pageStarts };
+    }
+
+    // No usable text layer - scanned or mailed report
+    const ocr = await ocrPdf(buffer);
+    return {
+      format,
+      ...joinPages(ocr.pageTexts),
+      json: null,
+      pages: pdfData.numpages,
+      ocr: { confidence: ocr.confidence, words: ocr.words },
+    };
+  }
+
+  const content = buffer.toString('utf8');
+  if (format === 'json') {
+    let json;
+    try {
+      json = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Could not parse the JSON export - the file may be truncated or not JSON (${err.message})`);
+    }
+    return { format, text: '', json, pages: null, pageStarts: [] };
+  }
+  const html = format === 'mht' ? extractHtmlFromMht(content) : content;
+  return { format, text: htmlToText(html), json: null, pages: null, pageStarts: [] };
+}
+
+/**
+ * Run the structure-aware parser for an input read by readReportInput().
+ * The result's `provider.inputFormat` records which format was read, and
+ * `provider.ocr` the mean OCR confidence for scanned PDFs. Field provenance
+ * gets its source and page here.
+ */
+function parseReportInput(input, options = {}) {
+  const data = input.format === 'json' ? parseReportJson(input.json) : parseReportText(input.text, options);
+  const provider = { ...data.provider, inputFormat: input.format };
+  locateProvenance(data, { source: input.ocr ? 'ocr' : input.format, pageStarts: input.pageStarts });
+  if (!input.ocr) return { ...data, provider };
+
+  return {
+    ...annotateFieldConfidence(data, input.ocr.words),
+    provider: { ...provider, ocr: { engine: 'tesseract.js', confidence: input.ocr.confidence } },
+  };
+}
+
+async function parseReportFile(buffer, fileName, options = {}) {
+  return parseReportInput(await readReportInput(buffer, fileName, options), options);
+}
+
+module.exports = {
+  INPUT_FORMATS,
+  SUPPORTED_EXTENSIONS,
+  detectInputFormat,
+  readReportInput,
+  parseReportInput,
+  parseReportFile,
+};
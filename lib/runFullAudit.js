@@ -2,274 +2,25 @@
 /**
  * AXIS GROWTH - Complete Credit Audit Pipeline
  * 
- * Usage: node runFullAudit.js <credit_report.pdf> [output_directory]
+ * Usage: node runFullAudit.js <credit_report> [output_directory] [previous_report]
+ * 
+ * Reports may be PDF, saved HTML/MHT pages or JSON exports.
  * 
  * This script:
- * 1. Parses the PDF credit report
+ * 1. Parses the credit report
  * 2. Runs the detection engine
  * 3. Generates all documents (Executive Summary, Detailed Report, Action Plan, Dispute Letters)
  */
 
 const fs = require('fs');
 const path = require('path');
-const { parseCreditReportPDF } = require('./parseCreditReport.js');
-
-// ============================================================================
-// ISSUE TYPE DEFINITIONS
-// ============================================================================
-const ISSUE_TYPES = {
-  DATE_MISMATCH_OPEN: { label: 'Open Date Mismatch', severity: 'high', basis: 'FCRA §611(a)' },
-  DATE_MISMATCH_DLA: { label: 'Date of Last Activity Mismatch', severity: 'high', basis: 'FCRA §611(a)' },
-  DATE_MISMATCH_DOFD: { label: 'DOFD Mismatch', severity: 'critical', basis: 'FCRA §623(a)(2), §605(c)' },
-  DATE_MISMATCH_PAYMENT: { label: 'Last Payment Date Mismatch', severity: 'medium', basis: 'FCRA §611(a)' },
-  BALANCE_MISMATCH: { label: 'Balance Mismatch', severity: 'medium', basis: 'FCRA §611(a)' },
-  LIMIT_MISMATCH: { label: 'Credit Limit Mismatch', severity: 'low', basis: 'FCRA §611(a)' },
-  STATUS_MISMATCH: { label: 'Account Status Mismatch', severity: 'high', basis: 'FCRA §611(a)' },
-  MISSING_OC: { label: 'Missing Original Creditor', severity: 'medium', basis: 'FDCPA §809(a)' },
-  MISSING_DOFD: { label: 'Missing Date of First Delinquency', severity: 'high', basis: 'FCRA §623(a)(2)' },
-  INQUIRY_EXPIRED: { label: 'Expired Hard Inquiry', severity: 'low', basis: 'FCRA §605(a)(3)' },
-  REPORTING_EXPIRED: { label: 'Reporting Period Expired', severity: 'critical', basis: 'FCRA §605(a)' },
-};
-
-const MEDICAL_DEBT_BAN_STATES = ['CA', 'CO', 'CT', 'DE', 'IL', 'ME', 'MD', 'MN', 'NJ', 'NY', 'OR', 'RI', 'VT', 'VA', 'WA'];
-
-// ============================================================================
-// DETECTION ENGINE
-// ============================================================================
-function runDetectionEngine(data) {
-  const { client, tradelines, collections, inquiries } = data;
-  const findings = [];
-  let findingId = 1;
-
-  const daysDiff = (d1, d2) => {
-    if (!d1 || !d2) return null;
-    return Math.abs((new Date(d1) - new Date(d2)) / (1000 * 60 * 60 * 24));
-  };
-
-  const normalizeCreditor = (name) => {
-    if (!name) return '';
-    return name.toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 10);
-  };
-
-  // Group tradelines by account
-  const tradelineGroups = {};
-  tradelines.forEach(t => {
-    const key = normalizeCreditor(t.creditorName) + '_' + (t.accountNumberPartial || '').slice(-4);
-    if (!tradelineGroups[key]) tradelineGroups[key] = [];
-    tradelineGroups[key].push(t);
-  });
-
-  // Analyze tradelines
-  Object.entries(tradelineGroups).forEach(([key, items]) => {
-    if (items.length < 2) return;
-
-    const itemName = items[0].creditorName + ' (...' + (items[0].accountNumberPartial || '').slice(-4) + ')';
-
-    // Open Date Mismatch
-    const openDates = items.filter(i => i.openDate).map(i => ({ bureau: i.bureau, date: i.openDate }));
-    if (openDates.length >= 2) {
-      for (let i = 0; i < openDates.length; i++) {
-        for (let j = i + 1; j < openDates.length; j++) {
-          const diff = daysDiff(openDates[i].date, openDates[j].date);
-          if (diff !== null && diff > 30) {
-            findings.push({
-              id: findingId++,
-              type: 'DATE_MISMATCH_OPEN',
-              item: itemName,
-              bureausAffected: [openDates[i].bureau, openDates[j].bureau],
-              severity: 'high',
-              basis: ISSUE_TYPES.DATE_MISMATCH_OPEN.basis,
-              evidence: `[Evidence: ${openDates[i].bureau} reports Open Date "${openDates[i].date}" vs ${openDates[j].bureau} reports "${openDates[j].date}" - ${Math.round(diff)} day difference]`,
-              action: 'Dispute for investigation of conflicting open dates',
-              impactScore: 7,
-              timeline: '30-45 days',
-              claimIndicator: false,
-              documentationNeeded: [],
-              dependencies: [],
-            });
-            break;
-          }
-        }
-      }
-    }
-
-    // DLA Mismatch
-    const dlaValues = items.filter(i => i.dateOfLastActivity).map(i => ({ bureau: i.bureau, date: i.dateOfLastActivity }));
-    if (dlaValues.length >= 2) {
-      for (let i = 0; i < dlaValues.length; i++) {
-        for (let j = i + 1; j < dlaValues.length; j++) {
-          const diff = daysDiff(dlaValues[i].date, dlaValues[j].date);
-          if (diff !== null && diff > 30) {
-            findings.push({
-              id: findingId++,
-              type: 'DATE_MISMATCH_DLA',
-              item: itemName,
-              bureausAffected: [dlaValues[i].bureau, dlaValues[j].bureau],
-              severity: 'high',
-              basis: ISSUE_TYPES.DATE_MISMATCH_DLA.basis,
-              evidence: `[Evidence: ${dlaValues[i].bureau} reports DLA "${dlaValues[i].date}" vs ${dlaValues[j].bureau} reports "${dlaValues[j].date}" - ${Math.round(diff)} day difference]`,
-              action: 'Dispute for investigation of conflicting activity dates',
-              impactScore: 7,
-              timeline: '30-45 days',
-              claimIndicator: false,
-              documentationNeeded: [],
-              dependencies: [],
-            });
-            break;
-          }
-        }
-      }
-    }
-
-    // Payment Date Mismatch
-    const payDates = items.filter(i => i.lastPaymentDate).map(i => ({ bureau: i.bureau, date: i.lastPaymentDate }));
-    if (payDates.length >= 2) {
-      for (let i = 0; i < payDates.length; i++) {
-        for (let j = i + 1; j < payDates.length; j++) {
-          const diff = daysDiff(payDates[i].date, payDates[j].date);
-          if (diff !== null && diff > 30) {
-            findings.push({
-              id: findingId++,
-              type: 'DATE_MISMATCH_PAYMENT',
-              item: itemName,
-              bureausAffected: [payDates[i].bureau, payDates[j].bureau],
-              severity: 'medium',
-              basis: ISSUE_TYPES.DATE_MISMATCH_PAYMENT.basis,
-              evidence: `[Evidence: ${payDates[i].bureau} reports Last Payment "${payDates[i].date}" vs ${payDates[j].bureau} reports "${payDates[j].date}" - ${Math.round(diff)} day difference]`,
-              action: 'Dispute for investigation of conflicting payment dates',
-              impactScore: 5,
-              timeline: '30-45 days',
-              claimIndicator: false,
-              documentationNeeded: [],
-              dependencies: [],
-            });
-            break;
-          }
-        }
-      }
-    }
-
-    // Status Mismatch
-    const statuses = items.filter(i => i.status).map(i => ({ bureau: i.bureau, status: i.status }));
-    if (statuses.length >= 2) {
-      const normalized = statuses.map(s => s.status.toLowerCase().replace(/[^a-z]/g, ''));
-      if (new Set(normalized).size > 1) {
-        findings.push({
-          id: findingId++,
-          type: 'STATUS_MISMATCH',
-          item: itemName,
-          bureausAffected: statuses.map(s => s.bureau),
-          severity: 'high',
-          basis: ISSUE_TYPES.STATUS_MISMATCH.basis,
-          evidence: `[Evidence: Status conflict - ${statuses.map(s => `${s.bureau}: "${s.status}"`).join(' vs ')}]`,
-          action: 'Dispute for investigation of conflicting account statuses',
-          impactScore: 8,
-          timeline: '30-45 days',
-          claimIndicator: false,
-          documentationNeeded: [],
-          dependencies: [],
-        });
-      }
-    }
-
-    // Credit Limit Mismatch
-    const limits = items.filter(i => i.creditLimit !== null).map(i => ({ bureau: i.bureau, limit: i.creditLimit }));
-    if (limits.length >= 2) {
-      const hasLimit = limits.some(l => l.limit > 0);
-      const hasMismatch = limits.some((l, i) => limits.some((l2, j) => i !== j && l.limit !== l2.limit));
-      if (hasLimit && hasMismatch) {
-        findings.push({
-          id: findingId++,
-          type: 'LIMIT_MISMATCH',
-          item: itemName,
-          bureausAffected: limits.map(l => l.bureau),
-          severity: 'low',
-          basis: ISSUE_TYPES.LIMIT_MISMATCH.basis,
-          evidence: `[Evidence: Credit limit mismatch - ${limits.map(l => `${l.bureau}: $${l.limit}`).join(' vs ')}]`,
-          action: 'Dispute for correction of credit limit (affects utilization ratio)',
-          impactScore: 4,
-          timeline: '30-45 days',
-          claimIndicator: false,
-          documentationNeeded: [],
-          dependencies: [],
-        });
-      }
-    }
-  });
-
-  // Analyze collections
-  collections.forEach(c => {
-    const itemName = (c.collectorName || c.creditorName) + ' (...' + (c.accountNumberPartial || '').slice(-4) + ')';
-
-    // Missing Original Creditor
-    if (!c.originalCreditor || c.originalCreditor.trim() === '') {
-      findings.push({
-        id: findingId++,
-        type: 'MISSING_OC',
-        item: itemName,
-        bureausAffected: [c.bureau],
-        severity: 'medium',
-        basis: ISSUE_TYPES.MISSING_OC.basis,
-        evidence: `[Evidence: Collection "${c.collectorName || c.creditorName}" on ${c.bureau} does not identify Original Creditor]`,
-        action: 'Dispute for incomplete reporting - Original Creditor required',
-        impactScore: 6,
-        timeline: '30-45 days',
-        claimIndicator: true,
-        cannotConfirm: 'Cannot confirm debt ownership chain without Original Creditor',
-        documentationNeeded: ['Debt validation letter', 'Original creditor documentation'],
-        dependencies: [],
-      });
-    }
-
-    // Missing DOFD
-    if (!c.dateOfFirstDelinquency || c.dateOfFirstDelinquency.trim() === '') {
-      findings.push({
-        id: findingId++,
-        type: 'MISSING_DOFD',
-        item: itemName,
-        bureausAffected: [c.bureau],
-        severity: 'high',
-        basis: ISSUE_TYPES.MISSING_DOFD.basis,
-        evidence: `[Evidence: Collection "${c.collectorName || c.creditorName}" on ${c.bureau} missing DOFD - required per FCRA §623(a)(2)]`,
-        action: 'Dispute for incomplete reporting - DOFD required for 7-year calculation',
-        impactScore: 8,
-        timeline: '30-45 days',
-        claimIndicator: true,
-        cannotConfirm: 'Cannot confirm 7-year reporting period without DOFD',
-        documentationNeeded: ['Original creditor records showing delinquency date'],
-        dependencies: [],
-      });
-    }
-  });
-
-  // Analyze inquiries (expired = over 2 years)
-  const today = new Date();
-  inquiries.forEach(inq => {
-    if (inq.inquiryDate && inq.inquiryType === 'hard') {
-      const inquiryDate = new Date(inq.inquiryDate);
-      const ageInDays = (today - inquiryDate) / (1000 * 60 * 60 * 24);
-      if (ageInDays > 730) {
-        findings.push({
-          id: findingId++,
-          type: 'INQUIRY_EXPIRED',
-          item: inq.creditorName,
-          bureausAffected: [inq.bureau],
-          severity: 'low',
-          basis: ISSUE_TYPES.INQUIRY_EXPIRED.basis,
-          evidence: `[Evidence: Hard inquiry dated ${inq.inquiryDate} is over 2 years old]`,
-          action: 'Dispute for removal - inquiry exceeds 2-year reporting period',
-          impactScore: 3,
-          timeline: '30-45 days',
-          claimIndicator: false,
-          documentationNeeded: [],
-          dependencies: [],
-        });
-      }
-    }
-  });
-
-  return findings;
-}
+const { parseCreditReportFile } = require('./parseCreditReport.js');
+const { runDetectionEngine, matchReportAccounts, ISSUE_TYPES } = require('./detectionEngine.js');
+const { buildParseQualityReport } = require('./parseQuality.js');
+const { buildFurnisherLetters, formatLetterText } = require('./furnisherLetters.js');
+const { diffReports } = require('./reportDiff.js');
+const { validateDisputeUpdate, describeDispute, planDisputeRecords, disputesToHistory } = require('./disputeTracker.js');
+const { validateDisputeHistory, applyDisputeHistory } = require('./disputeRounds.js');
 
 // ============================================================================
 // MAIN EXECUTION
@@ -283,22 +34,28 @@ async function main() {
 ║           AXIS GROWTH - Credit Forensic Audit Tool                ║
 ╚════════════════════════════════════════════════════════════════════╝
 
-Usage: node runFullAudit.js <credit_report.pdf> [output_directory]
+Usage: node runFullAudit.js <credit_report> [output_directory] [previous_report]
 
 Example:
   node runFullAudit.js client_report.pdf ./client_output
+  node runFullAudit.js client_report.html ./client_output
+  node runFullAudit.js month2_report.pdf ./client_output month1_report.pdf
+
+Reports may be PDF, saved HTML/MHT pages (.html, .htm, .mht) or JSON exports.
+Passing a previous report for the same client enables re-aging checks.
 
 This will:
-  1. Parse the PDF credit report
-  2. Run forensic analysis (17 detection types)
+  1. Parse the credit report
+  2. Run forensic analysis (${Object.keys(ISSUE_TYPES).length} detection types)
   3. Generate Executive Summary, Detailed Report, Action Plan
   4. Generate dispute letters for each finding
 `);
     process.exit(1);
   }
 
-  const pdfPath = args[0];
+  const reportPath = args[0];
   const outputDir = args[1] || './audit_output';
+  const previousReportPath = args[2];
 
   console.log(`
 ╔════════════════════════════════════════════════════════════════════╗
@@ -306,20 +63,71 @@ This will:
 ╚════════════════════════════════════════════════════════════════════╝
 `);
 
-  // Step 1: Parse PDF
-  console.log('▶ STEP 1: Parsing Credit Report PDF...');
+  // Step 1: Parse report
+  console.log('▶ STEP 1: Parsing Credit Report...');
   const startParse = Date.now();
-  const data = parseCreditReportPDF(pdfPath);
+  const data = await parseCreditReportFile(reportPath);
   console.log(`  ✓ Parsed in ${Date.now() - startParse}ms`);
+  console.log(`  ✓ Provider: ${data.provider.name} (adapter ${data.provider.id} v${data.provider.version})`);
+  if (data.provider.ocr) {
+    console.log(`  ⚠ No text layer - read by OCR (${data.provider.ocr.confidence}% mean confidence); low-confidence values are flagged on findings`);
+  }
   console.log(`  ✓ Client: ${data.client.name} (${data.client.state})`);
-  console.log(`  ✓ Found ${data.tradelines.length} tradelines, ${data.collections.length} collections, ${data.inquiries.length} inquiries`);
+  console.log(`  ✓ Found ${data.tradelines.length} tradelines, ${data.collections.length} collections, ${data.inquiries.length} inquiries, ${data.publicRecords.length} public records`);
+
+  const parseQuality = buildParseQualityReport(data);
+  if (parseQuality.status === 'needs_review') {
+    console.log(`  ⚠ ${parseQuality.summary.needsReview} record(s) need review - ${parseQuality.summary.missingFields} critical field(s) missing, ${parseQuality.summary.lowConfidenceFields} low confidence:`);
+    parseQuality.needsReview.slice(0, 10).forEach(r => {
+      const fields = [...r.missing.map(m => `${m.field} ${m.reason}`), ...r.lowConfidence.map(l => `${l.field} low confidence`)];
+      console.log(`    - ${r.bureau ? `${r.bureau} ` : ''}${r.item}: ${fields.join(', ')}`);
+    });
+    if (parseQuality.needsReview.length > 10) console.log(`    ... and ${parseQuality.needsReview.length - 10} more (see parseQuality in audit_data.json)`);
+  }
+
+  let previousData = null;
+  if (previousReportPath) {
+    console.log('\n▶ Parsing Previous Report for comparison...');
+    previousData = await parseCreditReportFile(previousReportPath);
+  }
+
+  // Account match overrides, dispute history and dispute records (mailing
+  // dates, tracking numbers, outcomes) edited into a previous run's audit_data.json
+  const jsonPath = path.join(outputDir, 'audit_data.json');
+  const previousAudit = fs.existsSync(jsonPath) ? JSON.parse(fs.readFileSync(jsonPath, 'utf8')) : {};
+  const matchOverrides = previousAudit.matchOverrides || [];
+  const disputeHistory = validateDisputeHistory(previousAudit.disputeHistory || []);
+  const previousDisputes = (previousAudit.disputes || []).map(validateDisputeUpdate);
 
   // Step 2: Run Detection
   console.log('\n▶ STEP 2: Running Detection Engine...');
   const startDetect = Date.now();
-  const findings = runDetectionEngine(data);
+  if (matchOverrides.length > 0) console.log(`  ✓ Applying ${matchOverrides.length} account match override(s) from ${jsonPath}`);
+  const accountMatching = matchReportAccounts(data, { overrides: matchOverrides });
+  const findings = applyDisputeHistory(runDetectionEngine(data, { previousData, matchOverrides }), disputeHistory.concat(disputesToHistory(previousDisputes)));
   console.log(`  ✓ Analysis complete in ${Date.now() - startDetect}ms`);
+  console.log(`  ✓ Matched ${accountMatching.groups.length} account(s) across bureaus (decisions in accountMatching, overrides in matchOverrides of audit_data.json)`);
   console.log(`  ✓ Found ${findings.length} issues`);
+  if (disputeHistory.length > 0) {
+    const escalated = findings.filter(f => f.disputeRound > 1).length;
+    console.log(`  ✓ Applied ${disputeHistory.length} dispute history entr${disputeHistory.length === 1 ? 'y' : 'ies'} - ${escalated} finding(s) past round 1`);
+  }
+  // Mailed records carry over; unmailed ones are replaced by this run's letters
+  const disputes = previousDisputes.filter(record => record.mailedDate)
+    .concat(planDisputeRecords(findings, previousDisputes))
+    .map(record => describeDispute(record));
+  const overdue = disputes.filter(record => record.overdue).length;
+  console.log(`  ✓ Tracking ${disputes.length} dispute letter(s)${overdue > 0 ? ` - ${overdue} overdue` : ''} (mailing dates and outcomes in disputes of audit_data.json)`);
+  const furnisherLetters = buildFurnisherLetters(findings);
+  console.log(`  ✓ Planned ${furnisherLetters.length} furnisher letter(s)`);
+
+  // Results since the previous report - its findings come from the same engine
+  let reportDiff = null;
+  if (previousData) {
+    reportDiff = diffReports(previousData, data, { previousFindings: runDetectionEngine(previousData, { matchOverrides }), currentFindings: findings });
+    const results = reportDiff.summary;
+    console.log(`  ✓ Compared with previous report: ${results.deleted} deleted, ${results.corrected} corrected, ${results.reinserted} reinserted, ${results.added} new; ${results.findingsResolved} finding(s) resolved`);
+  }
   
   // Count by severity
   const counts = { critical: 0, high: 0, medium: 0, low: 0 };
@@ -338,8 +146,7 @@ This will:
   }
 
   // Save findings JSON for document generator
-  const auditData = { client: data.client, findings };
-  const jsonPath = path.join(outputDir, 'audit_data.json');
+  const auditData = { client: data.client, provider: data.provider, publicRecords: data.publicRecords, parseQuality, accountMatching, matchOverrides, disputeHistory, disputes, findings, furnisherLetters, reportDiff };
   fs.writeFileSync(jsonPath, JSON.stringify(auditData, null, 2));
 
   // Run document generator
@@ -373,6 +180,7 @@ This will:
     - Detailed Audit Report
     - Action Plan
     - ${findings.length * 2} Dispute Letters (approx)
+    - ${furnisherLetters.length} Furnisher Letters${reportDiff ? '\n    - Results Report' : ''}
 
   Total time: ${Date.now() - startParse}ms
 `);
@@ -386,6 +194,7 @@ AXIS GROWTH - CREDIT FORENSIC AUDIT
 Client: ${client.name}
 State: ${client.state}
 Date: ${new Date().toLocaleDateString()}
+Report Format: ${auditData.provider ? `${auditData.provider.name} (adapter v${auditData.provider.version})` : 'Unknown'}
 
 FINDINGS SUMMARY
 ----------------
@@ -401,6 +210,33 @@ ${i + 1}. [${f.severity.toUpperCase()}] ${f.item}
 `;
 
   fs.writeFileSync(path.join(outputDir, 'audit_summary.txt'), summary);
+
+  // Results since the previous report
+  const diff = auditData.reportDiff;
+  if (diff) {
+    const changed = diff.items.filter(item => item.status !== 'unchanged');
+    const results = `
+AXIS GROWTH - RESULTS REPORT
+============================
+Client: ${client.name}
+Deleted: ${diff.summary.deleted}  Corrected: ${diff.summary.corrected}  Reinserted: ${diff.summary.reinserted}  New: ${diff.summary.added}  Unchanged: ${diff.summary.unchanged}
+Findings resolved: ${diff.summary.findingsResolved}  Still open: ${diff.summary.findingsOpen}  New: ${diff.summary.findingsNew}
+
+${changed.map(item => `[${item.status.toUpperCase()}] ${item.bureau} ${item.label}${item.changes.map(c => `\n   ${c.label}: ${c.before ?? 'none'} -> ${c.after ?? 'none'}`).join('')}`).join('\n')}
+`;
+    fs.writeFileSync(path.join(outputDir, 'results_report.txt'), results);
+  }
+
+  // Furnisher letters as text, one file each
+  const letters = auditData.furnisherLetters || [];
+  if (letters.length > 0) {
+    const letterDir = path.join(outputDir, 'Furnisher_Letters');
+    if (!fs.existsSync(letterDir)) fs.mkdirSync(letterDir, { recursive: true });
+    letters.forEach((letter, i) => {
+      const slug = letter.furnisher.name.replace(/[^a-zA-Z0-9]/g, '_').substring(0, 20);
+      fs.writeFileSync(path.join(letterDir, `${i + 1}_${letter.letterType}_${slug}.txt`), formatLetterText(letter, client));
+    });
+  }
 }
 
 main().catch(err => {
@@ -1,7 +1,7 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   experimental: {
-    serverComponentsExternalPackages: ['docx', 'archiver', 'pdf-parse'],
+    serverComponentsExternalPackages: ['docx', 'archiver', 'pdf-parse', 'tesseract.js', '@tesseract.js-data/eng', 'better-sqlite3'],
   },
 }
 module.exports = nextConfig
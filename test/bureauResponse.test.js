@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBureauResponse, reconcileResponse } = require('../lib/bureauResponse.js');
+
+const EXPERIAN_LETTER = `
+Experian
+P.O. Box 9701
+Allen, TX 75013
+Report number: 2291-4406-18
+Date: 10/12/2026
+JOHN DOE
+123 MAIN ST
+ANYTOWN TX 75001
+Dear John Doe:
+We have completed our reinvestigation of the information you disputed. The results are listed below.
+Your credit report has been updated as a result.
+Information that remains on your report is accurate.
+CAPITAL ONE BANK USA NA
+Account number: 517805XXXXXX
+Outcome: Deleted
+MIDLAND CREDIT MANAGEMENT
+Account number: 8812XXXX
+Balance: $980
+Outcome: Updated
+PORTFOLIO RECOVERY ASSOC
+Account # 4455XXXX
+>>> VERIFIED AS ACCURATE
+CHASE >>> DELETED
+Information that remains on your report is accurate.
+If you have questions about these results, please contact Experian.
+`;
+
+test('only the letter items are read as results', () => {
+  const response = parseBureauResponse(EXPERIAN_LETTER);
+
+  assert.strictEqual(response.bureau, 'EX');
+  assert.strictEqual(response.responseDate, '10/12/2026');
+  assert.deepStrictEqual(response.items.map(item => [item.name, item.accountNumberPartial, item.result]), [
+    ['CAPITAL ONE BANK USA NA', '517805XXXXXX', 'deleted'],
+    ['MIDLAND CREDIT MANAGEMENT', '8812XXXX', 'updated'],
+    ['PORTFOLIO RECOVERY ASSOC', '4455XXXX', 'verified'],
+    ['CHASE', '', 'deleted'],
+  ]);
+});
+
+// Dispute items are finding labels: "(...7805)" is the account's real last four
+const openDispute = (id, bureau, item) => ({ id, finding: `STATUS_MISMATCH:${item}`, item, bureau, round: 1, mailedDate: '09/01/2026', outcome: null });
+
+test('results are matched to open disputes for the bureau', () => {
+  // The letter prints the leading digits "517805XXXXXX" of the account ending 7805
+  const disputes = [
+    openDispute('d1', 'EX', 'CAPITAL ONE (...7805)'),
+    openDispute('d2', 'TU', 'CAPITAL ONE (...7805)'),
+  ];
+  const result = reconcileResponse(parseBureauResponse(EXPERIAN_LETTER), disputes, { today: new Date('2026-10-15') });
+
+  assert.deepStrictEqual(result.updates, [{ id: 'd1', fields: { outcome: 'deleted', respondedDate: '10/12/2026' } }]);
+  assert.deepStrictEqual(result.resolved.map(r => r.disputeId), ['d1']);
+  assert.strictEqual(result.unmatched.length, 3);
+});
+
+test('last four digits are compared with the end of the letter\'s account number', () => {
+  const letter = 'Experian\nDate: 10/12/2026\nCAPITAL ONE 517805XXXXXX Verified\nCAPITAL ONE BANK USA NA\nAccount number: XXXXXXXX5678\nOutcome: Deleted\n';
+  const result = reconcileResponse(parseBureauResponse(letter), [openDispute('d1', 'EX', 'CAPITAL ONE (...7805)')], { today: new Date('2026-10-15') });
+
+  assert.deepStrictEqual(result.updates, [{ id: 'd1', fields: { outcome: 'verified', respondedDate: '10/12/2026' } }]);
+  assert.deepStrictEqual(result.unmatched.map(item => [item.name, item.accountNumberPartial]), [['CAPITAL ONE BANK USA NA', 'XXXXXXXX5678']]);
+});
+
+test('leading-digit masks in finding labels are compared from the left', () => {
+  const letter = 'Experian\nDate: 10/12/2026\nCAPITAL ONE\nAccount number: 512805XXXXXX\nOutcome: Verified\n';
+  const disputes = [openDispute('d1', 'EX', 'CAPITAL ONE (517805XXXXXX)'), openDispute('d2', 'EX', 'CAPITAL ONE (512805XXXXXX)')];
+  const result = reconcileResponse(parseBureauResponse(letter), disputes, { today: new Date('2026-10-15') });
+
+  assert.deepStrictEqual(result.updates.map(update => update.id), ['d2']);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePublicRecords } = require('../lib/publicRecords.js');
+
+const TRANSUNION_BANKRUPTCY = `
+Public Records
+TransUnion
+Type: Chapter 7 Bankruptcy
+Status: Discharged
+Date Filed: 03/15/2019
+Date Verified: 04/02/2019
+Reference Number: 19-40321
+Court: US BANKRUPTCY COURT NORTHERN DISTRICT OF TEXAS
+Inquiries
+`;
+
+test('a complete bankruptcy block is one record', () => {
+  const records = parsePublicRecords(TRANSUNION_BANKRUPTCY);
+
+  assert.strictEqual(records.length, 1);
+  assert.strictEqual(records[0].bureau, 'TU');
+  assert.strictEqual(records[0].type, 'bankruptcy');
+  assert.strictEqual(records[0].chapter, '7');
+  assert.strictEqual(records[0].dateFiled, '03/15/2019');
+  assert.strictEqual(records[0].dateVerified, '04/02/2019');
+  assert.strictEqual(records[0].referenceNumber, '19-40321');
+});
+
+test('a repeated field starts the next record', () => {
+  const records = parsePublicRecords(`${TRANSUNION_BANKRUPTCY.replace('Inquiries\n', '')}Type: Civil Judgment
+Date Filed: 06/01/2021
+Amount: $2,400
+Inquiries
+`);
+
+  assert.deepStrictEqual(records.map(r => [r.type, r.dateFiled]), [['bankruptcy', '03/15/2019'], ['judgment', '06/01/2021']]);
+  assert.strictEqual(records[1].amount, 2400);
+});
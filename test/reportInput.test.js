@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readReportInput } = require('../lib/reportInput.js');
+
+test('a truncated JSON export is rejected with a clear message', async () => {
+  await assert.rejects(
+    readReportInput(Buffer.from('{ "tradelines": [ { "creditorName": "CAPITAL ONE"'), 'report.json'),
+    /Could not parse the JSON export/
+  );
+});
+
+test('a JSON export is read as JSON', async () => {
+  const input = await readReportInput(Buffer.from('{ "tradelines": [] }'), 'report.json');
+  assert.strictEqual(input.format, 'json');
+  assert.deepStrictEqual(input.json, { tradelines: [] });
+});